@@ -40,24 +40,219 @@ const CONFIG = {
   feetToMeters: 0.30480061,
 
   /* ---- CSV Data ---- */
+  /**
+   * `columns` sets the parse type per column (see csvParser.js):
+   * 'number' fields are validated, 'string' fields are trimmed (the default),
+   * 'raw' fields are kept exactly as written.
+   *
+   * `fields` lists the attributes shown in the per-feature detail panel, in
+   * order. `values` optionally maps raw codes to readable text.
+   * `titleField` names the column used as the panel heading.
+   *
+   * `title` is the full name shown in the legend; `color` / `darkColor`
+   * drive both the markers and the legend dot.
+   *
+   * `coords` names the coordinate columns and their CRS. Defaults to
+   * { x: 'X', y: 'Y', crs: 'EPSG:2263' }. For lat/lon files use e.g.
+   * { x: 'LONGITUDE', y: 'LATITUDE', crs: 'EPSG:4326' } – points are
+   * projected to EPSG:2263 on load, no QGIS reprojection needed.
+   *
+   * `filterColumns` (optional) lists the columns offered in the filter panel
+   * and how each is filtered: 'categorical' (checkboxes), 'numeric' (range)
+   * or 'text' (contains). Without it every column is offered and its kind
+   * is inferred from the data (see filterPanel.js).
+   *
+   * `cluster` (optional) groups dense markers into count badges when zoomed
+   * out: { radius (px), minPoints, maxZoom } – see clustering.js for the
+   * defaults; `true` uses them as-is.
+   *
+   * `heatmap.weights` (optional) lists the columns the heatmap can weight
+   * by: 'numeric' uses the value itself, an object maps codes to weights.
+   *
+   * `dateColumn` (optional) puts the dataset on the timeline: markers appear
+   * once the cursor reaches their date. `endDateColumn` (optional) marks when
+   * a feature stops being current (permit expiry, case closed…); without it
+   * events fade after `timeline.windowDays`. Rows without a parseable date
+   * are always shown. E.g. { dateColumn: 'ISSUE_DATE', endDateColumn: 'EXPIRATION_DATE' }
+   */
   csvFiles: {
-    cso:              { path: './data/cso_2263_clipped.csv',   color: 0x00FFFF, darkColor: 0x0000FF, label: 'CSO' },
-    npdes:            { path: './data/npdes_2263_clipped.csv',  color: 0xFF3800, darkColor: 0xFF006F, label: 'NPDES' },
-    rcra_2263_clipped:{ path: './data/rcra_2263_clipped.csv',  color: 0x515B28, darkColor: 0xB1C074, label: 'RCRA' }
+    cso: {
+      path: './data/cso_2263_clipped.csv',
+      color: 0x00FFFF, darkColor: 0x0000FF, label: 'CSO',
+      title: 'Combined Sewer Overflow (CSO)',
+      coords: { x: 'X', y: 'Y', crs: 'EPSG:2263' },
+      columns: { X: 'number', Y: 'number' },
+      titleField: 'EntityHandle',
+      fields: [
+        { key: 'EntityHandle', label: 'Entity handle' },
+        { key: 'Text',         label: 'Outfall ID' },
+        { key: 'Layer',        label: 'CAD layer' }
+      ],
+      filterColumns: { Text: 'text', EntityHandle: 'text' }
+    },
+    npdes: {
+      path: './data/npdes_2263_clipped.csv',
+      color: 0xFF3800, darkColor: 0xFF006F, label: 'NPDES',
+      title: 'Water National Pollutant Discharge Elimination Systems (NPDES)',
+      coords: { x: 'X', y: 'Y', crs: 'EPSG:2263' },
+      columns: { X: 'number', Y: 'number' },
+      titleField: 'EntityHandle',
+      fields: [
+        { key: 'EntityHandle', label: 'Entity handle' },
+        { key: 'Text',         label: 'Permit ID' },
+        { key: 'Layer',        label: 'CAD layer' }
+      ],
+      filterColumns: { Text: 'text', EntityHandle: 'text' }
+    },
+    rcra_2263_clipped: {
+      path: './data/rcra_2263_clipped.csv',
+      color: 0x515B28, darkColor: 0xB1C074, label: 'RCRA',
+      title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
+      coords: { x: 'X', y: 'Y', crs: 'EPSG:2263' },   // LONGITUDE83 / LATITUDE83 + EPSG:4269 also works
+      columns: {
+        X: 'number', Y: 'number', fid: 'number',
+        LATITUDE83: 'number', LONGITUDE83: 'number'
+      },
+      titleField: 'FACILITY_NAME',
+      fields: [
+        { key: 'ID_NUMBER',       label: 'EPA ID' },
+        { key: 'FACILITY_NAME',   label: 'Facility' },
+        { key: 'STREET_ADDRESS',  label: 'Address' },
+        { key: 'CITY_NAME',       label: 'City' },
+        { key: 'ZIP_CODE',        label: 'ZIP' },
+        { key: 'FED_WASTE_GENERATOR', label: 'Federal generator status', values: {
+          1: 'LQG – Large Quantity Generator',
+          2: 'SQG – Small Quantity Generator',
+          3: 'VSQG – Very Small Quantity Generator',
+          N: 'Not a generator'
+        } },
+        { key: 'TRANSPORTER',     label: 'Transporter', values: { Y: 'Yes', N: 'No' } },
+        { key: 'OPERATING_TSDF',  label: 'Operating TSDF' },
+        { key: 'ACTIVE_SITE',     label: 'Active site flags' },
+        { key: 'LATITUDE83',      label: 'Latitude (NAD83)' },
+        { key: 'LONGITUDE83',     label: 'Longitude (NAD83)' }
+      ],
+      filterColumns: {
+        FED_WASTE_GENERATOR: 'categorical',
+        TRANSPORTER:         'categorical',
+        ACTIVE_SITE:         'categorical',
+        HREPORT_UNIVERSE_RECORD: 'categorical',
+        CITY_NAME:           'categorical',
+        ZIP_CODE:            'categorical',
+        FACILITY_NAME:       'text',
+        STREET_ADDRESS:      'text',
+        LATITUDE83:          'numeric',
+        LONGITUDE83:         'numeric'
+      },
+      cluster: { radius: 40, minPoints: 4, maxZoom: 5 },
+      heatmap: {
+        weights: {
+          FED_WASTE_GENERATOR: { 1: 10, 2: 3, 3: 1, N: 0.25 }   // LQG ≫ SQG > VSQG
+        }
+      }
+    }
   },
 
+  /* ---- GeoJSON layers (lines, polygons, points draped on the terrain) ---- */
+  /**
+   * Each entry: { path, label, title, description, nameField, crs, style }.
+   * `crs` defaults to EPSG:4326 (RFC 7946 lon/lat), or whatever a legacy
+   * `crs` member in the file declares; EPSG:2263 feet also works.
+   * `style`: { stroke, darkStroke, strokeWidth (px), fill, darkFill,
+   *            fillOpacity, opacity }.
+   *
+   * Example:
+   *   newtownCreek: {
+   *     path: './data/newtown_creek_superfund.geojson',
+   *     label: 'Superfund', title: 'Newtown Creek Superfund Site',
+   *     nameField: 'NAME',
+   *     style: { stroke: 0xA7CE08, fill: 0xA7CE08, fillOpacity: 0.15, strokeWidth: 2 }
+   *   }
+   */
+  geojsonLayers: {},
+
   /* ---- Point marker settings ---- */
   marker: {
-    screenSize: 0.008,   // sprite scale when sizeAttenuation=false (perspective)
-    worldSize: 80,       // sprite scale in world units for ortho camera
-    heightOffset: 3     // lift markers slightly above terrain (metres)
+    screenSize: 0.008,   // marker size as a fraction of the viewport height
+    heightOffset: 3,     // lift markers slightly above terrain (metres)
+    /**
+     * How markers hidden behind terrain or buildings are drawn:
+     * 'hide'  – depth-tested, occluded markers disappear
+     * 'ghost' – occluded markers show faded at `ghostOpacity`
+     * 'show'  – always drawn on top (no depth test)
+     */
+    occluded: 'ghost',
+    ghostOpacity: 0.25,
+    highlightColor: 0xA7CE08   // ring around highlighted markers (proximity hits, …)
+  },
+
+  /* ---- Terrain draping ---- */
+  terrain: {
+    drape: true,         // sample marker / label elevation from the topography mesh
+    cellSize: 5,         // heightfield resolution (metres)
+    labelOffset: 60,     // CSS2D labels float this far above ground (metres)
+    imageOffset: 40      // anchored images float this far above ground (metres)
+  },
+
+  /* ---- Point-of-interest labels & anchored images (see labels.js) ---- */
+  labels: {
+    path: './data/labels.json'
+  },
+
+  /* ---- Label collision & occlusion handling (see declutter.js) ---- */
+  declutter: {
+    enabled: true,
+    padding: 4,                 // min px between labels, and between labels and UI
+    nudge: true,                // move colliding labels aside with a leader line…
+    gap: 10,                    // …this many px from their anchor (false = just hide)
+    occlusion: true,            // fade labels whose anchor is behind terrain or buildings
+    occlusionClearance: 2,      // metres the sight line may graze the surface
+    occludedOpacity: 0.25
+  },
+
+  /* ---- Heatmap (kernel density over the terrain, see heatmap.js) ---- */
+  heatmap: {
+    radius: 1000,        // default kernel radius (US survey feet)
+    minRadius: 200,
+    maxRadius: 5000,
+    resolution: 512,     // grid cells along the longer side of the terrain
+    opacity: 0.8,
+    ramp: 'heat',
+    // Evenly spaced stops, low → high density; `dark` is used in dark mode
+    ramps: {
+      heat:    { label: 'Heat',    light: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+                                   dark:  ['#3b0f70', '#8c2981', '#de4968', '#fe9f6d', '#fcfdbf'] },
+      viridis: { label: 'Viridis', light: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+      blues:   { label: 'Blues',   light: ['#c6dbef', '#6baed6', '#2171b5', '#08519c', '#08306b'],
+                                   dark:  ['#08306b', '#2171b5', '#6baed6', '#c6dbef', '#f7fbff'] },
+      toxos:   { label: 'Toxos',   light: ['#e6f0b0', '#a7ce08', '#4d5c04'],
+                                   dark:  ['#4d5c04', '#a7ce08', '#eaffa0'] }
+    }
+  },
+
+  /* ---- Proximity analysis (see proximity.js) ---- */
+  proximity: {
+    sources: ['cso'],    // datasets whose features can be the centre of a search
+    radius: 1000,        // default radius (US survey feet)
+    minRadius: 100,
+    maxRadius: 5280,
+    fadeOpacity: 0.25    // markers outside the ring fade to this
+  },
+
+  /* ---- Search (header box) ---- */
+  search: {
+    fields: ['FACILITY_NAME', 'ID_NUMBER', 'STREET_ADDRESS', 'EntityHandle', 'Text'],
+    maxResults: 8,
+    flyToExtent: 150     // half-height of the view after flying to a result (metres)
   },
 
   /* ---- Camera defaults (metres) ---- */
   camera: {
-    fov: 50,
+    fov: 50,                  // perspective mode (see viewer.setProjection)
     near: 1,
     far: 50000,
+    minDistance: 10,          // perspective: closest approach to the orbit target (m)
+    transition: 1200,         // ortho ⇄ perspective dolly-zoom duration (ms)
     orthoSize: 3000,
     initialZoom: 0.45,  // frustum padding after framing model – lower = more zoomed in
     position: { x: 0, y: 2500, z: 4000 }
@@ -67,8 +262,75 @@ const CONFIG = {
   ambientIntensity: 0.2,
   directionalIntensity: 0.9,
 
-  /* ---- Weather API (future) ---- */
-  weatherApiUrl: ''
+  /* ---- Timeline (see timeline.js) ---- */
+  timeline: {
+    playSeconds: 20,          // time to play the whole range at 1×
+    speeds: [0.25, 0.5, 1, 2, 4],
+    loop: true,
+    windowDays: 365,          // events older than this (and without an end date) fade…
+    fadeOpacity: 0.2,         // …to this opacity; 0 hides them
+    hyetograph: true          // rainfall bars from the weather feed under the slider
+  },
+
+  /* ---- Camera tours & saved viewpoints (see tours.js) ---- */
+  tours: {
+    path: './data/tours.json',
+    transition: 2500,           // default camera move between steps (ms)
+    hold: 8000,                 // default time a step stays up while playing (ms)
+    storageKey: 'twebsite2026.viewpoints'   // localStorage key for views saved in the browser
+  },
+
+  /* ---- Map themes (defined in config/themes.js, applied by theme.js) ---- */
+  themes: {
+    storageKey: 'twebsite2026.theme',            // localStorage key for the chosen theme
+    transition: 500,                             // ms crossfade between themes
+    defaults: { light: 'light', dark: 'dark' }   // theme per prefers-color-scheme, until one is chosen
+  },
+
+  /* ---- Scale bar, compass & view cube (see hud.js) ---- */
+  hud: {
+    scaleBarWidth: 110,         // px; longest the scale bars may grow
+    cubeSize: 54,               // px edge of the view cube
+    isoTilt: 54.74,             // degrees from vertical; true isometric (arctan √2)
+    obliqueTilt: 30,            // steeper views from the cube's top edges
+    snapDuration: 800           // ms, as the double-click top-down view
+  },
+
+  /* ---- High-resolution PNG export (see mapExport.js) ---- */
+  export: {
+    size: 'x4',                 // default preset: 'x2' | 'x4' | 'a4' | 'letter' | 'custom'
+    title: 'Newtown Creek – Combined Sewer Overflows & Permitted Discharges',
+    credit: 'Data: NYC DEP CSO outfall inventory · US EPA NPDES permits · US EPA RCRAInfo',
+    maxSide: 16384,             // px; browsers refuse larger canvases
+    maxPixels: 120e6            // total px cap, to stay within canvas memory limits
+  },
+
+  /* ---- Precipitation feed & CSO overflow risk (see apiWeather.js) ---- */
+  weather: {
+    source: 'file',               // 'file' | 'api' | 'none'
+    file: './data/precipitation_sample.csv',
+    replay: true,                 // file: treat the newest reading as "now" (no staleness check)
+    // Endpoint template; {key} is filled from config/env.js. `npm run mock:weather` serves this locally.
+    apiUrl: 'http://localhost:8787/precip?station={station}&key={key}',
+    station: 'KLGA',
+    keyName: 'WEATHER_API_KEY',
+    refreshMinutes: 15,
+    staleAfterHours: 3,
+    fields: { time: 'time', precip: 'precip_in' },
+    units: 'in',                  // 'in' | 'mm' per hour
+    riskLayers: ['cso'],
+    risk: {
+      lookbackHours: 6,           // window for peak hourly intensity
+      // Ascending; a level applies when either threshold is reached (inches).
+      // No colour = the dataset's own colours.
+      levels: [
+        { id: 'low',      label: 'Low',      intensity: 0,    total24: 0 },
+        { id: 'elevated', label: 'Elevated', intensity: 0.05, total24: 0.25, color: 0xF2C200, darkColor: 0xFFD83D },
+        { id: 'high',     label: 'High',     intensity: 0.1,  total24: 0.5,  color: 0xFF7A00, darkColor: 0xFF9A3D },
+        { id: 'severe',   label: 'Severe',   intensity: 0.25, total24: 1.0,  color: 0xD7191C, darkColor: 0xFF4D4D }
+      ]
+    }
+  }
 };
 
 export default CONFIG;
@@ -1,6 +1,7 @@
 /**
  * env.example.js – Copy this file to env.js and fill in your keys.
  * env.js is git-ignored so secrets stay local.
+ * With `npm run mock:weather` (source: 'api') the mock server's key is 'dev'.
  */
 
 const ENV = {
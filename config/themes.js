@@ -0,0 +1,87 @@
+/**
+ * themes.js – Map themes, declared as data (applied by js/theme.js).
+ *
+ * Each theme:
+ *   label       – name in the theme menu
+ *   dark        – base scheme: dark UI tokens (body.dark), the datasets'
+ *                 darkColor / darkStroke and the dark heatmap ramps
+ *   background  – scene clear colour
+ *   terrain     – terrain top-face texture
+ *   building    – building colour
+ *   side        – terrain side / bottom colour
+ *   markers     – optional marker colours by layer key (CONFIG.csvFiles /
+ *                 geojsonLayers key, e.g. rcra_2263_clipped), in place of the
+ *                 dataset's own colours (state colours such as the CSO
+ *                 overflow risk still take precedence)
+ *   highlight   – optional ring colour of highlighted markers
+ *   ui          – CSS custom properties set on <body> over the base scheme
+ *                 (see the design tokens in css/style.css)
+ *
+ * Note the terrain textures' names predate themes: the "_light" image is
+ * the light-on-dark one.
+ */
+
+const TEXTURE_LIGHT = './assets/textures/gltf_embedded_0.png';
+const TEXTURE_DARK = './assets/textures/gltf_embedded_0_light.png';
+
+const THEMES = {
+  light: {
+    label: 'Light',
+    dark: false,
+    background: 0xeeeeee,
+    terrain: TEXTURE_LIGHT,
+    building: 0x555555,
+    side: 0x444444
+  },
+
+  dark: {
+    label: 'Dark',
+    dark: true,
+    background: 0x111111,
+    terrain: TEXTURE_DARK,
+    building: 0xeeeeee,
+    side: 0xffffff
+  },
+
+  // Black ground, white massing, saturated markers and solid panels
+  contrast: {
+    label: 'High contrast',
+    dark: true,
+    background: 0x000000,
+    terrain: TEXTURE_DARK,
+    building: 0xffffff,
+    side: 0xffffff,
+    markers: { cso: 0x00E5FF, npdes: 0xFF2D55, rcra_2263_clipped: 0xFFE600 },
+    highlight: 0xFFFFFF,
+    ui: {
+      '--accent':        '#FFE600',
+      '--accent-glow':   'rgba(255, 230, 0, 0.35)',
+      '--bg-dark':       '#000000',
+      '--bg-panel':      'rgba(0, 0, 0, 0.94)',
+      '--bg-panel-solid':'#000000',
+      '--border':        'rgba(255, 255, 255, 0.45)',
+      '--border-bright': 'rgba(255, 255, 255, 0.85)',
+      '--text':          '#ffffff',
+      '--text-dim':      '#d4d4d4'
+    }
+  },
+
+  // Okabe–Ito palette: distinguishable with protanopia, deuteranopia and tritanopia
+  colorblind: {
+    label: 'Colour-blind safe',
+    dark: false,
+    background: 0xeeeeee,
+    terrain: TEXTURE_LIGHT,
+    building: 0x555555,
+    side: 0x444444,
+    markers: { cso: 0x0072B2, npdes: 0xD55E00, rcra_2263_clipped: 0x009E73 },
+    highlight: 0xE69F00,
+    ui: {
+      '--accent':      '#E69F00',
+      '--accent-dim':  '#8a5f00',
+      '--accent-glow': 'rgba(230, 159, 0, 0.25)'
+    }
+  }
+};
+
+export default THEMES;
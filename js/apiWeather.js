@@ -1,27 +1,315 @@
 /**
- * apiWeather.js – Placeholder for future weather-data integration.
+ * apiWeather.js – Hourly precipitation feed and CSO overflow risk.
  *
- * Will fetch real-time or historical precipitation data and overlay
- * it onto the 3D scene (e.g., color-coded CSO activation risk).
+ * Observations come from CONFIG.weather.source:
+ *   'file' – a local CSV or JSON file (e.g. a recorded storm)
+ *   'api'  – an HTTP endpoint, polled every `refreshMinutes`; a local mock
+ *            server (scripts/mock-weather-server.js) can stand in for it
+ * An API key, when the URL template asks for one ({key}), is read from the
+ * git-ignored config/env.js (copy config/env.example.js).
+ *
+ * Risk is the highest level whose threshold is reached by either the peak
+ * hourly intensity over the last `lookbackHours` or the 24-hour total.
+ * The result drives the CSO marker colours and the header status pill.
+ *
+ * Observation formats (times ISO 8601, amounts per hour):
+ *   CSV:  time,precip_in
+ *   JSON: [{ time, precip_in }, …] or { observations: [...] }
+ * Column names and units (in | mm) are configurable.
  */
 import CONFIG from '../config/config.js';
+import { parseCSV } from './csvParser.js';
+
+const MM_PER_IN = 25.4;
+const HOUR = 3600 * 1000;
+const PLACEHOLDER_KEY = 'YOUR_API_KEY_HERE';
+
+// Optional module: resolves to an empty map when config/env.js doesn't exist
+const envModules = import.meta.glob('../config/env.js');
+
+/* ---------- Parsing & risk (pure) ---------- */
 
 /**
- * Fetch weather data from the configured API.
- * Returns parsed JSON or null on failure.
+ * Normalise raw CSV text or parsed JSON into sorted hourly observations.
+ * @param {string|object} raw
+ * @param {{ time: string, precip: string }} fields – column / property names
+ * @param {'in'|'mm'} units
+ * @returns {{ time: number, precipIn: number }[]} epoch ms, inches
  */
-export async function fetchWeather() {
-  if (!CONFIG.weatherApiUrl) {
-    console.warn('[apiWeather] No weather API URL configured — skipping.');
-    return null;
+export function parseObservations(raw, fields, units = 'in') {
+  let rows;
+  if (typeof raw === 'string') {
+    const { rows: csvRows, errors } = parseCSV(raw, { columns: { [fields.precip]: 'number' } });
+    if (errors.length) console.warn(`[apiWeather] ${errors.length} malformed row(s) in precipitation CSV`, errors.slice(0, 10));
+    rows = csvRows;
+  } else {
+    rows = Array.isArray(raw) ? raw : raw?.observations;
+    if (!Array.isArray(rows)) throw new Error('Expected an array of observations');
+  }
+
+  const scale = units === 'mm' ? 1 / MM_PER_IN : 1;
+  const out = [];
+  for (const row of rows) {
+    const time = Date.parse(row[fields.time]);
+    const amount = parseFloat(row[fields.precip]);
+    if (Number.isFinite(time) && Number.isFinite(amount)) out.push({ time, precipIn: amount * scale });
   }
+  return out.sort((a, b) => a.time - b.time);
+}
 
+/**
+ * Overflow risk at time `now` from hourly observations.
+ * @param {{ time: number, precipIn: number }[]} observations – sorted
+ * @param {number} now – epoch ms
+ * @param {object} risk – CONFIG.weather.risk
+ * @returns {{ level: object, intensity: number, total24: number, latest: number|null }}
+ */
+export function assessRisk(observations, now, risk) {
+  let intensity = 0, total24 = 0, latest = null;
+  for (const o of observations) {
+    if (o.time > now) break;
+    latest = o.time;
+    const age = now - o.time;
+    if (age < risk.lookbackHours * HOUR) intensity = Math.max(intensity, o.precipIn);
+    if (age < 24 * HOUR) total24 += o.precipIn;
+  }
+
+  let level = risk.levels[0];
+  for (const l of risk.levels) {
+    if (intensity >= l.intensity || total24 >= l.total24) level = l;
+  }
+  return { level, intensity, total24, latest };
+}
+
+/* ---------- Feed ---------- */
+
+/** Key from config/env.js, or null when the file or the key is missing. */
+async function loadApiKey(name) {
+  const load = envModules['../config/env.js'];
+  if (!load) return null;
   try {
-    const res = await fetch(CONFIG.weatherApiUrl);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.json();
+    const key = (await load()).default?.[name];
+    return key && key !== PLACEHOLDER_KEY ? key : null;
   } catch (err) {
-    console.error('[apiWeather] Fetch failed:', err);
+    console.warn('[apiWeather] Could not load config/env.js:', err);
     return null;
   }
 }
+
+/**
+ * Fetch observations from the configured source.
+ * @returns {Promise<{ time: number, precipIn: number }[]>}
+ * @throws {Error} with `code` 'nokey' when the endpoint needs a missing key
+ */
+export async function fetchWeather(cfg = CONFIG.weather) {
+  let url;
+  if (cfg.source === 'file') {
+    url = cfg.file;
+  } else {
+    url = cfg.apiUrl.replace('{station}', encodeURIComponent(cfg.station ?? ''));
+    if (url.includes('{key}')) {
+      const key = await loadApiKey(cfg.keyName);
+      if (!key) {
+        const err = new Error(`${cfg.keyName} missing from config/env.js`);
+        err.code = 'nokey';
+        throw err;
+      }
+      url = url.replace('{key}', encodeURIComponent(key));
+    }
+  }
+
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching precipitation`);
+  const isJSON = /json/.test(res.headers.get('content-type') || '') || /\.json(\?|$)/.test(url);
+  const raw = isJSON ? await res.json() : await res.text();
+  return parseObservations(raw, cfg.fields, cfg.units);
+}
+
+/**
+ * Start the weather subsystem: fetch, assess, recolour the risk layers and
+ * keep the status pill up to date.
+ * @param {object} registry – see layerRegistry.js
+ * @param {HTMLElement} pillEl   – header status indicator
+ * @param {HTMLElement} panelEl  – details panel opened from the pill
+ * @returns {{ refresh: Function, open: Function, close: Function, toggle: Function, onToggle: Function, onChange: Function, getState: Function, setTime: Function }}
+ */
+export function createWeather(registry, pillEl, panelEl) {
+  const cfg = CONFIG.weather;
+  const toggleListeners = new Set();
+  const changeListeners = new Set();
+
+  let observations = [];
+  let lastFetch = null;       // epoch ms of the last successful fetch
+  let error = null;           // last fetch error, kept until a fetch succeeds
+  let assessment = null;
+  let timeOverride = null;    // epoch ms set by the timeline, or null for "now"
+
+  /** Evaluation time: the timeline cursor, the wall clock, or the newest reading when replaying a file. */
+  function evalTime() {
+    if (timeOverride !== null) return timeOverride;
+    return (cfg.source === 'file' && cfg.replay && observations.length)
+      ? observations[observations.length - 1].time
+      : Date.now();
+  }
+
+  /** Status shown on the pill: loading | ok | replay | stale | error | nokey | off. */
+  function status() {
+    if (cfg.source === 'none') return 'off';
+    if (error && !observations.length) return error.code === 'nokey' ? 'nokey' : 'error';
+    if (!assessment) return 'loading';
+    if (error) return error.code === 'nokey' ? 'nokey' : 'error';
+    if (timeOverride !== null || (cfg.source === 'file' && cfg.replay)) return 'replay';
+    if (assessment.latest === null || Date.now() - assessment.latest > cfg.staleAfterHours * HOUR) return 'stale';
+    return 'ok';
+  }
+
+  const fmtIn = (v) => `${v.toFixed(2)} in`;
+  const fmtTime = (t) => t === null ? '—' : new Date(t).toLocaleString(undefined,
+    { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  /** Recolour the risk layers (theme / dataset colours at the lowest level). */
+  function applyColors() {
+    const level = assessment?.level;
+    let changed = false;
+    for (const key of cfg.riskLayers) {
+      const entry = registry.get(key);
+      if (!entry?.layer.setColors) continue;
+      changed = (level?.color != null
+        ? entry.layer.setColors(level.color, level.darkColor ?? level.color)
+        : entry.layer.setColors(null)) || changed;
+    }
+    if (changed) registry.notify('style');
+  }
+
+  const MESSAGES = {
+    loading: 'Loading precipitation…',
+    off:     'Weather feed disabled',
+    nokey:   `API key missing – add ${cfg.keyName} to config/env.js`,
+    error:   'Precipitation feed unavailable',
+    stale:   `No readings in the last ${cfg.staleAfterHours} h`,
+    replay:  'Replaying recorded precipitation',
+    ok:      'Live precipitation'
+  };
+
+  function render() {
+    const s = status();
+    const level = assessment?.level;
+    pillEl.dataset.state = s;
+    pillEl.dataset.risk = level?.id ?? '';
+    pillEl.textContent = s === 'loading' || s === 'off' || !level
+      ? (s === 'off' ? 'Weather off' : s === 'loading' ? 'Weather…' : 'Weather ⚠')
+      : `CSO risk: ${level.label}${s === 'ok' || s === 'replay' ? '' : ' ⚠'}`;
+    pillEl.title = MESSAGES[s] + (error ? ` (${error.message})` : '');
+
+    const rows = [
+      ['Status', MESSAGES[s] + (error && s !== 'nokey' ? ` – ${error.message}` : '')],
+      ['Source', cfg.source === 'file' ? cfg.file : cfg.apiUrl.replace(/key=\{key\}/, 'key=…')],
+      ['Risk', level ? level.label : '—'],
+      [`Peak intensity (${cfg.risk.lookbackHours} h)`, assessment ? `${fmtIn(assessment.intensity)}/h` : '—'],
+      ['24 h total', assessment ? fmtIn(assessment.total24) : '—'],
+      ['Latest reading', fmtTime(assessment?.latest ?? null)],
+      ['Last fetched', fmtTime(lastFetch)]
+    ];
+    const dl = panelEl.querySelector('.panel-readings');
+    dl.replaceChildren();
+    for (const [k, v] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = k;
+      const dd = document.createElement('dd');
+      dd.textContent = v;
+      dl.append(dt, dd);
+    }
+  }
+
+  function evaluate() {
+    if (observations.length) assessment = assessRisk(observations, evalTime(), cfg.risk);
+    applyColors();
+    render();
+    for (const fn of changeListeners) fn();
+  }
+
+  async function refresh() {
+    if (cfg.source === 'none') { render(); return; }
+    try {
+      observations = await fetchWeather(cfg);
+      lastFetch = Date.now();
+      error = null;
+      if (!observations.length) throw new Error('Feed returned no observations');
+    } catch (err) {
+      error = err;
+      if (err.code === 'nokey') console.warn(`[apiWeather] ${err.message}`);
+      else console.error('[apiWeather] Fetch failed:', err);
+    }
+    evaluate();
+  }
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Precipitation</span>
+      <button class="side-panel-close" aria-label="Close precipitation">&times;</button>
+    </div>
+    <dl class="panel-readings"></dl>
+    <div class="filter-row">
+      <span class="filter-caption">CSO risk levels</span>
+      <ul class="weather-levels"></ul>
+    </div>
+    <div class="side-panel-footer">
+      <span></span>
+      <button class="panel-btn weather-refresh">Refresh</button>
+    </div>`;
+
+  const levelsEl = panelEl.querySelector('.weather-levels');
+  const hex = (c) => '#' + (c ?? 0).toString(16).padStart(6, '0');
+  for (const l of cfg.risk.levels) {
+    const li = document.createElement('li');
+    const csoCfg = CONFIG.csvFiles[cfg.riskLayers[0]] || {};
+    li.style.setProperty('--dot-light', hex(l.color ?? csoCfg.color));
+    li.style.setProperty('--dot-dark', hex(l.darkColor ?? l.color ?? csoCfg.darkColor));
+    li.textContent = l.intensity > 0
+      ? `${l.label} – ≥ ${l.intensity} in/h or ≥ ${l.total24} in / 24 h`
+      : `${l.label}`;
+    levelsEl.appendChild(li);
+  }
+
+  panelEl.querySelector('.weather-refresh').addEventListener('click', refresh);
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  // Poll live feeds; re-check staleness every minute in between
+  if (cfg.source === 'api') setInterval(refresh, cfg.refreshMinutes * 60 * 1000);
+  setInterval(evaluate, 60 * 1000);
+
+  render();
+  refresh();
+
+  return {
+    refresh, open, close, toggle,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); },
+    /** Subscribe to new data or a new assessment. */
+    onChange(fn) { changeListeners.add(fn); return () => changeListeners.delete(fn); },
+    /** Current observations and assessment (for the timeline, exports…). */
+    getState: () => ({ observations, assessment, status: status() }),
+    /** Assess the risk at a past time (epoch ms) instead of now; null to go live again. */
+    setTime(t) {
+      if (t === timeOverride) return;
+      timeOverride = t;
+      evaluate();
+    }
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * clustering.js – Zoom-dependent clustering of dense point layers.
+ *
+ * Points are binned on a ground (XZ) grid whose cell size is a fixed number of
+ * screen pixels (the dataset's `cluster.radius`) at the current map zoom.
+ * The cell size is snapped to powers of two, so clusters stay put while
+ * panning or rotating and only merge / split at zoom steps.
+ *
+ * A cell with at least `minPoints` markers is drawn as one CSS2D count badge
+ * and its markers are hidden through the layer's display-only 'cluster' mask
+ * (they still count as shown in the legend). Badges are screen-sized HTML, so
+ * they sit alongside the constant-screen-size markers without extra scaling.
+ * Clicking a badge zooms to fit its members.
+ *
+ * Enabled per dataset with `cluster` in CONFIG.csvFiles.
+ */
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { metresPerPixel } from './hud.js';
+
+const DEFAULTS = {
+  radius: 48,      // cell size in CSS pixels
+  minPoints: 3,    // smallest group drawn as a cluster
+  maxZoom: 6       // at or above this map zoom (viewZoom) every point is drawn
+};
+const FIT_PADDING = 1.4;   // margin around members when zooming to a cluster
+
+const hex = (c) => '#' + (c ?? 0).toString(16).padStart(6, '0');
+
+/**
+ * Cluster every CSV layer whose config has a `cluster` entry.
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} view – { camera, controls, renderer, animateCamera, onFrame, onCameraChange, viewZoom } from createViewer()
+ * @returns {{ refresh: Function }}
+ */
+export function setupClustering(registry, { camera, controls, renderer, animateCamera, onFrame, onCameraChange, viewZoom }) {
+  const groups = registry.list()
+    .filter(e => e.kind === 'csv' && e.cfg.cluster)
+    .map(entry => ({
+      entry,
+      opts: { ...DEFAULTS, ...(entry.cfg.cluster === true ? {} : entry.cfg.cluster) },
+      mask: new Float32Array(entry.layer.count).fill(1),
+      badges: [],          // CSS2DObject pool, children of the layer's Points
+      level: null,         // log2 cell size of the last build, or 'off'
+      dirty: true
+    }));
+
+  if (!groups.length) return { refresh() {} };
+  onCameraChange?.((c) => { camera = c; });
+
+  /** World units per CSS pixel at the orbit target. */
+  function worldPerPixel() {
+    return metresPerPixel(camera, controls.target, renderer.domElement.clientHeight || 1);
+  }
+
+  /** Badge colours follow the markers' current colours (theme, risk state). */
+  function paintBadge(el, layer) {
+    el.style.setProperty('--dot-light', hex(layer.color));
+    el.style.setProperty('--dot-dark', hex(layer.darkColor ?? layer.color));
+  }
+
+  function makeBadge(group) {
+    const el = document.createElement('div');
+    el.className = 'cluster-badge';
+    paintBadge(el, group.entry.layer);
+    el.setAttribute('role', 'button');
+    el.setAttribute('tabindex', '0');
+
+    const badge = new CSS2DObject(el);
+    badge.userData.members = [];
+    el.addEventListener('click', () => fitMembers(group.entry.layer, badge.userData.members));
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        el.click();
+      }
+    });
+    group.entry.layer.object.add(badge);
+    return badge;
+  }
+
+  /** Rebuild one layer's clusters for the given grid level. */
+  function build(group, level) {
+    const { layer } = group.entry;
+    const { mask, opts } = group;
+    const positions = layer.positions;
+    const used = [];
+
+    mask.fill(1);
+
+    if (level !== 'off') {
+      const cell = 2 ** level;
+      /** @type {Map<string, number[]>} */
+      const cells = new Map();
+      for (let i = 0; i < layer.count; i++) {
+        if (!layer.isPointActive(i)) continue;
+        const k = `${Math.floor(positions[i * 3] / cell)},${Math.floor(positions[i * 3 + 2] / cell)}`;
+        let list = cells.get(k);
+        if (!list) cells.set(k, list = []);
+        list.push(i);
+      }
+
+      for (const members of cells.values()) {
+        if (members.length < opts.minPoints) continue;
+        const c = new THREE.Vector3();
+        for (const i of members) {
+          c.x += positions[i * 3];
+          c.y += positions[i * 3 + 1];
+          c.z += positions[i * 3 + 2];
+          mask[i] = 0;
+        }
+        c.divideScalar(members.length);
+        used.push({ members, center: c });
+      }
+    }
+
+    // Reuse pooled badges, hide the spare ones
+    while (group.badges.length < used.length) group.badges.push(makeBadge(group));
+    group.badges.forEach((badge, j) => {
+      const u = used[j];
+      badge.visible = !!u;
+      if (!u) return;
+      badge.position.copy(u.center);
+      badge.userData.members = u.members;
+      const n = u.members.length;
+      badge.element.textContent = n.toLocaleString();
+      badge.element.style.opacity = String(group.entry.opacity);
+      badge.element.style.setProperty('--size', `${Math.round(20 + 8 * Math.log10(n))}px`);
+      badge.element.setAttribute('aria-label', `${n} ${group.entry.cfg.label} points – zoom in`);
+    });
+
+    layer.setMask('cluster', level === 'off' ? null : mask, { display: true });
+    group.level = level;
+    group.dirty = false;
+  }
+
+  /** Animate the camera so every member point fits in view. */
+  function fitMembers(layer, members) {
+    if (!members.length) return;
+    const box = new THREE.Box3();
+    const p = new THREE.Vector3();
+    for (const i of members) box.expandByPoint(layer.getPosition(i, p));
+    const center = box.getCenter(new THREE.Vector3());
+
+    // Extent of the box along the camera's screen axes
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    let halfW = 0, halfH = 0;
+    for (let c = 0; c < 8; c++) {
+      p.set(c & 1 ? box.max.x : box.min.x, c & 2 ? box.max.y : box.min.y, c & 4 ? box.max.z : box.min.z).sub(center);
+      halfW = Math.max(halfW, Math.abs(p.dot(right)));
+      halfH = Math.max(halfH, Math.abs(p.dot(up)));
+    }
+    // Visible half-extents now, scaled to the members (the same in either projection)
+    const { clientWidth: w, clientHeight: h } = renderer.domElement;
+    const wpp = worldPerPixel();
+    const fit = viewZoom() * Math.min(wpp * w / 2 / Math.max(halfW, 1), wpp * h / 2 / Math.max(halfH, 1)) / FIT_PADDING;
+    const zoom = THREE.MathUtils.clamp(fit, viewZoom(), controls.maxZoom);
+
+    const offset = camera.position.clone().sub(controls.target);
+    animateCamera({ target: center, position: center.clone().add(offset), zoom, duration: 700 });
+  }
+
+  /** Per frame: rebuild a layer only when its grid level (or data) changed. */
+  function update() {
+    const wpp = worldPerPixel();
+    for (const group of groups) {
+      const { opts } = group;
+      const level = viewZoom() >= opts.maxZoom ? 'off' : Math.ceil(Math.log2(opts.radius * wpp));
+      if (group.dirty || level !== group.level) build(group, level);
+    }
+  }
+
+  function applyOpacity() {
+    for (const group of groups) {
+      for (const badge of group.badges) badge.element.style.opacity = String(group.entry.opacity);
+    }
+  }
+
+  registry.onChange((reason) => {
+    if (reason === 'counts') {
+      // Filters changed which points exist; regroup
+      for (const group of groups) group.dirty = true;
+    } else if (reason === 'opacity') {
+      applyOpacity();
+    } else if (reason === 'style') {
+      for (const group of groups) for (const badge of group.badges) paintBadge(badge.element, group.entry.layer);
+    }
+  });
+
+  onFrame(update);
+  console.log(`[clustering] Clustering ${groups.map(g => g.entry.cfg.label).join(', ')}`);
+
+  return {
+    /** Force a rebuild on the next frame (e.g. after a mask change). */
+    refresh() {
+      for (const group of groups) group.dirty = true;
+    }
+  };
+}
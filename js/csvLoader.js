@@ -1,149 +1,101 @@
 /**
- * csvLoader.js – Fetches a CSV file, parses it, and creates sprite-based
- * point markers that maintain a constant screen size regardless of zoom.
+ * csvLoader.js – Fetches a CSV file, parses it, and builds a single-draw-call
+ * point layer (see pointLayer.js) whose markers keep a constant screen size.
  *
- * Expects CSV columns: X, Y  (EPSG:2263 US survey feet)
+ * Coordinate columns and their CRS come from the dataset's `coords` entry in
+ * CONFIG.csvFiles (default: X, Y in EPSG:2263 US survey feet). Lat/lon inputs
+ * are projected to EPSG:2263 on load (see projection.js).
  * Optional columns used for tooltips: EntityHandle, Text, Layer
  */
-import * as THREE from 'three';
 import CONFIG from '../config/config.js';
+import { parseCSV } from './csvParser.js';
+import { createPointLayer } from './pointLayer.js';
+import { toStatePlane, statePlaneToLonLat, toSceneCoords, isSupportedCRS } from './projection.js';
 
-/**
- * Parse a simple CSV string into an array of objects.
- * Handles quoted fields.
- */
-function parseCSV(text) {
-  const lines = text.trim().split('\n');
-  if (lines.length < 2) return [];
-
-  const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-  const rows = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => v.trim().replace(/^"|"$/g, ''));
-    const row = {};
-    headers.forEach((h, idx) => {
-      row[h] = values[idx] ?? '';
-    });
-    rows.push(row);
-  }
-  return rows;
-}
+const DEFAULT_COORDS = { x: 'X', y: 'Y', crs: 'EPSG:2263' };
 
 /**
- * Create a circular dot texture via a canvas.
- * @param {number} color  hex color (e.g. 0xff0000)
- * @param {number} [size=64]  canvas pixel size
- * @returns {THREE.CanvasTexture}
+ * Load a CSV file and add its point layer to the scene.
+ * Malformed rows (bad field counts, unparseable coordinates) are collected in
+ * the returned `errors` array and summarised in the console.
+ * @param {Object<string, string>} [columns] – per-column types passed to parseCSV
+ * @param {string} [key] – CONFIG.csvFiles key, used to look up detail-panel fields
+ * @param {object|null} [terrain] – sampler used to drape markers on the ground
+ * @param {{ x: string, y: string, crs: string }} [coords] – coordinate columns and CRS
+ * @returns {Promise<{ layer: object, rows: object[], errors: { line: number, message: string }[] }>}
+ *   errors by source line, as parseCSV reports them
  */
-function createDotTexture(color, size = 64) {
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-
-  const hex = '#' + new THREE.Color(color).getHexString();
-  const half = size / 2;
-  const radius = half * 0.72;
-
-  // Fill entire canvas with the dot color first, then punch the circle
-  // shape as an alpha mask using destination-in. This ensures anti-aliased
-  // edge pixels fade from full color → transparent (same hue) rather than
-  // blending into transparent-black, which would create a dark fringe ring.
-  ctx.fillStyle = hex;
-  ctx.fillRect(0, 0, size, size);
-  ctx.globalCompositeOperation = 'destination-in';
-  ctx.beginPath();
-  ctx.arc(half, half, radius, 0, Math.PI * 2);
-  ctx.fillStyle = 'black'; // color irrelevant with destination-in; only alpha matters
-  ctx.fill();
-  ctx.globalCompositeOperation = 'source-over';
-
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.colorSpace = THREE.SRGBColorSpace;  // ensure colors display at full vibrancy
-  texture.needsUpdate = true;
-  return texture;
-}
-
-/**
- * Convert an EPSG:2263 (X, Y) pair (US survey feet) into the Three.js
- * scene coordinate system (metres, Y-up, origin-offset applied).
- */
-function toSceneCoords(xEpsg, yEpsg) {
-  const ft2m = CONFIG.feetToMeters;
-  const off  = CONFIG.originOffset;
-
-  return new THREE.Vector3(
-    xEpsg * ft2m - off.x,
-    CONFIG.marker.heightOffset - off.y,
-    -(yEpsg * ft2m) - off.z
-  );
-}
-
-/**
- * Load a CSV file and add sprite markers to the scene.
- * Sprites use sizeAttenuation=true with dynamic scale adjustment for constant screen size.
- */
-export async function loadCSVPoints(scene, csvPath, color, darkColor, label) {
+export async function loadCSVPoints(scene, csvPath, color, darkColor, label, columns, key = label, terrain = null, coords = DEFAULT_COORDS) {
   const response = await fetch(csvPath);
+  if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${csvPath}`);
   const text = await response.text();
-  const rows = parseCSV(text);
+  const { rows, lines, errors } = parseCSV(text, { columns });
 
-  const lightTex = createDotTexture(color);
-  const darkTex  = createDotTexture(darkColor ?? color);
+  const positions = [];
+  const records = [];
 
-  const material = new THREE.SpriteMaterial({
-    map: lightTex,
-    sizeAttenuation: true,    // world-unit sizing; we dynamically adjust scale for constant screen size
-    transparent: true,
-    depthWrite: false,
-    depthTest: false,         // always render on top of geometry
-    blending: THREE.NormalBlending,
-    toneMapped: false,        // bypass ACES tone mapping so colors match the hex exactly
-  });
-
-  const group = new THREE.Group();
-  group.name = label;
-  group.renderOrder = 999;    // ensure dots draw after all other objects
-
-  const markerSize = CONFIG.marker.worldSize;
+  const crs = coords.crs || 'EPSG:2263';
 
-  rows.forEach((row) => {
-    const x = parseFloat(row.X);
-    const y = parseFloat(row.Y);
-    if (Number.isNaN(x) || Number.isNaN(y)) return;
+  rows.forEach((row, idx) => {
+    const a = parseFloat(row[coords.x]);
+    const b = parseFloat(row[coords.y]);
+    if (Number.isNaN(a) || Number.isNaN(b)) {
+      errors.push({ line: lines[idx], message: `Missing or invalid ${coords.x}/${coords.y} coordinates` });
+      return;
+    }
 
-    const pos = toSceneCoords(x, y);
-    // Share material across sprites — no clone needed; all dots in a group look identical
-    const sprite = new THREE.Sprite(material);
-    sprite.position.copy(pos);
+    // Everything downstream works in EPSG:2263 feet
+    const { x, y } = toStatePlane(a, b, crs);
+    const { lon, lat } = statePlaneToLonLat(x, y);
 
-    sprite.scale.set(markerSize, markerSize, 1);
+    const pos = toSceneCoords(x, y, terrain);
+    positions.push(pos.x, pos.y, pos.z);
 
-    // Attach metadata for raycasting / tooltips
-    sprite.userData = {
+    // Per-point metadata for picking / tooltips / the detail panel
+    records.push({
       type: label,
+      key,
+      row,
       handle: row.EntityHandle || '',
       text: row.Text || '',
       coordX: x,
-      coordY: y
-    };
+      coordY: y,
+      lon,
+      lat
+    });
+  });
 
-    group.add(sprite);
+  const layer = createPointLayer({
+    key, label, color, darkColor,
+    positions: new Float32Array(positions),
+    records
   });
+  scene.add(layer.object);
 
-  scene.add(group);
-  console.log(`[csvLoader] ${label}: ${group.children.length} points loaded from ${csvPath}`);
-  return { group, rows, material, lightTex, darkTex };
+  console.log(`[csvLoader] ${label}: ${layer.count} points loaded from ${csvPath}`);
+  errors.sort((a, b) => a.line - b.line);
+  if (errors.length) {
+    console.warn(`[csvLoader] ${label}: ${errors.length} malformed row(s) in ${csvPath}`, errors.slice(0, 20));
+  }
+  return { layer, rows, errors };
 }
 
 /**
  * Convenience: load all CSV datasets defined in CONFIG.
+ * A dataset declaring an unsupported CRS is skipped with a warning.
+ * @param {THREE.Scene} scene
+ * @param {object|null} [terrain] – sampler used to drape markers on the ground
  */
-export async function loadAllCSV(scene) {
+export async function loadAllCSV(scene, terrain = null) {
+  if (CONFIG.terrain?.drape === false) terrain = null;
   const results = {};
   for (const [key, cfg] of Object.entries(CONFIG.csvFiles)) {
-    results[key] = await loadCSVPoints(scene, cfg.path, cfg.color, cfg.darkColor, cfg.label);
+    const coords = { ...DEFAULT_COORDS, ...cfg.coords };
+    if (!isSupportedCRS(coords.crs || DEFAULT_COORDS.crs)) {
+      console.warn(`[csvLoader] Skipping ${cfg.label || key}: unsupported CRS "${coords.crs}"`);
+      continue;
+    }
+    results[key] = await loadCSVPoints(scene, cfg.path, cfg.color, cfg.darkColor, cfg.label, cfg.columns, key, terrain, coords);
   }
   return results;
 }
@@ -0,0 +1,163 @@
+/**
+ * csvParser.js – RFC 4180 CSV parser.
+ *
+ * Handles quoted delimiters, escaped quotes (""), CRLF / CR / LF line
+ * endings, embedded newlines inside quoted fields and a leading UTF-8 BOM.
+ * Fields are cleaned per column type and any malformed row is reported in
+ * `errors` rather than silently dropped or shifted.
+ *
+ * Column types:
+ *   'string' (default) – trim leading/trailing whitespace
+ *   'number'           – trim, and report values that are not numeric
+ *   'raw'              – keep the field exactly as written
+ */
+
+const DELIMITER = ',';
+const QUOTE = '"';
+
+/**
+ * Split CSV text into records of raw field strings.
+ * Each record remembers the (1-based) line it started on for error reporting.
+ * @param {string} text
+ * @returns {{ records: { line: number, fields: string[] }[], errors: { line: number, message: string }[] }}
+ */
+function tokenize(text) {
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;   // just closed a quoted section, expecting delimiter / EOL
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;   // skip BOM
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    // Skip completely empty lines (a single empty field)
+    if (!(fields.length === 1 && fields[0] === '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === QUOTE) {
+        if (text[i + 1] === QUOTE) {   // escaped quote
+          field += QUOTE;
+          i++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else {
+        if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === DELIMITER) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (ch === QUOTE) {
+      if (field === '' && !afterQuote) {
+        inQuotes = true;
+      } else {
+        errors.push({ line, message: `Unexpected quote in unquoted field "${field}"` });
+        field += ch;
+      }
+    } else {
+      if (afterQuote && !/\s/.test(ch)) {
+        errors.push({ line, message: `Unexpected character "${ch}" after closing quote` });
+        afterQuote = false;
+      }
+      if (!afterQuote) field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Unterminated quoted field at end of file' });
+  }
+  if (field !== '' || fields.length) endRecord();
+
+  return { records, errors };
+}
+
+/**
+ * Clean one field according to its column type.
+ * @returns {{ value: string, error: string|null }}
+ */
+function cleanField(raw, type) {
+  if (type === 'raw') return { value: raw, error: null };
+
+  const value = raw.trim();
+  if (type === 'number' && value !== '' && !Number.isFinite(Number(value))) {
+    return { value, error: `not a number: "${value}"` };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Parse CSV text into an array of row objects keyed by header.
+ *
+ * Rows whose field count does not match the header are reported and left out
+ * (their later columns would otherwise be shifted). Rows with a type problem
+ * are reported but kept, so callers can decide what to do with them.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {Object<string, 'string'|'number'|'raw'>} [opts.columns] – per-column types
+ * @returns {{ headers: string[], rows: object[], lines: number[], errors: { line: number, message: string }[] }}
+ *   `lines` holds the line each row started on, for callers' own error reports
+ */
+export function parseCSV(text, opts = {}) {
+  const types = opts.columns || {};
+  const { records, errors } = tokenize(text);
+  if (!records.length) return { headers: [], rows: [], lines: [], errors };
+
+  const headers = records[0].fields.map(h => h.trim());
+  const rows = [];
+  const lines = [];
+
+  for (let r = 1; r < records.length; r++) {
+    const { line, fields } = records[r];
+
+    if (fields.length !== headers.length) {
+      errors.push({
+        line,
+        message: `Expected ${headers.length} fields but found ${fields.length}`
+      });
+      continue;
+    }
+
+    const row = {};
+    const problems = [];
+    headers.forEach((h, idx) => {
+      const { value, error } = cleanField(fields[idx], types[h] || 'string');
+      row[h] = value;
+      if (error) problems.push(`${h} ${error}`);
+    });
+
+    if (problems.length) errors.push({ line, message: problems.join('; ') });
+    rows.push(row);
+    lines.push(line);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { headers, rows, lines, errors };
+}
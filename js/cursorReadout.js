@@ -0,0 +1,161 @@
+/**
+ * cursorReadout.js – Live ground coordinates under the pointer, in the footer.
+ *
+ * Shows EPSG:2263 easting / northing (feet), WGS84 lat / lon and the ground
+ * elevation for whatever terrain point is under the cursor. While the pointer
+ * moves, the position comes from the terrain heightfield (cheap enough for
+ * every frame); once it rests, an exact raycast against the topography mesh
+ * refines it. Scene positions are mapped back through fromSceneCoords (the
+ * inverse of toSceneCoords / CONFIG.originOffset).
+ *
+ * Clicking empty ground, or the readout itself, copies the position in the
+ * format picked next to it.
+ */
+import * as THREE from 'three';
+import { fromSceneCoords, statePlaneToLonLat } from './projection.js';
+import { onGroundClick } from './utils.js';
+
+const REFINE_DELAY = 120;   // ms the pointer must rest before the mesh raycast
+
+const FORMATS = {
+  epsg2263: 'E/N ft',
+  latlon:   'Lat, lon',
+  dms:      'DMS',
+  full:     'All'
+};
+
+/** Degrees → 40°42′44.4″N style. */
+function dms(deg, pos, neg) {
+  const a = Math.abs(deg);
+  const d = Math.floor(a);
+  const m = Math.floor((a - d) * 60);
+  const s = ((a - d) * 60 - m) * 60;
+  return `${d}°${String(m).padStart(2, '0')}′${s.toFixed(1).padStart(4, '0')}″${deg >= 0 ? pos : neg}`;
+}
+
+/**
+ * Text for a ground position.
+ * @param {{ x: number, y: number, lon: number, lat: number, elevationFt: number, elevationM: number }} p
+ * @param {keyof FORMATS} format
+ */
+export function formatPosition(p, format) {
+  switch (format) {
+    case 'epsg2263': return `${p.x.toFixed(2)}, ${p.y.toFixed(2)}`;
+    case 'latlon':   return `${p.lat.toFixed(6)}, ${p.lon.toFixed(6)}`;
+    case 'dms':      return `${dms(p.lat, 'N', 'S')} ${dms(p.lon, 'E', 'W')}`;
+    default:
+      return `E ${p.x.toFixed(2)} ft, N ${p.y.toFixed(2)} ft (EPSG:2263); ` +
+        `${p.lat.toFixed(6)}, ${p.lon.toFixed(6)} (WGS84); ` +
+        `elevation ${p.elevationFt.toFixed(1)} ft (${p.elevationM.toFixed(2)} m)`;
+  }
+}
+
+/**
+ * Attach the readout to the footer.
+ * @param {HTMLElement} el – container inside the footer
+ * @param {object} view – { camera, renderer, terrain, onFrame, onCameraChange }
+ * @returns {{ getPosition: Function }}
+ */
+export function setupCursorReadout(el, { camera, renderer, terrain, onFrame, onCameraChange }) {
+  if (!terrain) {
+    el.remove();
+    return { getPosition: () => null };
+  }
+  onCameraChange?.((c) => { camera = c; });
+
+  const canvas = renderer.domElement;
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+  const lastCamera = new THREE.Matrix4();
+
+  let pointer = null;        // latest { clientX, clientY } over the canvas
+  let dirty = false;
+  let refineTimer = 0;
+  let position = null;       // last ground position (kept when the pointer leaves)
+  let format = 'full';
+  let flashTimer = 0;
+
+  el.innerHTML = `
+    <button class="readout-value" title="Copy coordinates">Move over the terrain</button>
+    <select class="readout-format" aria-label="Copy format">
+      ${Object.entries(FORMATS).map(([k, v]) => `<option value="${k}"${k === format ? ' selected' : ''}>${v}</option>`).join('')}
+    </select>`;
+  const valueEl = el.querySelector('.readout-value');
+  const formatSel = el.querySelector('.readout-format');
+
+  function render() {
+    if (!position) return;
+    const p = position;
+    const en = `E ${p.x.toLocaleString(undefined, { maximumFractionDigits: 0 })}  N ${p.y.toLocaleString(undefined, { maximumFractionDigits: 0 })} ft`;
+    const ll = `${Math.abs(p.lat).toFixed(5)}°${p.lat >= 0 ? 'N' : 'S'} ${Math.abs(p.lon).toFixed(5)}°${p.lon >= 0 ? 'E' : 'W'}`;
+    valueEl.textContent = `${en} · ${ll} · El. ${p.elevationFt.toFixed(1)} ft`;
+    el.classList.toggle('readout-stale', !pointer);
+  }
+
+  /** Ground point under the pointer: heightfield, or the exact mesh hit. */
+  function locate(exact) {
+    const rect = canvas.getBoundingClientRect();
+    ndc.set(((pointer.clientX - rect.left) / rect.width) * 2 - 1, -((pointer.clientY - rect.top) / rect.height) * 2 + 1);
+    raycaster.setFromCamera(ndc, camera);
+    const hit = exact
+      ? raycaster.intersectObjects(terrain.meshes, false)[0]?.point
+      : terrain.intersectRay(raycaster.ray);
+    if (!hit) return;
+
+    const sp = fromSceneCoords(hit);
+    position = { ...sp, ...statePlaneToLonLat(sp.x, sp.y) };
+    render();
+  }
+
+  canvas.addEventListener('pointermove', (e) => {
+    pointer = { clientX: e.clientX, clientY: e.clientY };
+    dirty = true;
+  });
+  canvas.addEventListener('pointerleave', () => {
+    pointer = null;
+    clearTimeout(refineTimer);
+    render();
+  });
+
+  onFrame(() => {
+    if (!camera.matrixWorld.equals(lastCamera)) {
+      lastCamera.copy(camera.matrixWorld);
+      if (pointer) dirty = true;
+    }
+    if (!dirty || !pointer) return;
+    dirty = false;
+    locate(false);
+    clearTimeout(refineTimer);
+    refineTimer = setTimeout(() => { if (pointer) locate(true); }, REFINE_DELAY);
+  });
+
+  /* --- Copy --- */
+  function flash(text) {
+    el.dataset.flash = text;
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(() => delete el.dataset.flash, 1500);
+  }
+
+  async function copy() {
+    if (!position) return;
+    const text = formatPosition(position, format);
+    try {
+      await navigator.clipboard.writeText(text);
+      flash('Copied');
+    } catch (err) {
+      console.warn('[cursorReadout] Clipboard unavailable:', err);
+      flash('Copy failed');
+    }
+  }
+
+  valueEl.addEventListener('click', copy);
+  formatSel.addEventListener('change', () => { format = formatSel.value; });
+  onGroundClick(() => {
+    if (pointer) copy();
+  });
+
+  return {
+    /** Last ground position under the pointer, or null. */
+    getPosition: () => position
+  };
+}
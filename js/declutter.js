@@ -0,0 +1,229 @@
+/**
+ * declutter.js – Keeps CSS2D labels and image anchors readable.
+ *
+ * Runs after labelRenderer.render (see viewer.onAfterRender) whenever the
+ * camera, the viewport or the surrounding UI changes:
+ *
+ *  - Occlusion: an anchor whose line of sight to the camera passes through
+ *    the terrain or a building (heightfields from terrain.js) fades to
+ *    CONFIG.declutter.occludedOpacity and yields its space to visible ones.
+ *  - Collisions: anchors are placed greedily by priority (manifest
+ *    `priority`, else images before labels). One that overlaps an anchor
+ *    already placed, or the legend / header / open panels, is nudged to the
+ *    first free slot around its anchor and tied back with a leader line; if
+ *    no slot is free it is hidden until there is room again.
+ *
+ * Screen rectangles are derived from projected anchor positions and cached
+ * element sizes, so a pass costs no layout reads while the camera moves.
+ * Nudges use the CSS `translate` property, which composes with the
+ * `transform` CSS2DRenderer rewrites every frame.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** UI that labels should not sit under. */
+const OBSTACLES = '#legend, #header, #footer, #hud, .side-panel:not(.hidden), #timeline:not(.hidden), #tour-player:not(.hidden)';
+
+const OBSTACLE_REFRESH = 500;   // ms between re-reading the UI rectangles
+
+/**
+ * True if two { x0, y0, x1, y1 } rectangles overlap, with `pad` px spacing.
+ */
+export function rectsOverlap(a, b, pad = 0) {
+  return a.x0 < b.x1 + pad && b.x0 < a.x1 + pad && a.y0 < b.y1 + pad && b.y0 < a.y1 + pad;
+}
+
+/**
+ * Candidate offsets for a w × h box around its anchor: in place first, then
+ * above, below, right, left and the diagonals, at `gap` px.
+ */
+export function nudgeOffsets(w, h, gap) {
+  const dy = h + gap, dx = w / 2 + gap;
+  return [[0, 0], [0, -dy], [0, dy], [dx + w / 2, 0], [-dx - w / 2, 0],
+    [dx, -dy], [-dx, -dy], [dx, dy], [-dx, dy]];
+}
+
+/**
+ * Start decluttering a set of anchors.
+ * @param {{ object: CSS2DObject, kind: string, entry: object }[]} anchors – from loadLabelManifest()
+ * @param {object} view – { camera, renderer, terrain, onAfterRender, onCameraChange }
+ * @returns {{ update: Function, setEnabled: Function }}
+ */
+export function setupDeclutter(anchors, { camera, renderer, terrain, onAfterRender, onCameraChange }) {
+  onCameraChange?.((c) => { camera = c; });
+  const cfg = CONFIG.declutter;
+  const container = renderer.domElement.parentElement;
+
+  const items = anchors.map(({ object, kind, entry }) => ({
+    object, kind,
+    el: object.element,
+    priority: entry.priority ?? (kind === 'image' ? 2 : 1),
+    size: null,            // cached [w, h] of the un-nudged element
+    nudge: [0, 0],
+    state: 'shown'         // 'shown' | 'nudged' | 'hidden' | 'occluded'
+  })).sort((a, b) => b.priority - a.priority);
+
+  // Leader lines sit between the WebGL canvas and the label layer
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.classList.add('declutter-leaders');
+  svg.setAttribute('aria-hidden', 'true');
+  container.insertBefore(svg, document.getElementById('label-renderer'));
+  container.style.setProperty('--occluded-opacity', String(cfg.occludedOpacity));
+
+  let enabled = cfg.enabled;
+  let dirty = true;
+  let obstacles = [];
+  let obstaclesAt = 0;
+  const lastView = new THREE.Matrix4();
+  let lastZoom = NaN;
+
+  const v = new THREE.Vector3();
+  const toCamera = new THREE.Vector3();
+  const far = new THREE.Vector3();
+  const reach = terrain ? terrain.box.getSize(new THREE.Vector3()).length() : 0;
+
+  /* --- Measurements --- */
+  function measure(item) {
+    // offsetWidth ignores transforms, so the nudge doesn't skew it
+    item.size = [item.el.offsetWidth, item.el.offsetHeight];
+  }
+
+  function readObstacles() {
+    const box = container.getBoundingClientRect();
+    obstacles = [...document.querySelectorAll(OBSTACLES)]
+      .map(el => el.getBoundingClientRect())
+      .filter(r => r.width && r.height)
+      .map(r => ({ x0: r.left - box.left, y0: r.top - box.top, x1: r.right - box.left, y1: r.bottom - box.top }));
+    obstaclesAt = performance.now();
+  }
+
+  /** Terrain between the anchor and the camera? */
+  function occluded(pos) {
+    if (!terrain || !cfg.occlusion) return false;
+    if (camera.isPerspectiveCamera) {
+      far.copy(camera.position);
+    } else {
+      camera.getWorldDirection(toCamera).negate();
+      far.copy(pos).addScaledVector(toCamera, reach);
+    }
+    return terrain.isOccluded(pos, far, cfg.occlusionClearance);
+  }
+
+  /* --- Pass --- */
+  function setState(item, state, nudge = [0, 0]) {
+    if (item.nudge[0] !== nudge[0] || item.nudge[1] !== nudge[1]) {
+      item.nudge = nudge;
+      item.el.style.translate = nudge[0] || nudge[1] ? `${nudge[0]}px ${nudge[1]}px` : '';
+    }
+    if (item.state === state) return;
+    item.state = state;
+    item.el.classList.toggle('declutter-hidden', state === 'hidden');
+    item.el.classList.toggle('declutter-occluded', state === 'occluded');
+  }
+
+  function layout() {
+    const w = container.clientWidth, h = container.clientHeight;
+    const placed = [];
+    const occludedItems = [];
+    const leaders = [];
+
+    const tryPlace = (item, sx, sy, allowNudge) => {
+      const [iw, ih] = item.size;
+      const offsets = allowNudge && cfg.nudge ? nudgeOffsets(iw, ih, cfg.gap) : [[0, 0]];
+      for (const [dx, dy] of offsets) {
+        const r = { x0: sx + dx - iw / 2, y0: sy + dy - ih / 2, x1: sx + dx + iw / 2, y1: sy + dy + ih / 2 };
+        if (r.x0 < 0 || r.y0 < 0 || r.x1 > w || r.y1 > h) continue;
+        if (placed.some(p => rectsOverlap(r, p, cfg.padding))) continue;
+        if (obstacles.some(o => rectsOverlap(r, o, cfg.padding))) continue;
+        placed.push(r);
+        return [dx, dy, r];
+      }
+      return null;
+    };
+
+    for (const item of items) {
+      // Out of zoom range (labels.js) or behind the camera: nothing to place
+      if (!item.object.visible || item.el.style.display === 'none') continue;
+      if (!item.size || !item.size[0]) measure(item);
+
+      item.object.getWorldPosition(v);
+      const pos = v.clone();
+      v.project(camera);
+      const sx = (v.x + 1) / 2 * w, sy = (1 - v.y) / 2 * h;
+
+      if (occluded(pos)) {
+        occludedItems.push([item, sx, sy]);
+        continue;
+      }
+      const spot = tryPlace(item, sx, sy, true);
+      if (!spot) { setState(item, 'hidden'); continue; }
+      const [dx, dy, r] = spot;
+      setState(item, dx || dy ? 'nudged' : 'shown', [dx, dy]);
+      if (dx || dy) leaders.push([sx, sy, r]);
+    }
+
+    // Occluded anchors keep their faded place only where nothing visible is
+    for (const [item, sx, sy] of occludedItems) {
+      setState(item, tryPlace(item, sx, sy, false) ? 'occluded' : 'hidden');
+    }
+
+    drawLeaders(leaders, w, h);
+  }
+
+  /** Lines from each nudged anchor to the nearest point of its box. */
+  function drawLeaders(leaders, w, h) {
+    svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+    svg.replaceChildren(...leaders.map(([ax, ay, r]) => {
+      const line = document.createElementNS(SVG_NS, 'line');
+      line.setAttribute('x1', ax);
+      line.setAttribute('y1', ay);
+      line.setAttribute('x2', THREE.MathUtils.clamp(ax, r.x0, r.x1));
+      line.setAttribute('y2', THREE.MathUtils.clamp(ay, r.y0, r.y1));
+      return line;
+    }));
+  }
+
+  function reset() {
+    for (const item of items) setState(item, 'shown');
+    svg.replaceChildren();
+  }
+
+  onAfterRender(() => {
+    if (!enabled || !items.length) return;
+
+    if (!camera.matrixWorldInverse.equals(lastView) || camera.zoom !== lastZoom) {
+      lastView.copy(camera.matrixWorldInverse);
+      lastZoom = camera.zoom;
+      dirty = true;
+    }
+    if (performance.now() - obstaclesAt > OBSTACLE_REFRESH) {
+      const before = JSON.stringify(obstacles);
+      readObstacles();
+      if (JSON.stringify(obstacles) !== before) dirty = true;
+    }
+    if (!dirty) return;
+    dirty = false;
+    layout();
+  });
+
+  window.addEventListener('resize', () => {
+    for (const item of items) item.size = null;   // fonts may follow the viewport
+    obstaclesAt = 0;
+    dirty = true;
+  });
+
+  return {
+    /** Force a pass on the next frame (e.g. after changing a label's text). */
+    update() {
+      for (const item of items) item.size = null;
+      dirty = true;
+    },
+    /** Turn decluttering on or off; off shows every anchor in place. */
+    setEnabled(on) {
+      enabled = on;
+      if (on) dirty = true; else reset();
+    }
+  };
+}
@@ -1,59 +1,49 @@
 /**
  * detailPanel.js – Dataset detail overlay.
  *
- * When a user clicks a data-point sprite, this module slides in a full-screen
- * panel showing the dataset title and placeholder body text.
+ * When a user clicks a data point, this module slides in a full-screen
+ * panel showing that feature's own attribute record (labelled per dataset via
+ * CONFIG.csvFiles[key].fields) and coordinates, followed by the dataset
+ * description.
  * Pressing the browser Back button or the on-screen "← Back" button returns
- * to the 3D map view.
+ * to the 3D map view. Opening a feature pushes a history entry whose URL
+ * names it (`key/id`); urlState.js folds that into the full view state.
  *
- * Future-proof: content is keyed by the dataset `type` string (e.g. "CSO",
- * "NPDES"). Add entries to DATASET_CONTENT to extend.
+ * Future-proof: dataset descriptions are keyed by the dataset `type` string
+ * (e.g. "CSO", "NPDES"). Add entries to DATASET_CONTENT to extend.
  */
+import CONFIG from '../config/config.js';
 
 /* ---------- Per-dataset content (extend this object for new datasets) ---------- */
+const RCRA_CONTENT = {
+  title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
+  body: `Handlers of hazardous waste registered with the EPA under the Resource
+         Conservation and Recovery Act, from the RCRAInfo national database.
+         Each site is classified by its federal generator status (large, small
+         or very small quantity generator), whether it transports hazardous
+         waste, and whether it operates a treatment, storage or disposal
+         facility (TSDF).`,
+  image: './assets/images/rcra.jpg'
+};
+
 const DATASET_CONTENT = {
   CSO: {
     title: 'Combined Sewer Overflow (CSO)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed vehicula
-           libero at urna pretium, nec ullamcorper justo viverra. Fusce tincidunt
-           eros id sapien laoreet, eget mollis nulla facilisis. Vestibulum ante
-           ipsum primis in faucibus orci luctus et ultrices posuere cubilia curae;
-           Donec euismod quam vel leo cursus, at efficitur risus bibendum.
-           Pellentesque habitant morbi tristique senectus et netus et malesuada
-           fames ac turpis egestas. Curabitur at feugiat tortor. Integer
-           condimentum, nulla at fermentum volutpat, sapien lacus interdum dolor,
-           vel ultricies erat enim nec sem.`
+    body: `Outfalls where New York City's combined sewer system discharges a
+           mix of stormwater and untreated sewage into surrounding waterways
+           when heavy rain exceeds the capacity of the treatment plants. Points
+           are outfall locations from the NYC DEP CSO inventory.`
   },
   NPDES: {
     title: 'National Pollutant Discharge Elimination System (NPDES)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Morbi
-           scelerisque lectus nec magna tempor, a sodales eros dictum. Praesent
-           ullamcorper augue in ante vestibulum, quis tincidunt nisl pharetra.
-           Aenean dapibus felis at dui fermentum, vel elementum magna venenatis.
-           Nullam vehicula dui eu libero euismod, vel commodo nisi bibendum.
-           Aliquam erat volutpat. Suspendisse potenti. Nam malesuada risus nec
-           facilisis hendrerit. Vivamus in urna a turpis vestibulum iaculis.`
-  },
-  RCRA: {
-    title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Etiam facilisis, urna at cursus dictum, nisi erat dictum erat, nec dictum urna erat nec erat.`,
-    image: './assets/images/rcra.jpg'
-  },
-  'Regulated Hazardous Waste Management Facilities (RCRA)': {
-    title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Etiam facilisis, urna at cursus dictum, nisi erat dictum erat, nec dictum urna erat nec erat.`,
-    image: './assets/images/rcra.jpg'
+    body: `Permitted point-source discharges to surface water under the Clean
+           Water Act. Each NPDES permit sets effluent limits and monitoring
+           requirements for what a facility may release through its outfalls.`
   },
-  RCRA_2263_CLIPPED: {
-    title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Etiam facilisis, urna at cursus dictum, nisi erat dictum erat, nec dictum urna erat nec erat.`,
-    image: './assets/images/rcra.jpg'
-  },
-  rcra_2263_clipped: {
-    title: 'Regulated Hazardous Waste Management Facilities (RCRA)',
-    body: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Etiam facilisis, urna at cursus dictum, nisi erat dictum urna erat nec erat.`,
-    image: './assets/images/rcra.jpg'
-  }
+  RCRA: RCRA_CONTENT,
+  'Regulated Hazardous Waste Management Facilities (RCRA)': RCRA_CONTENT,
+  RCRA_2263_CLIPPED: RCRA_CONTENT,
+  rcra_2263_clipped: RCRA_CONTENT
 };
 
 /** Fallback for datasets not yet in the lookup. */
@@ -64,10 +54,122 @@ function fallbackContent(type) {
   };
 }
 
+/* ---------- Per-feature record ---------- */
+
+const fmtCoord = (v, digits) =>
+  Number.isFinite(v) ? v.toLocaleString(undefined, { maximumFractionDigits: digits }) : '—';
+
+/**
+ * Build detail-panel content for a single feature.
+ * @param {object} data  point record: { type, key, row, coordX, coordY, lon, lat }
+ * @returns {object} content for openDetail
+ */
+export function featureContent(data) {
+  const cfg = CONFIG.csvFiles[data.key] || CONFIG.geojsonLayers?.[data.key] || {};
+  const row = data.row || {};
+  const dataset = DATASET_CONTENT[data.type] || (cfg.description
+    ? { title: cfg.title || data.type, body: cfg.description }
+    : fallbackContent(data.type));
+
+  // Attribute rows: configured fields, or every column / property if none are configured
+  const fields = cfg.fields || Object.keys(row).map(k => ({ key: k, label: k }));
+  const record = fields.map(f => {
+    const raw = row[f.key] ?? '';
+    return { label: f.label, value: f.values?.[raw] ?? (raw === '' ? '—' : raw) };
+  });
+
+  record.push({ group: 'Coordinates' });
+  record.push({ label: 'Easting (EPSG:2263 ft)',  value: fmtCoord(data.coordX, 2) });
+  record.push({ label: 'Northing (EPSG:2263 ft)', value: fmtCoord(data.coordY, 2) });
+  record.push({ label: 'Latitude (WGS84)',  value: fmtCoord(data.lat, 6) });
+  record.push({ label: 'Longitude (WGS84)', value: fmtCoord(data.lon, 6) });
+
+  const id = row[cfg.titleField || cfg.nameField] || data.handle || data.text || '';
+  return {
+    subtitle: dataset.title,
+    title: id || data.type,
+    record,
+    about: 'About this dataset',
+    body: dataset.body,
+    image: dataset.image,
+    hash: `${data.key}/${encodeURIComponent(featureId(data))}`
+  };
+}
+
+/**
+ * Stable identifier of a feature within its dataset, as used in URLs:
+ * the EPA ID, CAD handle, or the configured title / name field.
+ */
+export function featureId(data) {
+  const cfg = CONFIG.csvFiles[data.key] || CONFIG.geojsonLayers?.[data.key] || {};
+  const row = data.row || {};
+  return String(row.ID_NUMBER || data.handle || row[cfg.titleField || cfg.nameField] || data.text || '');
+}
+
+/* ---------- History URLs ---------- */
+
+/** URL for a history entry: the open feature's `key/id` hash, or the bare page. */
+let detailHref = (hash) => hash ? `#${hash}` : window.location.pathname;
+
+/**
+ * Override how detail-panel history entries are addressed (see urlState.js).
+ * @param {(hash: string|null) => string} fn – receives the feature hash, or null when closing
+ */
+export function setDetailHref(fn) {
+  detailHref = fn;
+}
+
+/** Resolves a feature hash (`key/id`) back to its record, see setFeatureResolver(). */
+let resolveFeature = () => null;
+
+/**
+ * Let Back / Forward reopen feature entries through openFeatureDetail, so
+ * they get their actions again (see urlState.js).
+ * @param {(hash: string) => object|null} fn
+ */
+export function setFeatureResolver(fn) {
+  resolveFeature = fn;
+}
+
+/* ---------- Feature actions ---------- */
+
+/** @type {{ label: string, applies: Function, run: Function }[]} */
+const featureActions = [];
+
+/**
+ * Add a button to the record of matching features, e.g. "Find nearby".
+ * Running an action closes the panel first.
+ * @param {{ label: string, applies: (data: object) => boolean, run: (data: object) => void }} action
+ */
+export function registerDetailAction(action) {
+  featureActions.push(action);
+}
+
+/** Open the detail panel on a single feature's record. */
+export function openFeatureDetail(data) {
+  if (isOpen) return;
+  openDetail(featureContent(data));
+  if (!actionsEl) return;
+  for (const action of featureActions) {
+    if (!action.applies(data)) continue;
+    const btn = document.createElement('button');
+    btn.className = 'detail-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      closeDetail();
+      history.replaceState(null, '', detailHref(null));
+      action.run(data);
+    });
+    actionsEl.appendChild(btn);
+  }
+}
+
 /* ---------- DOM refs ---------- */
 let panel, titleEl, bodyEl, backBtn;
+let subtitleEl, recordEl, aboutEl, actionsEl;
 let mediaEl;
 let isOpen = false;
+let restoring = false;   // reopening from history: don't push another entry
 let domReady = false;
 let closedAt = 0;   // timestamp of last close, used to debounce re-open
 
@@ -75,6 +177,10 @@ function ensureDOM() {
   if (domReady) return;
   panel   = document.getElementById('detail-panel');
   titleEl = document.getElementById('detail-title');
+  subtitleEl = document.getElementById('detail-subtitle');
+  recordEl = document.getElementById('detail-record');
+  aboutEl = document.getElementById('detail-about');
+  actionsEl = document.getElementById('detail-actions');
   bodyEl  = document.getElementById('detail-body');
   // optional media element (created dynamically when needed)
   mediaEl = document.getElementById('detail-image') || null;
@@ -92,14 +198,14 @@ document.addEventListener('DOMContentLoaded', () => {
     e.stopImmediatePropagation();
     closeDetail();
     // Replace the history entry instead of going back, to avoid popstate re-opening
-    history.replaceState(null, '', window.location.pathname);
+    history.replaceState(null, '', detailHref(null));
   });
 
   panel?.addEventListener('pointerdown', (e) => {
     if (e.target === panel) {
       e.stopPropagation();
       closeDetail();
-      history.replaceState(null, '', window.location.pathname);
+      history.replaceState(null, '', detailHref(null));
     }
   });
 });
@@ -115,12 +221,17 @@ export function openDetail(payload) {
   if (typeof payload === 'string') {
     content = DATASET_CONTENT[payload] || fallbackContent(payload);
   } else {
-    // Expect an object like { title, body, image }
+    // Expect an object like { title, body, image } plus optional
+    // { subtitle, record: [{ label, value } | { group }], about, hash }
     content = payload || {};
   }
 
   titleEl.textContent = content.title || '';
   bodyEl.textContent  = content.body || '';
+  if (subtitleEl) subtitleEl.textContent = content.subtitle || '';
+  if (aboutEl)    aboutEl.textContent    = content.about || '';
+  if (recordEl)   renderRecord(content.record || []);
+  actionsEl?.replaceChildren();
 
   // Remove previous media if present
   const prev = document.getElementById('detail-image');
@@ -141,9 +252,32 @@ export function openDetail(payload) {
   isOpen = true;
 
   // Push a history entry so browser Back returns to the map
-  // If content came from a named type, preserve that in history, otherwise use 'image'
+  // If content came from a named type, preserve that in history; feature
+  // records carry their own hash; anything else uses 'image'
   const histType = (typeof payload === 'string') ? payload : 'image';
-  history.pushState({ detailPanel: true, type: histType }, '', `#${String(histType).toLowerCase()}`);
+  const hash = content.hash || String(histType).toLowerCase();
+  if (!restoring) {
+    history.pushState({ detailPanel: true, type: histType, content, feature: content.hash ?? null }, '', detailHref(hash));
+  }
+}
+
+/** Fill the <dl> with label/value pairs; `{ group }` entries start a section. */
+function renderRecord(record) {
+  recordEl.replaceChildren();
+  for (const item of record) {
+    if (item.group) {
+      const dt = document.createElement('dt');
+      dt.className = 'record-group';
+      dt.textContent = item.group;
+      recordEl.appendChild(dt);
+      continue;
+    }
+    const dt = document.createElement('dt');
+    dt.textContent = item.label;
+    const dd = document.createElement('dd');
+    dd.textContent = item.value;
+    recordEl.append(dt, dd);
+  }
 }
 
 export function closeDetail() {
@@ -168,6 +302,13 @@ window.addEventListener('popstate', (e) => {
   if (isOpen && !e.state?.detailPanel) {
     closeDetail();
   } else if (e.state?.detailPanel) {
-    openDetail(e.state.type);
+    restoring = true;
+    try {
+      const data = e.state.feature ? resolveFeature(e.state.feature) : null;
+      if (data) openFeatureDetail(data);
+      else openDetail(e.state.type === 'image' ? e.state.content : e.state.type);
+    } finally {
+      restoring = false;
+    }
   }
 });
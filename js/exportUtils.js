@@ -0,0 +1,44 @@
+/**
+ * exportUtils.js – Helpers for downloading analysis results (CSV, GeoJSON…).
+ */
+
+/** Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180). */
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialise rows to CSV.
+ * @param {string[]} headers – column names, in order
+ * @param {object[]} rows    – objects keyed by header
+ * @returns {string}
+ */
+export function toCSV(headers, rows) {
+  const lines = [headers.map(csvField).join(',')];
+  for (const row of rows) lines.push(headers.map(h => csvField(row[h])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Save text or a Blob as a file via a temporary link.
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} [type='text/csv']
+ */
+export function downloadBlob(content, filename, type = 'text/csv') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** A filesystem-safe file name fragment. */
+export function safeFilename(s) {
+  return String(s).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+}
@@ -0,0 +1,397 @@
+/**
+ * filterPanel.js – Attribute filters for point datasets.
+ *
+ * Columns are read from each loaded dataset's rows. Every column becomes one
+ * condition, shown according to its kind:
+ *   categorical – checkboxes (ticked values pass)
+ *   numeric     – min / max range (blank = open-ended)
+ *   text        – case-insensitive "contains"
+ * Kinds are inferred from the data unless the dataset's config lists them in
+ * `filterColumns` (which also limits which columns are offered).
+ *
+ * Active conditions are combined with AND or OR per dataset. Non-matching
+ * markers are hidden live through the layer's 'filter' mask, and the legend
+ * shows "filtered / total" counts.
+ *
+ * Filter state (per dataset key):
+ *   { mode: 'and'|'or', conditions: [
+ *       { column, type: 'set', values: [...] }
+ *     | { column, type: 'range', min, max }
+ *     | { column, type: 'contains', text } ] }
+ */
+
+const MAX_CATEGORIES = 500;          // non-numeric columns with more values are treated as text
+const MAX_NUMERIC_CATEGORIES = 20;   // numeric columns with few values still get checkboxes
+const SEARCHABLE_LIST = 12;          // show a search box above longer checkbox lists
+
+/* ---------- Pure helpers ---------- */
+
+/**
+ * Describe the filterable columns of a dataset.
+ * @param {object[]} rows
+ * @param {Object<string, 'categorical'|'numeric'|'text'>} [kinds] – explicit kinds (and column list)
+ * @returns {{ column: string, kind: string, values?: [string, number][], min?: number, max?: number }[]}
+ */
+export function describeColumns(rows, kinds) {
+  const columns = kinds ? Object.keys(kinds) : Object.keys(rows[0] || {});
+  const out = [];
+
+  for (const column of columns) {
+    const counts = new Map();
+    let numeric = true;
+    let min = Infinity, max = -Infinity;
+
+    for (const row of rows) {
+      const v = row[column] ?? '';
+      counts.set(v, (counts.get(v) || 0) + 1);
+      if (v === '') continue;
+      const n = Number(v);
+      if (Number.isFinite(n)) {
+        if (n < min) min = n;
+        if (n > max) max = n;
+      } else {
+        numeric = false;
+      }
+    }
+
+    let kind = kinds?.[column];
+    if (!kind) {
+      if (counts.size <= 1) continue;   // nothing to filter on
+      if (numeric) kind = counts.size <= MAX_NUMERIC_CATEGORIES ? 'categorical' : 'numeric';
+      else kind = counts.size <= MAX_CATEGORIES ? 'categorical' : 'text';
+    }
+
+    const desc = { column, kind };
+    if (kind === 'categorical') {
+      desc.values = [...counts.entries()].sort((a, b) =>
+        numeric ? Number(a[0]) - Number(b[0]) : String(a[0]).localeCompare(String(b[0])));
+    } else if (kind === 'numeric') {
+      desc.min = min;
+      desc.max = max;
+    }
+    out.push(desc);
+  }
+  return out;
+}
+
+/** A condition only takes part once the user has set something on it. */
+export function isConditionActive(c) {
+  if (c.type === 'set') return c.values.length > 0;
+  if (c.type === 'range') return c.min != null || c.max != null;
+  if (c.type === 'contains') return !!c.text;
+  return false;
+}
+
+/** Test one row against one condition. */
+export function matchesCondition(row, c) {
+  const v = row[c.column] ?? '';
+  if (c.type === 'set') return c.values.includes(v);
+  if (c.type === 'range') {
+    if (v === '') return false;
+    const n = Number(v);
+    return (c.min == null || n >= c.min) && (c.max == null || n <= c.max);
+  }
+  if (c.type === 'contains') return String(v).toLowerCase().includes(c.text.toLowerCase());
+  return true;
+}
+
+/**
+ * Test a row against a dataset filter. No active conditions → everything passes.
+ * @param {object} row
+ * @param {{ mode: 'and'|'or', conditions: object[] }} filter
+ */
+export function matchesFilter(row, filter) {
+  const active = filter.conditions.filter(isConditionActive);
+  if (!active.length) return true;
+  return filter.mode === 'or'
+    ? active.some(c => matchesCondition(row, c))
+    : active.every(c => matchesCondition(row, c));
+}
+
+/* ---------- Panel ---------- */
+
+/**
+ * Build the filter panel for every CSV layer in the registry.
+ * @param {HTMLElement} panelEl
+ * @param {object} registry – see layerRegistry.js
+ * @returns {{ open: Function, close: Function, toggle: Function, getState: Function, setState: Function, onChange: Function, onToggle: Function }}
+ */
+export function createFilterPanel(panelEl, registry) {
+  const datasets = registry.list().filter(e => e.kind === 'csv');
+  const columnsByKey = {};
+  for (const e of datasets) {
+    columnsByKey[e.key] = describeColumns(e.layer.records.map(r => r.row), e.cfg.filterColumns);
+  }
+
+  /** @type {Object<string, { mode: string, conditions: Object<string, object> }>} */
+  const state = {};
+  const listeners = new Set();
+  let currentKey = datasets[0]?.key ?? null;
+  let applyQueued = false;
+
+  function emptyFilter(key) {
+    const conditions = {};
+    for (const col of columnsByKey[key]) {
+      conditions[col.column] =
+        col.kind === 'categorical' ? { column: col.column, type: 'set', values: [] }
+        : col.kind === 'numeric'   ? { column: col.column, type: 'range', min: null, max: null }
+        :                            { column: col.column, type: 'contains', text: '' };
+    }
+    return { mode: 'and', conditions };
+  }
+  for (const e of datasets) state[e.key] = emptyFilter(e.key);
+
+  /** Readable text for a raw value, using the dataset's field `values` map. */
+  function valueLabel(entry, column, value) {
+    const field = entry.cfg.fields?.find(f => f.key === column);
+    const text = field?.values?.[value] ?? value;
+    return text === '' ? '(blank)' : text;
+  }
+  function columnLabel(entry, column) {
+    return entry.cfg.fields?.find(f => f.key === column)?.label || column;
+  }
+
+  /* --- Apply filters to layers --- */
+  function applyKey(key) {
+    const entry = registry.get(key);
+    const f = state[key];
+    const filter = { mode: f.mode, conditions: Object.values(f.conditions) };
+    if (!filter.conditions.some(isConditionActive)) {
+      entry.layer.setMask('filter', null);
+      return;
+    }
+    const records = entry.layer.records;
+    const mask = new Uint8Array(records.length);
+    for (let i = 0; i < records.length; i++) mask[i] = matchesFilter(records[i].row, filter) ? 1 : 0;
+    entry.layer.setMask('filter', mask);
+  }
+
+  /** Batch rapid input events into one apply per frame. */
+  function scheduleApply(key) {
+    if (applyQueued) return;
+    applyQueued = true;
+    requestAnimationFrame(() => {
+      applyQueued = false;
+      applyKey(key);
+      registry.notify('counts');
+      updateSummary();
+      for (const fn of listeners) fn(getState());
+    });
+  }
+
+  /* --- DOM --- */
+  panelEl.replaceChildren();
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Filters</span>
+      <button class="side-panel-close" aria-label="Close filters">&times;</button>
+    </div>
+    <label class="filter-row">
+      <span class="filter-caption">Dataset</span>
+      <select class="filter-dataset"></select>
+    </label>
+    <div class="filter-row filter-mode" role="radiogroup" aria-label="Combine conditions">
+      <label><input type="radio" name="filter-mode" value="and" checked> Match all (AND)</label>
+      <label><input type="radio" name="filter-mode" value="or"> Match any (OR)</label>
+    </div>
+    <div class="filter-columns"></div>
+    <div class="side-panel-footer">
+      <span class="filter-summary"></span>
+      <button class="panel-btn filter-clear">Clear</button>
+    </div>`;
+
+  const datasetSel = panelEl.querySelector('.filter-dataset');
+  const columnsEl = panelEl.querySelector('.filter-columns');
+  const summaryEl = panelEl.querySelector('.filter-summary');
+
+  for (const e of datasets) {
+    const opt = document.createElement('option');
+    opt.value = e.key;
+    opt.textContent = e.cfg.label || e.key;
+    datasetSel.appendChild(opt);
+  }
+
+  datasetSel.addEventListener('change', () => {
+    currentKey = datasetSel.value;
+    renderColumns();
+  });
+
+  panelEl.querySelectorAll('input[name="filter-mode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      if (!currentKey) return;
+      state[currentKey].mode = radio.value;
+      scheduleApply(currentKey);
+    });
+  });
+
+  panelEl.querySelector('.filter-clear').addEventListener('click', () => {
+    if (!currentKey) return;
+    state[currentKey] = emptyFilter(currentKey);
+    renderColumns();
+    scheduleApply(currentKey);
+  });
+
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  function updateSummary() {
+    const entry = currentKey && registry.get(currentKey);
+    if (!entry) { summaryEl.textContent = ''; return; }
+    summaryEl.textContent = `${entry.layer.visibleCount} / ${entry.layer.count} shown`;
+  }
+
+  /** Mark a column's <details> as active when its condition is set. */
+  function markActive(details, condition) {
+    details.classList.toggle('active', isConditionActive(condition));
+  }
+
+  function renderColumns() {
+    columnsEl.replaceChildren();
+    if (!currentKey) return;
+    const entry = registry.get(currentKey);
+    const f = state[currentKey];
+
+    datasetSel.value = currentKey;
+    panelEl.querySelector(`input[name="filter-mode"][value="${f.mode}"]`).checked = true;
+
+    for (const col of columnsByKey[currentKey]) {
+      const cond = f.conditions[col.column];
+      const details = document.createElement('details');
+      details.className = 'filter-column';
+      const summary = document.createElement('summary');
+      summary.textContent = columnLabel(entry, col.column);
+      details.appendChild(summary);
+      markActive(details, cond);
+      if (isConditionActive(cond)) details.open = true;
+
+      if (col.kind === 'categorical') {
+        const list = document.createElement('div');
+        list.className = 'filter-values';
+
+        if (col.values.length > SEARCHABLE_LIST) {
+          const search = document.createElement('input');
+          search.type = 'search';
+          search.className = 'filter-search';
+          search.placeholder = `Find ${col.values.length} values…`;
+          search.addEventListener('input', () => {
+            const q = search.value.toLowerCase();
+            list.querySelectorAll('label').forEach(l => {
+              l.hidden = q && !l.textContent.toLowerCase().includes(q);
+            });
+          });
+          details.appendChild(search);
+        }
+
+        for (const [value, count] of col.values) {
+          const lab = document.createElement('label');
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.checked = cond.values.includes(value);
+          box.addEventListener('change', () => {
+            if (box.checked) cond.values.push(value);
+            else cond.values = cond.values.filter(v => v !== value);
+            markActive(details, cond);
+            scheduleApply(currentKey);
+          });
+          const text = document.createElement('span');
+          text.textContent = valueLabel(entry, col.column, value);
+          const n = document.createElement('span');
+          n.className = 'filter-count';
+          n.textContent = count;
+          lab.append(box, text, n);
+          list.appendChild(lab);
+        }
+        details.appendChild(list);
+      } else if (col.kind === 'numeric') {
+        const range = document.createElement('div');
+        range.className = 'filter-range';
+        for (const bound of ['min', 'max']) {
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.step = 'any';
+          input.placeholder = `${bound} ${col[bound]?.toLocaleString?.() ?? ''}`;
+          input.value = cond[bound] ?? '';
+          input.setAttribute('aria-label', `${columnLabel(entry, col.column)} ${bound}`);
+          input.addEventListener('input', () => {
+            const n = parseFloat(input.value);
+            cond[bound] = Number.isFinite(n) ? n : null;
+            markActive(details, cond);
+            scheduleApply(currentKey);
+          });
+          range.appendChild(input);
+        }
+        details.appendChild(range);
+      } else {
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'filter-search';
+        input.placeholder = 'Contains…';
+        input.value = cond.text;
+        input.addEventListener('input', () => {
+          cond.text = input.value.trim();
+          markActive(details, cond);
+          scheduleApply(currentKey);
+        });
+        details.appendChild(input);
+      }
+
+      columnsEl.appendChild(details);
+    }
+    updateSummary();
+  }
+
+  /* --- Open / close --- */
+  const toggleListeners = new Set();
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    renderColumns();
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  /* --- Serialisable state (only active conditions) --- */
+  function getState() {
+    const out = {};
+    for (const [key, f] of Object.entries(state)) {
+      const conditions = Object.values(f.conditions).filter(isConditionActive);
+      if (conditions.length) out[key] = { mode: f.mode, conditions: structuredClone(conditions) };
+    }
+    return out;
+  }
+
+  /** Replace all filters (e.g. from a shared URL). Unknown keys/columns are ignored. */
+  function setState(next = {}) {
+    for (const e of datasets) {
+      state[e.key] = emptyFilter(e.key);
+      const f = next[e.key];
+      if (f) {
+        state[e.key].mode = f.mode === 'or' ? 'or' : 'and';
+        for (const c of f.conditions || []) {
+          const cur = state[e.key].conditions[c.column];
+          if (cur && cur.type === c.type) Object.assign(cur, structuredClone(c));
+        }
+      }
+      applyKey(e.key);
+    }
+    registry.notify('counts');
+    if (!panelEl.classList.contains('hidden')) renderColumns();
+  }
+
+  renderColumns();
+
+  return {
+    open, close, toggle, getState, setState,
+    /** Subscribe to filter edits; receives the serialisable state. */
+    onChange(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); }
+  };
+}
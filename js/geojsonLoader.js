@@ -0,0 +1,474 @@
+/**
+ * geojsonLoader.js – Fetches GeoJSON files and drapes their features on the
+ * terrain: Point / MultiPoint as a point layer (see pointLayer.js),
+ * LineString / MultiLineString as screen-space-width lines, and
+ * Polygon / MultiPolygon as translucent fills with an outline.
+ *
+ * Coordinates are WGS84 lon/lat per RFC 7946 unless the layer config (or a
+ * legacy `crs` member in the file) says otherwise; they are projected to
+ * EPSG:2263 and then into scene space like the CSV datasets.
+ *
+ * Lines are densified and polygons subdivided so that every vertex can sit on
+ * the sampled ground height instead of cutting through hills.
+ *
+ * Hover / click go through the same GPU picker as the point layers: each
+ * draped object gets a pick twin whose `pickIndex` attribute is the feature index.
+ */
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+import CONFIG from '../config/config.js';
+import { createPointLayer } from './pointLayer.js';
+import { PICK_ID_GLSL } from './picking.js';
+import { toStatePlane, statePlaneToLonLat, toSceneCoords, fromSceneCoords } from './projection.js';
+
+const LIFT = 1.5;                 // metres above ground for lines and fills
+const MAX_SUBDIVIDE = 8;          // recursion cap when subdividing polygon triangles
+
+const DEFAULT_STYLE = {
+  stroke: 0x333333,
+  darkStroke: null,
+  strokeWidth: 2,                 // CSS pixels
+  fill: 0x333333,
+  darkFill: null,
+  fillOpacity: 0.25,
+  opacity: 1
+};
+
+/** Line materials need the canvas size in pixels; kept in sync on resize. */
+const lineMaterials = new Set();
+const resolution = new THREE.Vector2(1, 1);
+
+/** Keep every GeoJSON line material in sync with the canvas size. */
+export function setLineResolution(width, height) {
+  resolution.set(width, height);
+  for (const m of lineMaterials) m.resolution.copy(resolution);
+}
+
+/**
+ * A screen-space-width LineMaterial that follows the canvas size.
+ * Also used by the overlay tools (proximity ring, …).
+ * @param {object} params – LineMaterial parameters
+ */
+export function createLineMaterial(params) {
+  const mat = new LineMaterial(params);
+  mat.resolution.copy(resolution);
+  lineMaterials.add(mat);
+  return mat;
+}
+
+const pickVertexShader = /* glsl */ `
+  attribute float pickIndex;
+  uniform float uPickBase;
+  varying vec3 vPickColor;
+  ${PICK_ID_GLSL}
+
+  void main() {
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    vPickColor = encodePickId(uPickBase + pickIndex);
+  }
+`;
+
+const pickFragmentShader = /* glsl */ `
+  varying vec3 vPickColor;
+  void main() { gl_FragColor = vec4(vPickColor, 1.0); }
+`;
+
+function makePickMaterial() {
+  return new THREE.ShaderMaterial({
+    uniforms: { uPickBase: { value: 0 } },
+    vertexShader: pickVertexShader,
+    fragmentShader: pickFragmentShader,
+    side: THREE.DoubleSide
+  });
+}
+
+/* ---------- Coordinates ---------- */
+
+/** Read a legacy `crs` member (e.g. "urn:ogc:def:crs:EPSG::2263") as "EPSG:2263". */
+function detectCRS(geojson) {
+  const name = geojson?.crs?.properties?.name;
+  if (!name) return null;
+  if (/CRS84$/i.test(name)) return 'EPSG:4326';
+  const m = /EPSG:+(\d+)/i.exec(name);
+  return m ? `EPSG:${m[1]}` : null;
+}
+
+/* ---------- Geometry helpers (scene XZ plane) ---------- */
+
+/** Insert vertices so no segment is longer than `step` metres. */
+function densify(pts, step) {
+  const out = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i], b = pts[i + 1];
+    const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step));
+    for (let k = 0; k < n; k++) {
+      out.push(new THREE.Vector2(a.x + (b.x - a.x) * k / n, a.y + (b.y - a.y) * k / n));
+    }
+  }
+  if (pts.length) out.push(pts[pts.length - 1].clone());
+  return out;
+}
+
+/** Split a triangle into four until its longest edge is under `maxEdge`. */
+function subdivide(a, b, c, maxEdge, out, depth = 0) {
+  const longest = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+  if (longest <= maxEdge || depth >= MAX_SUBDIVIDE) {
+    out.push(a, b, c);
+    return;
+  }
+  const ab = a.clone().lerp(b, 0.5);
+  const bc = b.clone().lerp(c, 0.5);
+  const ca = c.clone().lerp(a, 0.5);
+  subdivide(a, ab, ca, maxEdge, out, depth + 1);
+  subdivide(ab, b, bc, maxEdge, out, depth + 1);
+  subdivide(ca, bc, c, maxEdge, out, depth + 1);
+  subdivide(ab, bc, ca, maxEdge, out, depth + 1);
+}
+
+/* ---------- Loader ---------- */
+
+/**
+ * Load one GeoJSON layer and add it to the scene.
+ * @param {THREE.Scene} scene
+ * @param {string} key           – CONFIG.geojsonLayers key
+ * @param {object} cfg           – layer config
+ * @param {object|null} terrain  – sampler used to drape features on the ground
+ * @returns {Promise<{ layer: object, features: object[], errors: object[] }>}
+ */
+export async function loadGeoJSONLayer(scene, key, cfg, terrain = null) {
+  const response = await fetch(cfg.path);
+  if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${cfg.path}`);
+  const geojson = await response.json();
+
+  const label = cfg.label || key;
+  const style = { ...DEFAULT_STYLE, ...cfg.style };
+  const crs = cfg.crs || detectCRS(geojson) || 'EPSG:4326';
+  const step = (CONFIG.terrain?.cellSize ?? 5) * 2;
+  const errors = [];
+
+  const features = geojson.type === 'FeatureCollection' ? geojson.features
+    : geojson.type === 'Feature' ? [geojson]
+    : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+  /** [a, b] in the layer CRS → scene-space Vector2 (x, z). */
+  const toXZ = ([a, b]) => {
+    const sp = toStatePlane(a, b, crs);
+    const v = toSceneCoords(sp.x, sp.y);
+    return new THREE.Vector2(v.x, v.z);
+  };
+  const groundY = (x, z) => {
+    const h = terrain ? terrain.heightAt(x, z) : null;
+    return (h ?? -CONFIG.originOffset.y) + LIFT;
+  };
+
+  // Accumulators
+  const pointPositions = [];
+  const pointRecords = [];
+  const lineVerts = [];           // pairs of xyz for LineSegments
+  const lineIndex = [];           // feature index per line vertex
+  const fillVerts = [];
+  const fillIndex = [];
+  const records = [];             // one per non-point feature
+  const outlines = [];            // per record: Float32Array of segment pairs (for hover)
+
+  /** Scene-space centroid of a list of XZ points, as a record's anchor. */
+  const makeRecord = (feature, anchorXZ, geometryType) => {
+    const props = feature.properties || {};
+    const anchor = new THREE.Vector3(anchorXZ.x, groundY(anchorXZ.x, anchorXZ.y), anchorXZ.y);
+    const { x, y } = fromSceneCoords(anchor);
+    const { lon, lat } = statePlaneToLonLat(x, y);
+    return {
+      type: label,
+      key,
+      row: props,
+      geometryType,
+      handle: '',
+      text: String(props[cfg.nameField] ?? feature.id ?? ''),
+      coordX: x,
+      coordY: y,
+      lon,
+      lat,
+      anchor
+    };
+  };
+
+  const addLine = (xz, recIdx, outline) => {
+    const pts = densify(xz, step);
+    for (let i = 0; i < pts.length - 1; i++) {
+      const a = pts[i], b = pts[i + 1];
+      const seg = [a.x, groundY(a.x, a.y), a.y, b.x, groundY(b.x, b.y), b.y];
+      lineVerts.push(...seg);
+      lineIndex.push(recIdx, recIdx);
+      outline.push(...seg);
+    }
+  };
+
+  const addPolygon = (rings, recIdx, outline) => {
+    const [outer, ...holes] = rings.map(r => r.map(toXZ));
+    if (!outer || outer.length < 3) return;
+
+    // Outline every ring
+    for (const ring of [outer, ...holes]) addLine(ring, recIdx, outline);
+
+    // Triangulate in XZ (without the repeated closing vertex), then subdivide and drape
+    const open = (ring) => ring.length > 1 && ring[0].equals(ring[ring.length - 1]) ? ring.slice(0, -1) : ring;
+    const contour = open(outer);
+    const holePts = holes.map(open);
+    const all = contour.concat(...holePts);
+    const tris = THREE.ShapeUtils.triangulateShape(contour, holePts);
+    const flat = [];
+    for (const [i, j, k] of tris) subdivide(all[i], all[j], all[k], step * 2, flat);
+    for (const p of flat) {
+      fillVerts.push(p.x, groundY(p.x, p.y), p.y);
+      fillIndex.push(recIdx);
+    }
+  };
+
+  features.forEach((feature, fi) => {
+    const geom = feature?.geometry;
+    if (!geom) {
+      errors.push({ feature: fi, message: 'Feature has no geometry' });
+      return;
+    }
+
+    try {
+      if (geom.type === 'Point' || geom.type === 'MultiPoint') {
+        const coords = geom.type === 'Point' ? [geom.coordinates] : geom.coordinates;
+        for (const c of coords) {
+          const xz = toXZ(c);
+          const rec = makeRecord(feature, xz, geom.type);
+          pointPositions.push(rec.anchor.x, rec.anchor.y - LIFT + CONFIG.marker.heightOffset, rec.anchor.z);
+          pointRecords.push(rec);
+        }
+        return;
+      }
+
+      const parts = {
+        LineString:      [[geom.coordinates]],
+        MultiLineString: geom.coordinates.map(l => [l]),
+        Polygon:         [geom.coordinates],
+        MultiPolygon:    geom.coordinates
+      }[geom.type];
+      if (!parts) {
+        errors.push({ feature: fi, message: `Unsupported geometry type "${geom.type}"` });
+        return;
+      }
+
+      // Anchor = centroid of the first part's vertices
+      const first = parts[0][0].map(toXZ);
+      const centroid = first.reduce((acc, p) => acc.add(p), new THREE.Vector2()).divideScalar(first.length || 1);
+
+      const recIdx = records.length;
+      const outline = [];
+      records.push(makeRecord(feature, centroid, geom.type));
+
+      for (const part of parts) {
+        if (geom.type.endsWith('LineString')) addLine(part[0].map(toXZ), recIdx, outline);
+        else addPolygon(part, recIdx, outline);
+      }
+      outlines.push(new Float32Array(outline));
+    } catch (err) {
+      errors.push({ feature: fi, message: err.message });
+    }
+  });
+
+  /* ---- Build scene objects ---- */
+  const group = new THREE.Group();
+  group.name = label;
+
+  const strokeLight = new THREE.Color(style.stroke);
+  const strokeDark = new THREE.Color(style.darkStroke ?? style.stroke);
+  const fillLight = new THREE.Color(style.fill);
+  const fillDark = new THREE.Color(style.darkFill ?? style.fill);
+  const themeColor = new THREE.Color();
+
+  let fillMesh = null, fillMat = null;
+  if (fillVerts.length) {
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.Float32BufferAttribute(fillVerts, 3));
+    geom.setAttribute('pickIndex', new THREE.Float32BufferAttribute(fillIndex, 1));
+    fillMat = new THREE.MeshBasicMaterial({
+      color: fillLight.clone(),
+      transparent: true,
+      opacity: style.fillOpacity * style.opacity,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2,
+      toneMapped: false
+    });
+    fillMesh = new THREE.Mesh(geom, fillMat);
+    fillMesh.renderOrder = 100;
+    group.add(fillMesh);
+  }
+
+  let lines = null, lineMat = null, linePickGeom = null;
+  if (lineVerts.length) {
+    const geom = new LineSegmentsGeometry().setPositions(lineVerts);
+    lineMat = createLineMaterial({
+      color: strokeLight.clone(),
+      linewidth: style.strokeWidth,
+      transparent: true,
+      opacity: style.opacity,
+      depthWrite: false,
+      toneMapped: false
+    });
+    lines = new LineSegments2(geom, lineMat);
+    lines.renderOrder = 101;
+    group.add(lines);
+
+    // Plain 1px segments for the pick pass (the picker samples a window around the pointer)
+    linePickGeom = new THREE.BufferGeometry();
+    linePickGeom.setAttribute('position', new THREE.Float32BufferAttribute(lineVerts, 3));
+    linePickGeom.setAttribute('pickIndex', new THREE.Float32BufferAttribute(lineIndex, 1));
+  }
+
+  // Hover outline: a brighter, thicker copy of the hovered feature's edges
+  const hoverMat = createLineMaterial({
+    color: strokeLight.clone(),
+    linewidth: style.strokeWidth + 2,
+    depthTest: false,
+    toneMapped: false
+  });
+  const hoverLine = new LineSegments2(new LineSegmentsGeometry(), hoverMat);
+  hoverLine.visible = false;
+  hoverLine.renderOrder = 2000;   // above every layer
+  group.add(hoverLine);
+
+  let pointLayer = null;
+  if (pointRecords.length) {
+    pointLayer = createPointLayer({
+      key, label,
+      color: style.fill, darkColor: style.darkFill ?? style.fill,
+      positions: new Float32Array(pointPositions),
+      records: pointRecords
+    });
+    group.add(pointLayer.object);
+  }
+
+  scene.add(group);
+
+  let hoveredIndex = -1;
+  let dimOpacity = 1;     // hover dimming
+  let layerOpacity = 1;   // user-set layer opacity (legend slider)
+
+  const applyOpacity = () => {
+    const o = dimOpacity * layerOpacity;
+    if (lineMat) lineMat.opacity = style.opacity * o;
+    if (fillMat) fillMat.opacity = style.fillOpacity * style.opacity * o;
+  };
+
+  const layer = {
+    key,
+    label,
+    color: style.stroke,
+    darkColor: style.darkStroke ?? style.stroke,
+    object: group,
+    records,
+    pointLayer,
+    count: records.length + pointRecords.length,
+
+    /**
+     * Apply a map theme (see config/themes.js): light or dark stroke / fill,
+     * or the theme's marker colour for this dataset in place of both.
+     * @param {{ dark: boolean, markers?: Object<string, number> }} theme
+     */
+    setTheme(theme) {
+      const override = theme.markers?.[key];
+      const stroke = override != null ? themeColor.set(override) : theme.dark ? strokeDark : strokeLight;
+      const fill = override != null ? themeColor : theme.dark ? fillDark : fillLight;
+      lineMat?.color.copy(stroke);
+      fillMat?.color.copy(fill);
+      hoverMat.color.copy(stroke);
+      layer.color = override ?? style.stroke;
+      layer.darkColor = override ?? style.darkStroke ?? style.stroke;
+      pointLayer?.setTheme(theme);
+    },
+
+    /** Fade the whole layer (used to dim non-hovered datasets). */
+    setOpacity(opacity) {
+      dimOpacity = opacity;
+      applyOpacity();
+      pointLayer?.setOpacity(opacity);
+    },
+
+    /** User-set opacity, combined with hover dimming. */
+    setLayerOpacity(opacity) {
+      layerOpacity = opacity;
+      applyOpacity();
+      pointLayer?.setLayerOpacity(opacity);
+    },
+
+    /** Position in the layer stack (0 = bottom); later layers draw on top. */
+    setRenderOrder(stackIndex) {
+      const base = 100 + stackIndex * 10;
+      if (fillMesh) fillMesh.renderOrder = base;
+      if (lines) lines.renderOrder = base + 1;
+      pointLayer?.setRenderOrder(stackIndex);
+    },
+
+    /** Outline the line/polygon feature at `index` (−1 = none). */
+    setHovered(index) {
+      if (index === hoveredIndex) return;
+      hoveredIndex = index;
+      if (index < 0 || !outlines[index]?.length) {
+        hoverLine.visible = false;
+        return;
+      }
+      hoverLine.geometry.dispose();
+      hoverLine.geometry = new LineSegmentsGeometry().setPositions(outlines[index]);
+      hoverLine.visible = true;
+    },
+
+    /** Flash the outline of feature `index` (search results, links…). */
+    pulse(index, duration = 1500) {
+      layer.setHovered(index);
+      setTimeout(() => { if (hoveredIndex === index) layer.setHovered(-1); }, duration);
+    },
+
+    update() {
+      pointLayer?.update();
+    },
+
+    /** Register fills, lines and points with the GPU picker. */
+    registerPicking(picker) {
+      const resolve = (index) => ({ layer, index, data: records[index] });
+      if (fillMesh) {
+        const pickObject = new THREE.Mesh(fillMesh.geometry, makePickMaterial());
+        picker.add({ object: fillMesh, pickObject, count: records.length, resolve });
+      }
+      if (linePickGeom) {
+        const pickObject = new THREE.LineSegments(linePickGeom, makePickMaterial());
+        picker.add({ object: lines, pickObject, count: records.length, resolve });
+      }
+      pointLayer?.registerPicking(picker);
+    }
+  };
+
+  console.log(`[geojsonLoader] ${label}: ${layer.count} features loaded from ${cfg.path}`);
+  if (errors.length) {
+    console.warn(`[geojsonLoader] ${label}: ${errors.length} problem feature(s) in ${cfg.path}`, errors.slice(0, 20));
+  }
+  return { layer, features, errors };
+}
+
+/**
+ * Convenience: load all GeoJSON layers defined in CONFIG.geojsonLayers.
+ * A layer that fails to load is logged and skipped so the rest still show.
+ * @param {THREE.Scene} scene
+ * @param {object|null} [terrain]
+ */
+export async function loadAllGeoJSON(scene, terrain = null) {
+  const results = {};
+  for (const [key, cfg] of Object.entries(CONFIG.geojsonLayers || {})) {
+    try {
+      results[key] = await loadGeoJSONLayer(scene, key, cfg, terrain);
+    } catch (err) {
+      console.error(`[geojsonLoader] Failed to load ${key}:`, err);
+    }
+  }
+  return results;
+}
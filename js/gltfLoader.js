@@ -14,9 +14,11 @@ import CONFIG from '../config/config.js';
  * Load the GLB model into the scene.
  * @param {THREE.Scene} scene
  * @param {function} [onProgress] – called with percentage (0-100)
- * @returns {Promise<THREE.Group>} the loaded model group
+ * @param {object} theme – initial map theme (config/themes.js)
+ * @returns {Promise<{ model: THREE.Group, themeModel: { load: Function, blend: Function }, setHeatmap: Function }>}
+ *   the loaded model group, the theme crossfade and the heatmap overlay hook
  */
-export async function loadModel(scene, onProgress) {
+export async function loadModel(scene, onProgress, theme) {
   const loader = new GLTFLoader();
 
   // Optional Draco decoder for compressed meshes (CDN fallback)
@@ -41,37 +43,76 @@ export async function loadModel(scene, onProgress) {
     });
   }
 
-  // Pre-load both textures in parallel so mode switching is instant
-  const [lightTex, darkTex] = await Promise.all([
-    loadTex('./assets/textures/gltf_embedded_0.png'),
-    loadTex('./assets/textures/gltf_embedded_0_light.png'),
-  ]);
+  // Terrain textures by path, loaded once per theme that uses them
+  const textures = new Map();
+  const getTex = (path) => {
+    if (!textures.has(path)) textures.set(path, loadTex(path));
+    return textures.get(path);
+  };
+  const initialTex = await getTex(theme.terrain);
 
-  // MeshBasicMaterial with onBeforeCompile to crossfade two textures via mixT (0=light, 1=dark).
+  // Density overlay shared by every top-face material (see heatmap.js).
+  // heatMap holds normalised density in R over heatBounds (world minX, minZ,
+  // sizeX, sizeZ); heatRamp row 0 is the light ramp, row 1 the dark one,
+  // mixed by heatDark.
+  const blank = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+  blank.needsUpdate = true;
+  const heatUniforms = {
+    heatMap:     { value: blank },
+    heatRamp:    { value: blank },
+    heatBounds:  { value: new THREE.Vector4(0, 0, 1, 1) },
+    heatOpacity: { value: 0.0 },
+    heatDark:    { value: theme.dark ? 1.0 : 0.0 }
+  };
+
+  // Shared by every top-face material: crossfade from `map` to mapTo via mixT
+  const crossfadeUniforms = { mapTo: { value: initialTex }, mixT: { value: 0.0 } };
+
+  // MeshBasicMaterial with onBeforeCompile to crossfade two textures via mixT (0=map, 1=mapTo).
   // toneMapped:false bypasses ACES so terrain shows at exact PNG brightness.
   function makeCrossfadeMat() {
     const mat = new THREE.MeshBasicMaterial({
-      map: lightTex,
+      map: initialTex,
       side: THREE.FrontSide,
       toneMapped: false,
     });
 
-    const uniforms = { mapDark: { value: darkTex }, mixT: { value: 0.0 } };
-    mat.userData.crossfadeUniforms = uniforms;
-
     mat.onBeforeCompile = (shader) => {
-      Object.assign(shader.uniforms, uniforms);
+      Object.assign(shader.uniforms, crossfadeUniforms, heatUniforms);
+      shader.vertexShader = [
+        'varying vec2 vHeatXZ;',
+        shader.vertexShader,
+      ].join('\n').replace(
+        '#include <project_vertex>',
+        `#include <project_vertex>
+        vHeatXZ = (modelMatrix * vec4(transformed, 1.0)).xz;`
+      );
       shader.fragmentShader = [
-        'uniform sampler2D mapDark;',
+        'uniform sampler2D mapTo;',
         'uniform float mixT;',
+        'uniform sampler2D heatMap;',
+        'uniform sampler2D heatRamp;',
+        'uniform vec4 heatBounds;',
+        'uniform float heatOpacity;',
+        'uniform float heatDark;',
+        'varying vec2 vHeatXZ;',
         shader.fragmentShader,
       ].join('\n').replace(
         '#include <map_fragment>',
         `#ifdef USE_MAP
-          vec4 texelLight = texture2D( map, vMapUv );
-          vec4 texelDark  = texture2D( mapDark, vMapUv );
-          diffuseColor *= mix(texelLight, texelDark, mixT);
-        #endif`
+          vec4 texelFrom = texture2D( map, vMapUv );
+          vec4 texelTo   = texture2D( mapTo, vMapUv );
+          diffuseColor *= mix(texelFrom, texelTo, mixT);
+        #endif
+        if (heatOpacity > 0.0) {
+          vec2 heatUv = (vHeatXZ - heatBounds.xy) / heatBounds.zw;
+          if (all(greaterThanEqual(heatUv, vec2(0.0))) && all(lessThanEqual(heatUv, vec2(1.0)))) {
+            float d = texture2D( heatMap, heatUv ).r;
+            vec4 ramp = mix(texture2D( heatRamp, vec2(d, 0.25) ), texture2D( heatRamp, vec2(d, 0.75) ), heatDark);
+            float a = smoothstep(0.02, 0.3, d) * ramp.a * heatOpacity;
+            diffuseColor.rgb = mix(diffuseColor.rgb, ramp.rgb, a);
+          }
+        }`
       );
     };
 
@@ -224,34 +265,58 @@ export async function loadModel(scene, onProgress) {
 
         scene.add(wrapper);
 
-        // Fixed endpoints for lerping
-        const B_LIGHT = new THREE.Color(0x555555);
-        const B_DARK = new THREE.Color(0xeeeeee);
-        const S_LIGHT = new THREE.Color(0x444444);
-        const S_DARK = new THREE.Color(0xffffff);
-
-        // t = 0 → full light mode, t = 1 → full dark mode
-        const setModeProgress = (t) => {
-          // Crossfade terrain texture via onBeforeCompile uniform — no snap
-          for (const mat of topoTopMats) {
-            mat.userData.crossfadeUniforms.mixT.value = t;
-          }
-          // Lerp building colors
-          for (const mat of buildingMats) {
-            mat.color.lerpColors(B_LIGHT, B_DARK, t);
-            // mat.emissive.lerpColors(S_LIGHT, S_DARK, t);
-            mat.needsUpdate = true;
-          }
-          // Lerp topo side colors
-          for (const mat of topoSideMats) {
-            mat.color.lerpColors(S_LIGHT, S_DARK, t);
-            // mat.emissive.lerpColors(S_LIGHT, S_DARK, t);
-            mat.needsUpdate = true;
+        // Scratch endpoints for lerping between two themes' colours
+        const cFrom = new THREE.Color();
+        const cTo = new THREE.Color();
+        const loaded = new Map([[theme.terrain, initialTex]]);
+
+        const themeModel = {
+          /**
+           * Load a theme's terrain texture ahead of blending to it.
+           * @param {object} next – theme from config/themes.js
+           */
+          async load(next) {
+            loaded.set(next.terrain, await getTex(next.terrain));
+          },
+
+          /**
+           * Crossfade terrain texture, building / side colours and heatmap
+           * ramp from one theme to another; t = 0 → `from`, t = 1 → `to`.
+           * Both themes must have been loaded.
+           */
+          blend(from, to, t) {
+            // Crossfade terrain texture via onBeforeCompile uniform — no snap.
+            // At the end `to` becomes the base map, ready for the next switch.
+            const done = t >= 1 || from.terrain === to.terrain;
+            const base = loaded.get(done ? to.terrain : from.terrain);
+            for (const mat of topoTopMats) mat.map = base;
+            crossfadeUniforms.mapTo.value = loaded.get(to.terrain);
+            crossfadeUniforms.mixT.value = done ? 0 : t;
+            heatUniforms.heatDark.value = THREE.MathUtils.lerp(from.dark ? 1 : 0, to.dark ? 1 : 0, t);
+
+            cFrom.set(from.building); cTo.set(to.building);
+            for (const mat of buildingMats) mat.color.lerpColors(cFrom, cTo, t);
+            cFrom.set(from.side); cTo.set(to.side);
+            for (const mat of topoSideMats) mat.color.lerpColors(cFrom, cTo, t);
           }
         };
+        themeModel.blend(theme, theme, 1);
+
+        /**
+         * Show a density overlay on the terrain top faces, or hide it with null.
+         * The ramp follows the theme crossfade like the terrain texture does.
+         * @param {{ texture: THREE.Texture, ramp: THREE.Texture, bounds: THREE.Vector4, opacity: number }|null} heat
+         */
+        const setHeatmap = (heat) => {
+          heatUniforms.heatOpacity.value = heat ? heat.opacity : 0;
+          if (!heat) return;
+          heatUniforms.heatMap.value = heat.texture;
+          heatUniforms.heatRamp.value = heat.ramp;
+          heatUniforms.heatBounds.value.copy(heat.bounds);
+        };
 
         console.log('[gltfLoader] Model loaded and offset applied.');
-        resolve({ model: wrapper, setModeProgress });
+        resolve({ model: wrapper, themeModel, setHeatmap });
       },
       (progress) => {
         if (progress.total && onProgress) {
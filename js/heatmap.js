@@ -0,0 +1,368 @@
+/**
+ * heatmap.js – Kernel-density heatmap of a point dataset, blended into the
+ * terrain's top-face material (see makeCrossfadeMat in gltfLoader.js).
+ *
+ * Density is a quartic (biweight) kernel estimate on a grid over the terrain
+ * bounds, normalised to its peak and uploaded as a single-channel texture.
+ * Each colour ramp has a light and a dark variant; the terrain shader mixes
+ * them by the theme's light / dark scheme (heatDark), blended along with the
+ * terrain texture so the overlay follows theme transitions.
+ *
+ * Only points that pass the dataset's filters are counted. Weights come from
+ * the dataset's `heatmap.weights` config.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+
+const RAMP_WIDTH = 256;
+
+/**
+ * Quartic kernel density on a regular grid.
+ * @param {ArrayLike<number>} xz – interleaved x, z pairs (scene metres)
+ * @param {ArrayLike<number>|null} weights – one per point, or null for 1
+ * @param {{ minX: number, minZ: number, sizeX: number, sizeZ: number }} bounds
+ * @param {{ width: number, height: number, radius: number }} opts – radius in metres
+ * @returns {Float32Array} width × height densities, row-major from minZ
+ */
+export function computeDensity(xz, weights, bounds, { width, height, radius }) {
+  const grid = new Float32Array(width * height);
+  const cellX = bounds.sizeX / width;
+  const cellZ = bounds.sizeZ / height;
+  const rx = Math.ceil(radius / cellX);
+  const rz = Math.ceil(radius / cellZ);
+  const r2 = radius * radius;
+
+  for (let p = 0; p < xz.length / 2; p++) {
+    const w = weights ? weights[p] : 1;
+    if (!(w > 0)) continue;
+    const x = xz[p * 2], z = xz[p * 2 + 1];
+    const ci = Math.floor((x - bounds.minX) / cellX);
+    const cj = Math.floor((z - bounds.minZ) / cellZ);
+
+    for (let j = Math.max(0, cj - rz); j <= Math.min(height - 1, cj + rz); j++) {
+      const dz = bounds.minZ + (j + 0.5) * cellZ - z;
+      for (let i = Math.max(0, ci - rx); i <= Math.min(width - 1, ci + rx); i++) {
+        const dx = bounds.minX + (i + 0.5) * cellX - x;
+        const d2 = dx * dx + dz * dz;
+        if (d2 >= r2) continue;
+        const k = 1 - d2 / r2;
+        grid[j * width + i] += w * k * k;
+      }
+    }
+  }
+  return grid;
+}
+
+/** Evenly spaced hex stops → RAMP_WIDTH RGBA bytes. */
+function rampRow(stops, out, offset) {
+  const colors = stops.map(c => new THREE.Color(c));
+  const tmp = new THREE.Color();
+  for (let i = 0; i < RAMP_WIDTH; i++) {
+    const t = (i / (RAMP_WIDTH - 1)) * (colors.length - 1);
+    const k = Math.min(Math.floor(t), colors.length - 2);
+    tmp.lerpColors(colors[k], colors[k + 1], t - k);
+    // THREE.Color holds linear values; the texture is tagged sRGB
+    tmp.convertLinearToSRGB();
+    out[offset + i * 4]     = Math.round(tmp.r * 255);
+    out[offset + i * 4 + 1] = Math.round(tmp.g * 255);
+    out[offset + i * 4 + 2] = Math.round(tmp.b * 255);
+    out[offset + i * 4 + 3] = 255;
+  }
+}
+
+/** Two-row ramp texture: row 0 light, row 1 dark. */
+function makeRampTexture({ light, dark }) {
+  const data = new Uint8Array(RAMP_WIDTH * 2 * 4);
+  rampRow(light, data, 0);
+  rampRow(dark ?? light, data, RAMP_WIDTH * 4);
+  const tex = new THREE.DataTexture(data, RAMP_WIDTH, 2);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.magFilter = THREE.LinearFilter;
+  tex.minFilter = THREE.LinearFilter;
+  tex.wrapS = THREE.ClampToEdgeWrapping;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/** Per-point weights for a dataset's configured weight column. */
+function pointWeights(layer, spec, column) {
+  const w = new Float32Array(layer.count);
+  for (let i = 0; i < layer.count; i++) {
+    const v = layer.records[i].row[column];
+    const n = spec === 'numeric' ? parseFloat(v) : spec[v];
+    w[i] = Number.isFinite(n) ? n : 0;
+  }
+  return w;
+}
+
+/**
+ * Build the heatmap controller and its side panel.
+ * @param {HTMLElement} panelEl
+ * @param {object} registry – see layerRegistry.js
+ * @param {object|null} terrain – sampler from terrain.js (its box bounds the grid)
+ * @param {Function} setHeatmap – from loadModel()
+ * @returns {{ open: Function, close: Function, toggle: Function, onToggle: Function, onChange: Function, getState: Function, setState: Function }}
+ */
+export function createHeatmap(panelEl, registry, terrain, setHeatmap) {
+  const cfg = CONFIG.heatmap;
+  const ramps = cfg.ramps;
+  const rampTextures = {};
+  const datasets = registry.list().filter(e => e.kind === 'csv');
+
+  const state = {
+    key: '',                       // '' = off
+    radius: cfg.radius,            // US survey feet
+    weight: '',                    // weight column, '' = count
+    ramp: cfg.ramp,
+    opacity: cfg.opacity
+  };
+
+  let texture = null;
+  let bounds = null;
+  let queued = false;
+
+  const changeListeners = new Set();
+  /** Tell subscribers (URL state…) that the user changed a setting. */
+  const changed = () => { for (const fn of changeListeners) fn({ ...state }); };
+
+  function rampTexture(name) {
+    return rampTextures[name] ??= makeRampTexture(ramps[name]);
+  }
+
+  /** Grid bounds: the terrain, or the points' extent padded by the radius. */
+  function gridBounds(layer, radiusM) {
+    let box;
+    if (terrain) {
+      box = terrain.box;
+    } else {
+      box = new THREE.Box3();
+      const p = new THREE.Vector3();
+      for (let i = 0; i < layer.count; i++) box.expandByPoint(layer.getPosition(i, p));
+      box.expandByScalar(radiusM);
+    }
+    return { minX: box.min.x, minZ: box.min.z, sizeX: box.max.x - box.min.x, sizeZ: box.max.z - box.min.z };
+  }
+
+  function rebuild() {
+    const entry = state.key && registry.get(state.key);
+    if (!entry) {
+      setHeatmap(null);
+      return;
+    }
+    const { layer } = entry;
+    const radiusM = state.radius * CONFIG.feetToMeters;
+    const b = gridBounds(layer, radiusM);
+
+    const long = cfg.resolution;
+    const width = b.sizeX >= b.sizeZ ? long : Math.max(2, Math.round(long * b.sizeX / b.sizeZ));
+    const height = b.sizeZ > b.sizeX ? long : Math.max(2, Math.round(long * b.sizeZ / b.sizeX));
+
+    // Active (unfiltered) points only
+    const xz = [];
+    const spec = state.weight && entry.cfg.heatmap?.weights?.[state.weight];
+    const allWeights = spec ? pointWeights(layer, spec, state.weight) : null;
+    const weights = allWeights ? [] : null;
+    for (let i = 0; i < layer.count; i++) {
+      if (!layer.isPointActive(i)) continue;
+      xz.push(layer.positions[i * 3], layer.positions[i * 3 + 2]);
+      if (weights) weights.push(allWeights[i]);
+    }
+
+    const t0 = performance.now();
+    const grid = computeDensity(xz, weights, b, { width, height, radius: radiusM });
+    let max = 0;
+    for (let i = 0; i < grid.length; i++) if (grid[i] > max) max = grid[i];
+
+    const data = new Uint8Array(grid.length);
+    if (max > 0) for (let i = 0; i < grid.length; i++) data[i] = Math.round((grid[i] / max) * 255);
+
+    if (!texture || texture.image.width !== width || texture.image.height !== height) {
+      texture?.dispose();
+      texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+      texture.magFilter = THREE.LinearFilter;
+      texture.minFilter = THREE.LinearFilter;
+      texture.unpackAlignment = 1;   // single-byte rows need not be 4-aligned
+    } else {
+      texture.image.data.set(data);
+    }
+    texture.needsUpdate = true;
+    bounds = new THREE.Vector4(b.minX, b.minZ, b.sizeX, b.sizeZ);
+
+    setHeatmap({ texture, ramp: rampTexture(state.ramp), bounds, opacity: state.opacity });
+    console.log(`[heatmap] ${entry.cfg.label}: ${xz.length / 2} points, ${width}×${height} grid in ${Math.round(performance.now() - t0)} ms`);
+  }
+
+  /** Coalesce slider drags into one rebuild per frame. */
+  function scheduleRebuild() {
+    if (queued) return;
+    queued = true;
+    requestAnimationFrame(() => {
+      queued = false;
+      rebuild();
+    });
+  }
+
+  /** Ramp / opacity changes don't need a new density grid. */
+  function restyle() {
+    if (!state.key || !texture) return;
+    setHeatmap({ texture, ramp: rampTexture(state.ramp), bounds, opacity: state.opacity });
+  }
+
+  /* --- Panel --- */
+  const gradient = (stops) => `linear-gradient(to right, ${stops.join(', ')})`;
+
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Heatmap</span>
+      <button class="side-panel-close" aria-label="Close heatmap">&times;</button>
+    </div>
+    <label class="filter-row">
+      <span class="filter-caption">Dataset</span>
+      <select class="heat-dataset"><option value="">Off</option></select>
+    </label>
+    <label class="filter-row">
+      <span class="filter-caption">Radius <span class="heat-radius-value"></span></span>
+      <input class="heat-radius" type="range" min="${cfg.minRadius}" max="${cfg.maxRadius}" step="50">
+    </label>
+    <label class="filter-row">
+      <span class="filter-caption">Weight</span>
+      <select class="heat-weight"></select>
+    </label>
+    <div class="filter-row">
+      <span class="filter-caption">Colour ramp</span>
+      <div class="heat-ramps" role="radiogroup" aria-label="Colour ramp"></div>
+    </div>
+    <label class="filter-row">
+      <span class="filter-caption">Opacity</span>
+      <input class="heat-opacity" type="range" min="0" max="1" step="0.05">
+    </label>`;
+
+  const datasetSel = panelEl.querySelector('.heat-dataset');
+  const radiusIn = panelEl.querySelector('.heat-radius');
+  const radiusOut = panelEl.querySelector('.heat-radius-value');
+  const weightSel = panelEl.querySelector('.heat-weight');
+  const rampsEl = panelEl.querySelector('.heat-ramps');
+  const opacityIn = panelEl.querySelector('.heat-opacity');
+
+  for (const e of datasets) {
+    const opt = document.createElement('option');
+    opt.value = e.key;
+    opt.textContent = e.cfg.label || e.key;
+    datasetSel.appendChild(opt);
+  }
+
+  for (const [name, ramp] of Object.entries(ramps)) {
+    const lab = document.createElement('label');
+    lab.className = 'heat-ramp';
+    lab.title = ramp.label || name;
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'heat-ramp';
+    radio.value = name;
+    radio.addEventListener('change', () => {
+      state.ramp = name;
+      restyle();
+      changed();
+    });
+    const swatch = document.createElement('span');
+    swatch.className = 'heat-swatch';
+    swatch.style.setProperty('--ramp-light', gradient(ramp.light));
+    swatch.style.setProperty('--ramp-dark', gradient(ramp.dark ?? ramp.light));
+    lab.append(radio, swatch);
+    rampsEl.appendChild(lab);
+  }
+
+  /** Weight choices depend on the dataset. */
+  function renderWeights() {
+    weightSel.replaceChildren();
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None (point count)';
+    weightSel.appendChild(none);
+    const entry = state.key && registry.get(state.key);
+    const weights = entry?.cfg.heatmap?.weights ?? {};
+    for (const column of Object.keys(weights)) {
+      const opt = document.createElement('option');
+      opt.value = column;
+      opt.textContent = entry.cfg.fields?.find(f => f.key === column)?.label || column;
+      weightSel.appendChild(opt);
+    }
+    if (!(state.weight in weights)) state.weight = '';
+    weightSel.value = state.weight;
+    weightSel.disabled = !entry;
+  }
+
+  function syncInputs() {
+    datasetSel.value = state.key;
+    radiusIn.value = String(state.radius);
+    radiusOut.textContent = `${Number(state.radius).toLocaleString()} ft`;
+    opacityIn.value = String(state.opacity);
+    const radio = rampsEl.querySelector(`input[value="${state.ramp}"]`);
+    if (radio) radio.checked = true;
+    renderWeights();
+  }
+
+  datasetSel.addEventListener('change', () => {
+    state.key = datasetSel.value;
+    renderWeights();
+    scheduleRebuild();
+    changed();
+  });
+  radiusIn.addEventListener('input', () => {
+    state.radius = parseFloat(radiusIn.value);
+    radiusOut.textContent = `${state.radius.toLocaleString()} ft`;
+    scheduleRebuild();
+    changed();
+  });
+  weightSel.addEventListener('change', () => {
+    state.weight = weightSel.value;
+    scheduleRebuild();
+    changed();
+  });
+  opacityIn.addEventListener('input', () => {
+    state.opacity = parseFloat(opacityIn.value);
+    restyle();
+    changed();
+  });
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  // Filters change which points count
+  registry.onChange((reason) => {
+    if (reason === 'counts' && state.key) scheduleRebuild();
+  });
+
+  const toggleListeners = new Set();
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  syncInputs();
+
+  return {
+    open, close, toggle,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); },
+    /** Subscribe to setting changes made in the panel. */
+    onChange(fn) { changeListeners.add(fn); return () => changeListeners.delete(fn); },
+    getState: () => ({ ...state }),
+    /** Apply a saved state (e.g. from a shared URL). */
+    setState(next = {}) {
+      Object.assign(state, next);
+      if (state.key && !registry.get(state.key)) state.key = '';
+      if (!ramps[state.ramp]) state.ramp = cfg.ramp;
+      syncInputs();
+      scheduleRebuild();
+    }
+  };
+}
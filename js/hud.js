@@ -0,0 +1,185 @@
+/**
+ * hud.js – Scale bar, compass and view cube over the map.
+ *
+ *  - Scale bar: a round distance in feet (miles from one mile up) over one
+ *    in metres (km), at the ground resolution of the orbit target.
+ *  - Compass: the rose turns with the camera heading; clicking it turns
+ *    north up, keeping the tilt.
+ *  - View cube: turns with the camera. Its side faces snap to an isometric
+ *    view from that side, the top face to top-down (centre), an oblique view
+ *    (edges) or an isometric view from that corner (corners).
+ *  - Projection toggle: orthographic ⇄ perspective (viewer.setProjection).
+ *    In perspective the scale holds at the orbit target only, so it reads "≈".
+ *
+ * Snaps go through viewer.snapView, the slerped transition also used by the
+ * double-click top-down view.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+
+const FT_PER_MILE = 5280;
+const DEG = Math.PI / 180;
+
+/**
+ * A round length (1, 2 or 5 × 10ⁿ) no longer than `max`.
+ * @param {number} max
+ */
+export function niceLength(max) {
+  const p = 10 ** Math.floor(Math.log10(max));
+  for (const m of [5, 2, 1]) if (m * p <= max) return m * p;
+  return p;
+}
+
+/**
+ * Scale bar for a ground resolution: the longest round distance that fits in
+ * `maxPx`, in feet / miles or, with `metric`, metres / kilometres.
+ * @param {number} metresPerPx
+ * @param {number} maxPx
+ * @param {boolean} [metric=false]
+ * @returns {{ px: number, label: string, metres: number }}
+ */
+export function scaleBar(metresPerPx, maxPx, metric = false) {
+  const maxM = metresPerPx * maxPx;
+  const units = metric
+    ? [['km', 1000], ['m', 1]]
+    : [['mi', FT_PER_MILE * CONFIG.feetToMeters], ['ft', CONFIG.feetToMeters]];
+  const [unit, size] = units.find(([, m]) => maxM >= m) ?? units[units.length - 1];
+  const n = niceLength(maxM / size);
+  return { px: (n * size) / metresPerPx, label: `${n.toLocaleString()} ${unit}`, metres: n * size };
+}
+
+/**
+ * Ground metres per pixel at the orbit target.
+ * @param {THREE.Camera} camera
+ * @param {THREE.Vector3} target
+ * @param {number} heightPx – viewport height
+ */
+export function metresPerPixel(camera, target, heightPx) {
+  const span = camera.isPerspectiveCamera
+    ? 2 * camera.position.distanceTo(target) * Math.tan((camera.fov / 2) * DEG)
+    : (camera.top - camera.bottom) / camera.zoom;
+  return span / heightPx;
+}
+
+/**
+ * Camera heading: the ground direction the view looks, degrees clockwise
+ * from north. Uses the screen's up axis as well, so it stays defined when
+ * looking straight down.
+ * @param {THREE.Camera} camera
+ */
+export function cameraHeading(camera) {
+  const e = camera.matrixWorld.elements;
+  // Forward (-Z column) plus up (Y column), flattened to the ground
+  const x = -e[8] + e[4], z = -e[10] + e[6];
+  return ((Math.atan2(x, -z) / DEG) + 360) % 360;
+}
+
+/** View-cube hot zones: [class, title, heading, tilt key]. */
+const SIDES = [
+  ['n', 'North', 180], ['e', 'East', 270], ['s', 'South', 0], ['w', 'West', 90]
+];
+const TOP_ZONES = [
+  ['nw', 'Isometric from north-west', 135, 'iso'], ['n', 'Oblique from north', 180, 'oblique'], ['ne', 'Isometric from north-east', 225, 'iso'],
+  ['w', 'Oblique from west', 90, 'oblique'], ['top', 'Top', 0, 'top'], ['e', 'Oblique from east', 270, 'oblique'],
+  ['sw', 'Isometric from south-west', 45, 'iso'], ['s', 'Oblique from south', 0, 'oblique'], ['se', 'Isometric from south-east', 315, 'iso']
+];
+
+/**
+ * Build the HUD inside `container`.
+ * @param {HTMLElement} container
+ * @param {object} view – { camera, controls, renderer, onFrame, snapView, setProjection, getProjection, onCameraChange } from createViewer()
+ * @returns {{ update: Function }}
+ */
+export function createHud(container, { camera, controls, renderer, onFrame, snapView, setProjection, getProjection, onCameraChange }) {
+  const cfg = CONFIG.hud;
+  const viewport = renderer.domElement.parentElement;
+  const tilts = { top: 0, iso: cfg.isoTilt, oblique: cfg.obliqueTilt };
+
+  container.innerHTML = `
+    <div class="hud-scale" aria-label="Scale">
+      <div class="hud-scale-row"><span class="hud-scale-bar"></span><span class="hud-scale-label"></span></div>
+      <div class="hud-scale-row"><span class="hud-scale-bar"></span><span class="hud-scale-label"></span></div>
+    </div>
+    <button class="hud-projection" title="Perspective view" aria-pressed="false">Persp</button>
+    <button class="hud-compass" title="North up" aria-label="Turn north up">
+      <span class="hud-compass-rose"><span class="hud-compass-needle"></span><span class="hud-compass-n">N</span></span>
+    </button>
+    <div class="hud-cube" role="group" aria-label="View cube">
+      <div class="hud-cube-body">
+        <div class="hud-cube-face hud-cube-top">
+          ${TOP_ZONES.map(([k, title, heading, tilt]) =>
+            `<button class="hud-cube-zone hud-cube-zone-${k}" title="${title}" aria-label="${title}"
+              data-heading="${heading}" data-tilt="${tilt}">${k === 'top' ? 'TOP' : ''}</button>`).join('')}
+        </div>
+        ${SIDES.map(([k, title, heading]) =>
+          `<button class="hud-cube-face hud-cube-${k}" title="${title}" aria-label="Isometric from ${title.toLowerCase()}"
+            data-heading="${heading}" data-tilt="iso">${k.toUpperCase()}</button>`).join('')}
+      </div>
+    </div>`;
+
+  const [feetRow, metreRow] = container.querySelectorAll('.hud-scale-row');
+  const rose = container.querySelector('.hud-compass-rose');
+  const cubeBody = container.querySelector('.hud-cube-body');
+  const cube = container.querySelector('.hud-cube');
+  const projBtn = container.querySelector('.hud-projection');
+  container.style.setProperty('--cube-size', `${cfg.cubeSize}px`);
+
+  container.querySelector('.hud-compass').addEventListener('click', () => {
+    const offset = camera.position.clone().sub(controls.target);
+    const tilt = Math.acos(THREE.MathUtils.clamp(offset.y / offset.length(), -1, 1)) / DEG;
+    snapView({ heading: 0, tilt: tilt < 0.5 ? 0 : tilt, duration: cfg.snapDuration });
+  });
+
+  projBtn.addEventListener('click', () => {
+    setProjection(getProjection() === 'perspective' ? 'orthographic' : 'perspective');
+  });
+
+  cube.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-heading]');
+    if (!btn) return;
+    snapView({ heading: Number(btn.dataset.heading), tilt: tilts[btn.dataset.tilt], duration: cfg.snapDuration });
+  });
+
+  /* --- Per-frame update, only when the view changed --- */
+  const S = new THREE.Matrix4().makeScale(1, -1, 1);   // world / camera y-up → CSS y-down
+  const m = new THREE.Matrix4();
+  const lastView = new THREE.Matrix4();
+  let lastScale = NaN;
+
+  function renderScale(row, bar) {
+    row.querySelector('.hud-scale-bar').style.width = `${bar.px}px`;
+    row.querySelector('.hud-scale-label').textContent = (camera.isPerspectiveCamera ? '≈ ' : '') + bar.label;
+  }
+
+  function update(force = false) {
+    const persp = getProjection() === 'perspective';
+    if (projBtn.getAttribute('aria-pressed') !== String(persp)) {
+      projBtn.setAttribute('aria-pressed', String(persp));
+      projBtn.title = persp ? 'Orthographic view' : 'Perspective view';
+    }
+
+    const mpp = metresPerPixel(camera, controls.target, viewport.clientHeight);
+    if (force || mpp !== lastScale) {
+      lastScale = mpp;
+      renderScale(feetRow, scaleBar(mpp, cfg.scaleBarWidth));
+      renderScale(metreRow, scaleBar(mpp, cfg.scaleBarWidth, true));
+    }
+
+    if (!force && camera.matrixWorldInverse.equals(lastView)) return;
+    lastView.copy(camera.matrixWorldInverse);
+    rose.style.transform = `rotate(${-cameraHeading(camera)}deg)`;
+    // The cube's faces are laid out in CSS axes (y down), so conjugate the view rotation
+    m.extractRotation(camera.matrixWorldInverse).premultiply(S).multiply(S);
+    cubeBody.style.transform = `matrix3d(${m.elements.map(v => v.toFixed(6)).join(',')})`;
+  }
+
+  onCameraChange((c) => { camera = c; update(true); });
+  onFrame(() => update());
+  window.addEventListener('resize', () => update(true));
+  update(true);
+
+  return {
+    /** Redraw immediately (e.g. after changing the projection). */
+    update: () => update(true)
+  };
+}
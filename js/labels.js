@@ -1,11 +1,42 @@
 /**
- * labels.js – CSS2D labels that always face the camera.
+ * labels.js – CSS2D labels and anchored images that always face the camera.
  *
  * Uses Three.js CSS2DObject so each label tracks a 3D world position
  * but is rendered as a DOM element (resolution-independent, always readable).
+ *
+ * Points of interest come from a manifest (CONFIG.labels.path, default
+ * data/labels.json) with real-world coordinates, so they stay put when
+ * CONFIG.originOffset changes:
+ *
+ *   {
+ *     "crs": "EPSG:2263",                      // default for every entry
+ *     "labels": [
+ *       { "text": "East River", "coords": [993400, 203415],
+ *         "className": "scene-label-water", "style": { "fontSize": "14px" },
+ *         "minZoom": 0.3, "maxZoom": 4 }
+ *     ],
+ *     "images": [
+ *       { "id": "IMG_1", "src": "./assets/images/IMG_1.jpg",
+ *         "lon": -73.93, "lat": 40.72, "caption": "…",
+ *         "detail": { "title": "…", "body": "…" } }
+ *     ]
+ *   }
+ *
+ * Coordinates are `coords: [a, b]` in the entry's `crs` (or the manifest's),
+ * or `lon` / `lat` in WGS84. `offset` overrides the height above ground
+ * (metres, CONFIG.terrain.labelOffset / imageOffset by default). `style` is a
+ * set of inline CSS properties; `minZoom` / `maxZoom` bound the map zoom
+ * (viewer.viewZoom, ortho terms in either projection) at which the entry shows. `detail` is detail-panel content ({ title, subtitle,
+ * body, about, image, record }); it makes a label clickable, and for images
+ * defaults to the image itself.
+ *
+ * When a terrain sampler is supplied, anchors are draped: their height is
+ * read from the topography at their XZ position plus the offset.
  */
 import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import CONFIG from '../config/config.js';
 import { openDetail } from './detailPanel.js';
+import { toStatePlane, toSceneCoords } from './projection.js';
 
 /**
  * Create a CSS2D label and add it to the scene.
@@ -16,13 +47,24 @@ import { openDetail } from './detailPanel.js';
  * @param {number}  z         – world Z (scene-space, after origin offset)
  * @param {object}  [opts]    – optional overrides
  * @param {string}  [opts.className]  – extra CSS class
+ * @param {object}  [opts.style]      – inline CSS properties
+ * @param {object}  [opts.detail]     – detail-panel content opened on click
  * @returns {CSS2DObject}
  */
 export function addLabel(scene, text, x, y, z, opts = {}) {
   const div = document.createElement('div');
   div.className = 'scene-label' + (opts.className ? ` ${opts.className}` : '');
-  // Support line breaks via \n
-  div.innerHTML = text.replace(/\n/g, '<br>');
+  div.textContent = text;   // \n breaks lines (white-space: pre-line)
+  if (opts.style) Object.assign(div.style, opts.style);
+
+  if (opts.detail) {
+    div.classList.add('scene-label-link');
+    div.addEventListener('pointerdown', (e) => {
+      e.stopPropagation();
+      e.preventDefault();
+      openDetail({ title: text, ...opts.detail });
+    });
+  }
 
   const label = new CSS2DObject(div);
   label.position.set(x, y, z);
@@ -31,26 +73,6 @@ export function addLabel(scene, text, x, y, z, opts = {}) {
   return label;
 }
 
-/**
- * Convenience: add all predetermined points-of-interest labels.
- * Positions are in scene-space (world coords minus originOffset).
- * Edit the entries below to reposition or add new labels.
- */
-export function addAllLabels(scene) {
-  // "East River" – placed near the model centre, elevated above terrain
-  // Adjust x, y, z to move it to the desired anchor point.
-  addLabel(scene, 'East River', -2000, 150, -200);
-
-  // "GREENPOINT" – central placeholder, adjust x, y, z to reposition
-  addLabel(scene, 'GREENPOINT', -800, 150, -1000);
-
-  // "LONG ISLAND CITY" – central placeholder, adjust x, y, z to reposition
-  addLabel(scene, 'LONG ISLAND CITY', -750, 150, -2200);
-
-  // "EAST WILLIAMSBURG" – two-line, centre-aligned; adjust x, y, z to reposition
-  addLabel(scene, 'EAST WILLIAMSBURG', 1100, 150, 1800);
-}
-
 /**
  * Create a camera-facing image anchored in world space using CSS2DObject.
  * @param {THREE.Scene} scene
@@ -60,23 +82,28 @@ export function addAllLabels(scene) {
  * @param {number} y
  * @param {number} z
  * @param {object} [opts]
+ * @param {string} [opts.className] – extra CSS class
+ * @param {object} [opts.style]     – inline CSS properties on the wrapper
+ * @param {string} [opts.caption]   – text under the image
+ * @param {string} [opts.alt]       – image alt text (default: caption or id)
+ * @param {object} [opts.detail]    – detail-panel content; defaults to the enlarged image
  */
 export function addImage(scene, id, src, x, y, z, opts = {}) {
   const wrapper = document.createElement('div');
   wrapper.className = 'scene-image' + (opts.className ? ` ${opts.className}` : '');
+  if (opts.style) Object.assign(wrapper.style, opts.style);
 
   const img = document.createElement('img');
   img.src = src;
-  img.alt = id;
+  img.alt = opts.alt || opts.caption || id;
   img.draggable = false;
   wrapper.appendChild(img);
 
-  // Open the detail overlay on click/tap — show a frosted overlay with the image
+  // Open the detail overlay on click/tap with the entry's own content
   img.addEventListener('pointerdown', (e) => {
     e.stopPropagation();
     e.preventDefault();
-    // Use a simple title and pass the image src to the detail panel
-    openDetail({ title: 'Lorem Ipsum', body: '', image: src });
+    openDetail({ title: opts.caption || id, image: src, ...opts.detail });
   });
 
   // Optional caption
@@ -94,14 +121,75 @@ export function addImage(scene, id, src, x, y, z, opts = {}) {
   return obj;
 }
 
+/* ---------- Manifest ---------- */
+
+/** EPSG:2263 feet for a manifest entry: `coords` in its CRS, or `lon` / `lat`. */
+function entryStatePlane(entry, crs) {
+  if (Number.isFinite(entry.lon) && Number.isFinite(entry.lat)) return toStatePlane(entry.lon, entry.lat, 'EPSG:4326');
+  const [a, b] = entry.coords ?? [];
+  if (!Number.isFinite(a) || !Number.isFinite(b)) throw new Error('missing coords or lon / lat');
+  return toStatePlane(a, b, entry.crs || crs);
+}
+
 /**
- * Add the four IMG anchors near the model origin so you can see and fine-tune them.
- * Positions are scene-space; edit coordinates here or move in devtools.
+ * Load the label / image manifest and add its entries to the scene.
+ * Bad entries are skipped with a warning; a missing manifest leaves the
+ * scene unlabelled.
+ * @param {THREE.Scene} scene
+ * @param {object} opts
+ * @param {object|null} [opts.terrain] – sampler used to drape anchors above the ground
+ * @param {Function} opts.viewZoom – from createViewer(); drives minZoom / maxZoom
+ * @param {Function} opts.onFrame – from createViewer()
+ * @param {string} [opts.path=CONFIG.labels.path]
+ * @returns {Promise<{ object: CSS2DObject, kind: 'label'|'image', entry: object }[]>}
  */
-export function addAllImages(scene) {
-  // Near the Rhino origin — small offsets so they're visible above terrain
-  addImage(scene, 'IMG_1', './assets/images/IMG_1.jpg', 450, 100, -725);
-  addImage(scene, 'IMG_2', './assets/images/IMG_2.jpg', 700, 100, -100);
-  addImage(scene, 'IMG_3', './assets/images/IMG_3.jpg', -325, 100, -1550);
-  addImage(scene, 'IMG_4', './assets/images/IMG_4.jpg', -75, 100, -1525);
+export async function loadLabelManifest(scene, { terrain = null, viewZoom, onFrame, path = CONFIG.labels?.path }) {
+  let manifest;
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${path}`);
+    manifest = await response.json();
+  } catch (err) {
+    console.warn('[labels] No label manifest loaded:', err);
+    return [];
+  }
+
+  const crs = manifest.crs || 'EPSG:2263';
+  const anchors = [];
+
+  const place = (kind, entry, i, lift, create) => {
+    try {
+      const sp = entryStatePlane(entry, crs);
+      const v = toSceneCoords(sp.x, sp.y, terrain, entry.offset ?? lift);
+      anchors.push({ object: create(v), kind, entry });
+    } catch (err) {
+      console.warn(`[labels] Skipping ${kind} ${entry.text ?? entry.id ?? i}: ${err.message}`);
+    }
+  };
+
+  const labelLift = CONFIG.terrain?.labelOffset ?? 60;
+  (manifest.labels ?? []).forEach((entry, i) => place('label', entry, i, labelLift, (v) =>
+    addLabel(scene, entry.text ?? '', v.x, v.y, v.z, entry)));
+
+  const imageLift = CONFIG.terrain?.imageOffset ?? 40;
+  (manifest.images ?? []).forEach((entry, i) => place('image', entry, i, imageLift, (v) =>
+    addImage(scene, entry.id ?? `image-${i + 1}`, entry.src, v.x, v.y, v.z, entry)));
+
+  // Zoom-dependent visibility, re-evaluated only when the zoom changes
+  const ranged = anchors.filter(a => a.entry.minZoom != null || a.entry.maxZoom != null);
+  let lastZoom = NaN;
+  if (ranged.length) {
+    onFrame(() => {
+      const zoom = viewZoom();
+      if (zoom === lastZoom) return;
+      lastZoom = zoom;
+      for (const { object, entry } of ranged) {
+        object.visible = zoom >= (entry.minZoom ?? 0) && zoom <= (entry.maxZoom ?? Infinity);
+      }
+    });
+  }
+
+  const count = (kind) => anchors.filter(a => a.kind === kind).length;
+  console.log(`[labels] ${count('label')} label(s), ${count('image')} image(s) from ${path}`);
+  return anchors;
 }
@@ -0,0 +1,103 @@
+/**
+ * layerRegistry.js – Runtime registry of loaded data layers.
+ *
+ * Holds every CSV / GeoJSON layer together with its config entry and the
+ * user-controlled state (visibility, opacity, draw order). The legend and
+ * other panels read from here and subscribe with onChange(), so adding a
+ * dataset only needs an entry in CONFIG.csvFiles or CONFIG.geojsonLayers.
+ *
+ * Order: index 0 is drawn first (bottom); the legend lists the top first.
+ */
+
+/**
+ * Create an empty registry.
+ */
+export function createLayerRegistry() {
+  /** @type {{ key: string, kind: 'csv'|'geojson', layer: object, cfg: object, visible: boolean, opacity: number }[]} */
+  const entries = [];
+  const listeners = new Set();
+
+  function notify(reason) {
+    for (const fn of listeners) fn(reason);
+  }
+
+  /** Re-apply draw order to every layer after a reorder. */
+  function applyOrder() {
+    entries.forEach((e, i) => e.layer.setRenderOrder?.(i));
+  }
+
+  return {
+    /**
+     * Register a loaded layer.
+     * @param {string} key
+     * @param {'csv'|'geojson'} kind
+     * @param {object} layer – point or GeoJSON layer
+     * @param {object} cfg   – its config entry
+     */
+    add(key, kind, layer, cfg) {
+      entries.push({ key, kind, layer, cfg, visible: true, opacity: 1 });
+      applyOrder();
+      notify('add');
+    },
+
+    get(key) {
+      return entries.find(e => e.key === key) || null;
+    },
+
+    /** Entries bottom → top. */
+    list() {
+      return entries.slice();
+    },
+
+    /** All layer objects bottom → top (for picking, tooltips, theming…). */
+    layers() {
+      return entries.map(e => e.layer);
+    },
+
+    setVisible(key, visible) {
+      const e = this.get(key);
+      if (!e || e.visible === visible) return;
+      e.visible = visible;
+      e.layer.object.visible = visible;
+      notify('visibility');
+    },
+
+    setOpacity(key, opacity) {
+      const e = this.get(key);
+      if (!e) return;
+      e.opacity = opacity;
+      e.layer.setLayerOpacity(opacity);
+      notify('opacity');
+    },
+
+    /** Move a layer up (+1, drawn later / on top) or down (−1) in the stack. */
+    move(key, delta) {
+      const i = entries.findIndex(e => e.key === key);
+      const j = i + delta;
+      if (i < 0 || j < 0 || j >= entries.length) return;
+      const [e] = entries.splice(i, 1);
+      entries.splice(j, 0, e);
+      applyOrder();
+      notify('order');
+    },
+
+    /** Place a layer at an absolute stack index. */
+    moveTo(key, index) {
+      const i = entries.findIndex(e => e.key === key);
+      if (i < 0) return;
+      this.move(key, Math.max(0, Math.min(entries.length - 1, index)) - i);
+    },
+
+    /** Tell subscribers that something about the layers changed (e.g. counts). */
+    notify,
+
+    /**
+     * Subscribe to changes. The callback receives a reason string.
+     * @returns {Function} unsubscribe
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+  };
+}
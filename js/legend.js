@@ -0,0 +1,153 @@
+/**
+ * legend.js – Legend generated from the layer registry.
+ *
+ * One row per registered layer, top of the stack first, with:
+ *   • a colour dot (light / dark variants) that toggles visibility
+ *   • the layer title and its live feature count
+ *   • ▲ / ▼ buttons (and drag-and-drop) to reorder the stack
+ *   • an opacity slider
+ */
+
+const hex = (c) => '#' + (c ?? 0).toString(16).padStart(6, '0');
+
+/**
+ * Colours for a registry entry's legend dot: the layer's current color /
+ * darkColor (marker colour, or stroke for GeoJSON), which follow the theme
+ * and may be overridden, e.g. by the CSO risk state.
+ */
+export function dotColors(entry) {
+  const { layer } = entry;
+  return { light: hex(layer.color), dark: hex(layer.darkColor ?? layer.color) };
+}
+
+/** Visible count text; layers may expose a filtered count. */
+export function countText(layer) {
+  const shown = layer.visibleCount ?? layer.count;
+  return shown === layer.count ? `${layer.count}` : `${shown} / ${layer.count}`;
+}
+
+/**
+ * Build the legend inside `container` and keep it in sync with the registry.
+ * @param {HTMLElement} container
+ * @param {object} registry – see layerRegistry.js
+ */
+export function createLegend(container, registry) {
+  let dragKey = null;
+
+  function render() {
+    container.replaceChildren();
+    const entries = registry.list().reverse();   // top of stack first
+
+    entries.forEach((entry, i) => {
+      const { key, layer, cfg } = entry;
+      const colors = dotColors(entry);
+
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+      item.dataset.key = key;
+      item.draggable = true;
+
+      const dot = document.createElement('span');
+      dot.className = 'legend-dot';
+      dot.style.setProperty('--dot-light', colors.light);
+      dot.style.setProperty('--dot-dark', colors.dark);
+      dot.style.opacity = entry.visible ? '1' : '0.35';
+      dot.setAttribute('role', 'switch');
+      dot.setAttribute('aria-checked', String(entry.visible));
+      dot.setAttribute('tabindex', '0');
+      dot.setAttribute('title', 'Toggle visibility');
+      dot.addEventListener('click', () => registry.setVisible(key, !entry.visible));
+      dot.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          dot.click();
+        }
+      });
+
+      const label = document.createElement('span');
+      label.className = 'legend-label';
+      label.textContent = cfg.title || cfg.label || key;
+
+      const count = document.createElement('span');
+      count.className = 'legend-count';
+      count.textContent = countText(layer);
+
+      const controls = document.createElement('span');
+      controls.className = 'legend-controls';
+
+      const up = document.createElement('button');
+      up.className = 'legend-btn';
+      up.textContent = '▲';
+      up.title = 'Move up';
+      up.setAttribute('aria-label', `Move ${label.textContent} up`);
+      up.disabled = i === 0;
+      up.addEventListener('click', () => registry.move(key, +1));
+
+      const down = document.createElement('button');
+      down.className = 'legend-btn';
+      down.textContent = '▼';
+      down.title = 'Move down';
+      down.setAttribute('aria-label', `Move ${label.textContent} down`);
+      down.disabled = i === entries.length - 1;
+      down.addEventListener('click', () => registry.move(key, -1));
+
+      const opacity = document.createElement('input');
+      opacity.type = 'range';
+      opacity.className = 'legend-opacity';
+      opacity.min = '0';
+      opacity.max = '1';
+      opacity.step = '0.05';
+      opacity.value = String(entry.opacity);
+      opacity.title = 'Layer opacity';
+      opacity.setAttribute('aria-label', `${label.textContent} opacity`);
+      opacity.addEventListener('input', () => registry.setOpacity(key, parseFloat(opacity.value)));
+
+      controls.append(up, down, opacity);
+      item.append(dot, label, count, controls);
+
+      // Drag-and-drop reordering
+      item.addEventListener('dragstart', (e) => {
+        dragKey = key;
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+      });
+      item.addEventListener('dragend', () => {
+        dragKey = null;
+        item.classList.remove('dragging');
+      });
+      item.addEventListener('dragover', (e) => {
+        if (dragKey && dragKey !== key) e.preventDefault();
+      });
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (!dragKey || dragKey === key) return;
+        // Legend is top-first; convert the row position into a stack index
+        registry.moveTo(dragKey, entries.length - 1 - i);
+      });
+
+      container.appendChild(item);
+    });
+  }
+
+  /** Opacity changes only need the slider value, not a full rebuild. */
+  registry.onChange((reason) => {
+    if (reason === 'opacity') {
+      for (const entry of registry.list()) {
+        const el = container.querySelector(`.legend-item[data-key="${entry.key}"] .legend-opacity`);
+        if (el && parseFloat(el.value) !== entry.opacity) el.value = String(entry.opacity);
+      }
+      return;
+    }
+    if (reason === 'counts') {
+      for (const entry of registry.list()) {
+        const el = container.querySelector(`.legend-item[data-key="${entry.key}"] .legend-count`);
+        if (el) el.textContent = countText(entry.layer);
+      }
+      return;
+    }
+    render();
+  });
+
+  render();
+  return { render };
+}
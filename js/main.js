@@ -8,12 +8,33 @@
  * 5. Sets up interactive tooltips.
  * 6. Fades out the preloader.
  */
-import * as THREE from 'three';
 import { createViewer }   from './viewer.js';
 import { loadModel } from './gltfLoader.js';
 import { loadAllCSV }     from './csvLoader.js';
+import { loadAllGeoJSON } from './geojsonLoader.js';
 import { setupTooltips, frameBoundingBox, animateIntro } from './utils.js';
-import { addAllLabels, addAllImages }   from './labels.js';
+import { loadLabelManifest } from './labels.js';
+import { setupDeclutter } from './declutter.js';
+import { createTerrainSampler } from './terrain.js';
+import { createLayerRegistry } from './layerRegistry.js';
+import { createLegend } from './legend.js';
+import { createFilterPanel } from './filterPanel.js';
+import { setupSearch } from './search.js';
+import { setupClustering } from './clustering.js';
+import { createHeatmap } from './heatmap.js';
+import { createWeather } from './apiWeather.js';
+import { createTimeline } from './timeline.js';
+import { createProximity } from './proximity.js';
+import { createSelection } from './selection.js';
+import { createMeasure } from './measure.js';
+import { setupCursorReadout } from './cursorReadout.js';
+import { createUrlState } from './urlState.js';
+import { createTours } from './tours.js';
+import { createMapExport } from './mapExport.js';
+import { createHud } from './hud.js';
+import { createThemes, preferredTheme } from './theme.js';
+import CONFIG from '../config/config.js';
+import THEMES from '../config/themes.js';
 
 
 /* ---------- Preloader helpers ---------- */
@@ -39,130 +60,135 @@ async function init() {
   setProgress(5, 'Setting up scene');
 
   // 1. Spin up the 3D viewer
-  const { scene, camera, renderer, controls, setTickSprites } = createViewer();
+  // `camera` is the starting (orthographic) camera; modules that keep it follow
+  // perspective swaps through onCameraChange, others read view.camera
+  const view = createViewer();
+  const { scene, camera, renderer, controls, picker, setTickSprites, onFrame, onAfterRender, animateCamera, flyTo, snapView,
+    setProjection, getProjection, onCameraChange, viewZoom } = view;
   const tooltipEl = document.getElementById('tooltip');
 
   try {
     setProgress(10, 'Loading 3D model');
 
-    // 2. Load the GLB model
-    const { model, setModeProgress } = await loadModel(scene, (pct) => {
+    // 2. Load the GLB model, textured for the starting theme
+    const initialTheme = preferredTheme();
+    const { model, themeModel, setHeatmap } = await loadModel(scene, (pct) => {
       setProgress(10 + pct * 0.7, `Loading model ${Math.round(pct)}%`);
-    }, renderer);
+    }, THEMES[initialTheme]);
 
     setProgress(80, 'Framing view');
 
     // 3. Auto-frame the camera around the loaded model
     frameBoundingBox(model, camera, controls);
 
+    setProgress(82, 'Sampling terrain');
+
+    // 3b. Heightfield of the topography, used to drape markers and labels;
+    //     the model also occludes markers during picking
+    const terrain = createTerrainSampler(model);
+    picker.addOccluder(model);
+
     setProgress(85, 'Loading data overlays');
 
     // 4. Overlay CSV data points
-    const csvResults = await loadAllCSV(scene);
+    const csvResults = await loadAllCSV(scene, terrain);
 
-    // 4b. Add CSS2D point-of-interest labels and anchored images
-    addAllLabels(scene);
-    addAllImages(scene);
+    // 4a. Draped GeoJSON lines / polygons (sewersheds, outfalls, boundaries…)
+    const geoResults = await loadAllGeoJSON(scene, terrain);
 
-    // Update legend counts
-    if (csvResults.cso) {
-      const el = document.getElementById('count-cso');
-      if (el) el.textContent = csvResults.cso.group.children.length;
-    }
-    if (csvResults.npdes) {
-      const el = document.getElementById('count-npdes');
-      if (el) el.textContent = csvResults.npdes.group.children.length;
-    }
-    if (csvResults.rcra_2263_clipped) {
-      const el = document.getElementById('count-rcra');
-      if (el) el.textContent = csvResults.rcra_2263_clipped.group.children.length;
-    }
+    // 4b. Register every layer; legend, toggles and picking all read from here
+    const registry = createLayerRegistry();
+    for (const [key, r] of Object.entries(geoResults)) registry.add(key, 'geojson', r.layer, CONFIG.geojsonLayers[key]);
+    for (const [key, r] of Object.entries(csvResults)) registry.add(key, 'csv', r.layer, CONFIG.csvFiles[key]);
+    const dataLayers = registry.layers();
+    dataLayers.forEach(layer => layer.registerPicking(picker));
 
+    // 4c. CSS2D point-of-interest labels and anchored images from data/labels.json
+    const anchors = await loadLabelManifest(scene, { terrain, viewZoom, onFrame });
+    setupDeclutter(anchors, { camera, renderer, terrain, onAfterRender, onCameraChange });
 
     setProgress(95, 'Preparing interactions…');
 
-    // --- Legend click interaction to toggle dataset visibility ---
-    // Map legend dot class to csvResults key
-    const legendMap = {
-      cso: 'cso',
-      npdes: 'npdes',
-      rcra: 'rcra_2263_clipped'
-    };
-    Object.entries(legendMap).forEach(([dotClass, csvKey]) => {
-      const dot = document.querySelector('.legend-dot.' + dotClass);
-      if (!dot) return;
-      dot.style.cursor = 'pointer';
-      dot.setAttribute('tabindex', '0');
-      dot.setAttribute('title', 'Toggle visibility');
-      let visible = true;
-      dot.addEventListener('click', () => {
-        visible = !visible;
-        const group = csvResults[csvKey]?.group;
-        if (group) group.visible = visible;
-        dot.style.opacity = visible ? '1' : '0.35';
-      });
-      dot.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          dot.click();
-        }
+    // Legend with counts, visibility toggles, opacity and reordering
+    createLegend(document.getElementById('legend'), registry);
+
+    // Attribute filters (hidden markers drop out of counts and picking)
+    const filters = createFilterPanel(document.getElementById('filter-panel'), registry);
+
+    // Buffer analysis: features within a radius of a selected outfall
+    const proximity = createProximity(document.getElementById('proximity-panel'), registry, { scene, terrain, flyTo });
+
+    // Box / lasso selection with CSV / GeoJSON export
+    const selection = createSelection(document.getElementById('select-panel'), registry, { camera, controls, renderer, onCameraChange });
+
+    // Distance, area and elevation-profile measurement on the terrain
+    const measure = createMeasure(document.getElementById('measure-panel'), { scene, camera, renderer, terrain, onCameraChange });
+
+    // Kernel-density heatmap blended into the terrain texture
+    const heatmap = createHeatmap(document.getElementById('heatmap-panel'), registry, terrain, setHeatmap);
+
+    // Precipitation feed: CSO markers coloured by overflow risk, status pill in the header
+    const weather = createWeather(registry, document.getElementById('weather-status'),
+      document.getElementById('weather-panel'));
+
+    // Timeline: date slider over dated datasets, with the rainfall hyetograph
+    const timeline = createTimeline(document.getElementById('timeline'), registry, { weather, onFrame });
+
+    // Saved viewpoints and scripted tours from data/tours.json
+    const tours = createTours(document.getElementById('tours-panel'), document.getElementById('tour-player'),
+      registry, { camera, controls, animateCamera, terrain, onCameraChange, viewZoom });
+
+    // High-resolution PNG of the current view with legend, scale bar and north arrow
+    const mapExport = createMapExport(document.getElementById('export-panel'), registry,
+      { scene, camera, renderer, controls, onCameraChange });
+
+    // Header tool buttons; the side panels share one slot, so opening one closes the others
+    const tools = [['filter-btn', filters], ['select-btn', selection], ['measure-btn', measure], ['proximity-btn', proximity], ['heatmap-btn', heatmap], ['tours-btn', tours], ['export-btn', mapExport], ['weather-status', weather]];
+    for (const [id, tool] of tools) {
+      const btn = document.getElementById(id);
+      btn?.addEventListener('click', () => tool.toggle());
+      tool.onToggle((open) => {
+        btn?.setAttribute('aria-expanded', String(open));
+        if (open) for (const [, other] of tools) if (other !== tool) other.close();
+        document.body.classList.toggle('has-side-panel', !!document.querySelector('.side-panel:not(.hidden)'));
       });
-    });
+    }
+
+    // Count badges for dense layers, split apart as the camera zooms in
+    setupClustering(registry, { camera, controls, renderer, animateCamera, onFrame, onCameraChange, viewZoom });
 
-    // 5. Tooltips via raycasting
-    const tickSprites = setupTooltips(camera, scene, tooltipEl);
+    // Header search: type-ahead over names / IDs / addresses, fly-to on pick
+    setupSearch(document.getElementById('search-input'), document.getElementById('search-results'),
+      registry, { flyTo });
+
+    // Scale bar, compass and view cube
+    createHud(document.getElementById('hud'),
+      { camera, controls, renderer, onFrame, snapView, setProjection, getProjection, onCameraChange });
+
+    // Footer readout: ground coordinates and elevation under the pointer
+    setupCursorReadout(document.getElementById('cursor-readout'), { camera, renderer, terrain, onFrame, onCameraChange });
+
+    // 5. Tooltips via GPU picking
+    const tickSprites = setupTooltips(camera, dataLayers, picker, tooltipEl, onCameraChange);
     setTickSprites(tickSprites);
 
+    // Map themes, crossfaded: background, terrain, buildings, markers and UI
+    const theme = createThemes({ scene, themeModel, registry, selectEl: document.getElementById('theme-select'),
+      initial: initialTheme });
+
     // 6. Done!
     hidePreloader();
 
-    // Dark mode — smooth crossfade via RAF lerp
-    const BG_LIGHT = new THREE.Color(0xeeeeee);
-    const BG_DARK  = new THREE.Color(0x111111);
-    let modeT      = 0;   // current interpolation value (0=light, 1=dark)
-    let modeTarget = 0;   // where we're animating towards
-    let modeRafId  = null;
-    let modePrevTime = performance.now();
-
-    function tickModeFrame(now) {
-      const dt = (now - modePrevTime) / 200; // 500ms total duration
-      modePrevTime = now;
-
-      if (modeTarget > modeT) modeT = Math.min(modeT + dt, modeTarget);
-      else                     modeT = Math.max(modeT - dt, modeTarget);
-
-      // Toggle CSS class at midpoint so @property transitions meet symmetrically
-      if (modeTarget === 1 && modeT >= 0.5) document.body.classList.add('dark');
-      if (modeTarget === 0 && modeT <= 0.5) document.body.classList.remove('dark');
-
-      // Swap marker dot textures at the midpoint
-      const isDarkNow = modeT >= 0.5;
-      for (const result of Object.values(csvResults)) {
-        if (!result?.material) continue;
-        const tex = isDarkNow ? result.darkTex : result.lightTex;
-        if (result.material.map !== tex) { result.material.map = tex; result.material.needsUpdate = true; }
-      }
-
-      setModeProgress(modeT);
-      scene.background.lerpColors(BG_LIGHT, BG_DARK, modeT);
-
-      if (Math.abs(modeT - modeTarget) > 0.0001) {
-        modeRafId = requestAnimationFrame(tickModeFrame);
-      } else {
-        modeT = modeTarget;
-        setModeProgress(modeT); // ensure endpoints (texture swap) are applied
-        modeRafId = null;
-      }
-    }
-
-    document.getElementById('dark-mode-btn')?.addEventListener('click', () => {
-      if (modeRafId) return; // ignore while animating
-      modeTarget     = modeT < 0.5 ? 1 : 0;
-      modePrevTime   = performance.now();
-      modeRafId      = requestAnimationFrame(tickModeFrame);
+    // Shareable URL: camera, layers, filters, tools, theme and open record
+    const urlState = createUrlState({
+      view,
+      registry, theme,
+      tools: { filters, heatmap, proximity }
     });
 
-    // 7. Gentle camera intro animation (pivot down into isometric view)
-    animateIntro(camera, controls, 1750);
+    // 7. Gentle camera intro animation (pivot down into isometric view),
+    //    unless a shared link already placed the camera
+    if (!urlState.restore()) animateIntro(view.camera, controls, 1750);
 
 
   } catch (err) {
@@ -0,0 +1,511 @@
+/**
+ * mapExport.js – High-resolution PNG export of the current view.
+ *
+ * The scene is re-rendered offscreen at the chosen size in tiles (so the
+ * output can exceed the GPU's maximum drawing-buffer size) via
+ * camera.setViewOffset. Marker sizes and line widths are rescaled so the
+ * export looks like an enlarged screenshot rather than a thin-lined one.
+ * Cluster count badges stand in for the markers they hide, so they are always
+ * drawn. The CSS2D labels and anchored images, the legend, a scale bar, a north
+ * arrow, a title and the data credit are then drawn on top with the 2D
+ * canvas API, in the colours of the current light / dark theme.
+ *
+ * When the export aspect differs from the screen, the frustum is widened
+ * (never cropped) so everything on screen stays in the picture.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+import { setPointViewport } from './pointLayer.js';
+import { setLineResolution } from './geojsonLoader.js';
+import { dotColors, countText } from './legend.js';
+import { downloadBlob, safeFilename } from './exportUtils.js';
+import { scaleBar, metresPerPixel } from './hud.js';
+
+const TILE = 2048;               // px per render tile (clamped to the GPU limit)
+
+/** Output sizes; `scale` multiplies the on-screen size. */
+const PRESETS = {
+  x2:     { label: '2× screen', scale: 2 },
+  x4:     { label: '4× screen', scale: 4 },
+  a4:     { label: 'A4 landscape · 300 dpi', width: 3508, height: 2480 },
+  letter: { label: 'Letter landscape · 300 dpi', width: 3300, height: 2550 },
+  custom: { label: 'Custom…' }
+};
+
+/**
+ * Build the export panel.
+ * @param {HTMLElement} panelEl
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} view – { scene, camera, renderer, controls, onCameraChange }
+ * @returns {{ open: Function, close: Function, toggle: Function, onToggle: Function, exportPNG: Function }}
+ */
+export function createMapExport(panelEl, registry, { scene, camera, renderer, controls, onCameraChange }) {
+  onCameraChange?.((c) => { camera = c; });
+  const cfg = CONFIG.export;
+  const toggleListeners = new Set();
+  const container = renderer.domElement.parentElement;
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Export</span>
+      <button class="side-panel-close" aria-label="Close export">&times;</button>
+    </div>
+    <label class="filter-row">
+      <span class="filter-caption">Size</span>
+      <select class="export-size">
+        ${Object.entries(PRESETS).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('')}
+      </select>
+    </label>
+    <div class="export-custom hidden">
+      <input class="export-width" type="number" min="256" step="1" aria-label="Width (px)">
+      <span>×</span>
+      <input class="export-height" type="number" min="256" step="1" aria-label="Height (px)">
+      <span class="filter-caption">px</span>
+    </div>
+    <p class="export-dims filter-caption"></p>
+    <label class="filter-row">
+      <span class="filter-caption">Title</span>
+      <input class="export-title" type="search" spellcheck="true">
+    </label>
+    <fieldset class="export-parts">
+      <label class="filter-mode"><input type="checkbox" value="labels" checked> Labels</label>
+      <label class="filter-mode"><input type="checkbox" value="legend" checked> Legend</label>
+      <label class="filter-mode"><input type="checkbox" value="scale" checked> Scale bar</label>
+      <label class="filter-mode"><input type="checkbox" value="north" checked> North arrow</label>
+      <label class="filter-mode"><input type="checkbox" value="title" checked> Title</label>
+      <label class="filter-mode"><input type="checkbox" value="credit" checked> Credit</label>
+    </fieldset>
+    <div class="side-panel-footer">
+      <span class="export-status filter-caption" aria-live="polite"></span>
+      <button class="panel-btn export-btn">Export PNG</button>
+    </div>`;
+
+  const sizeSel = panelEl.querySelector('.export-size');
+  const customEl = panelEl.querySelector('.export-custom');
+  const widthIn = panelEl.querySelector('.export-width');
+  const heightIn = panelEl.querySelector('.export-height');
+  const dimsEl = panelEl.querySelector('.export-dims');
+  const titleIn = panelEl.querySelector('.export-title');
+  const statusEl = panelEl.querySelector('.export-status');
+  const exportBtn = panelEl.querySelector('.export-btn');
+
+  sizeSel.value = cfg.size;
+  titleIn.value = cfg.title;
+
+  /** Requested output size, clamped to what a canvas can hold. */
+  function outputSize() {
+    const preset = PRESETS[sizeSel.value];
+    let width, height;
+    if (preset.scale) {
+      width = container.clientWidth * preset.scale;
+      height = container.clientHeight * preset.scale;
+    } else if (preset.width) {
+      ({ width, height } = preset);
+    } else {
+      width = parseInt(widthIn.value, 10) || container.clientWidth;
+      height = parseInt(heightIn.value, 10) || container.clientHeight;
+    }
+    const k = Math.min(1, cfg.maxSide / Math.max(width, height), Math.sqrt(cfg.maxPixels / (width * height)));
+    return { width: Math.max(1, Math.round(width * k)), height: Math.max(1, Math.round(height * k)) };
+  }
+
+  function renderDims() {
+    customEl.classList.toggle('hidden', sizeSel.value !== 'custom');
+    const { width, height } = outputSize();
+    dimsEl.textContent = `${width.toLocaleString()} × ${height.toLocaleString()} px`;
+  }
+
+  sizeSel.addEventListener('change', () => {
+    if (sizeSel.value === 'custom' && !widthIn.value) {
+      widthIn.value = String(container.clientWidth * 2);
+      heightIn.value = String(container.clientHeight * 2);
+    }
+    renderDims();
+  });
+  widthIn.addEventListener('input', renderDims);
+  heightIn.addEventListener('input', renderDims);
+  window.addEventListener('resize', renderDims);
+  exportBtn.addEventListener('click', () => exportPNG());
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  /* --- Camera framing for the export --- */
+
+  /** Fit the camera to `aspect` without cropping the on-screen view; returns a restore function. */
+  function frameFor(aspect) {
+    const screenAspect = container.clientWidth / container.clientHeight;
+    if (camera.isPerspectiveCamera) {
+      const { aspect: a, fov } = camera;
+      if (aspect < screenAspect) {
+        const halfW = Math.tan(THREE.MathUtils.degToRad(fov / 2)) * screenAspect;
+        camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(halfW / aspect));
+      }
+      camera.aspect = aspect;
+      camera.updateProjectionMatrix();
+      return () => { camera.aspect = a; camera.fov = fov; camera.updateProjectionMatrix(); };
+    }
+    const { left, right, top, bottom } = camera;
+    const halfH = aspect >= screenAspect ? top : (top * screenAspect) / aspect;
+    camera.top = halfH;
+    camera.bottom = -halfH;
+    camera.left = -halfH * aspect;
+    camera.right = halfH * aspect;
+    camera.updateProjectionMatrix();
+    return () => {
+      Object.assign(camera, { left, right, top, bottom });
+      camera.updateProjectionMatrix();
+    };
+  }
+
+  /** Screen angle of north (radians clockwise from up). */
+  function northAngle() {
+    const a = controls.target.clone().project(camera);
+    const b = controls.target.clone().add(new THREE.Vector3(0, 0, -100)).project(camera);   // scene north is -Z
+    return Math.atan2(b.x - a.x, b.y - a.y);
+  }
+
+  /* --- Rendering --- */
+
+  /** Render the WebGL scene into `ctx` tile by tile. */
+  function renderScene(ctx, width, height, scale) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const ratio = renderer.getPixelRatio();
+    const tile = Math.min(TILE, renderer.capabilities.maxTextureSize);
+
+    renderer.setPixelRatio(1);
+    setPointViewport(height, 1);
+    try {
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const tw = Math.min(tile, width - x), th = Math.min(tile, height - y);
+          renderer.setSize(tw, th, false);
+          setLineResolution(tw / scale, th / scale);
+          camera.setViewOffset(width, height, x, y, tw, th);
+          renderer.render(scene, camera);
+          ctx.drawImage(renderer.domElement, x, y);
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      renderer.setPixelRatio(ratio);
+      renderer.setSize(size.x, size.y, false);
+      setPointViewport(size.y, ratio);
+      setLineResolution(size.x, size.y);
+    }
+  }
+
+  /** Draw the cluster count badges (clustering.js) where the screen shows them. */
+  function drawBadges(ctx, width, height, scale) {
+    const v = new THREE.Vector3();
+    scene.traverseVisible((obj) => {
+      if (!obj.isCSS2DObject || !obj.element.classList.contains('cluster-badge')) return;
+      const el = obj.element;
+      obj.getWorldPosition(v).project(camera);
+      if (v.z < -1 || v.z > 1) return;
+      const cx = (v.x + 1) / 2 * width, cy = (1 - v.y) / 2 * height;
+      const w = el.offsetWidth * scale, h = el.offsetHeight * scale;
+      const halo = 3 * scale;
+
+      const cs = getComputedStyle(el);
+      ctx.save();
+      ctx.globalAlpha = parseFloat(cs.opacity);
+      ctx.fillStyle = cs.backgroundColor;
+      ctx.save();
+      ctx.globalAlpha *= 0.35;
+      ctx.beginPath();
+      ctx.roundRect(cx - w / 2 - halo, cy - h / 2 - halo, w + 2 * halo, h + 2 * halo, h / 2 + halo);
+      ctx.fill();
+      ctx.restore();
+      ctx.beginPath();
+      ctx.roundRect(cx - w / 2, cy - h / 2, w, h, h / 2);
+      ctx.fill();
+      drawText(ctx, el, el.textContent, cx, cy, scale);
+      ctx.restore();
+    });
+  }
+
+  /** Draw the CSS2D labels and images at their projected positions. */
+  function drawAnchors(ctx, width, height, scale) {
+    const v = new THREE.Vector3();
+    const occludedOpacity = CONFIG.declutter?.occludedOpacity ?? 1;
+    scene.traverseVisible((obj) => {
+      if (!obj.isCSS2DObject) return;
+      const el = obj.element;
+      const isImage = el.classList.contains('scene-image');
+      if (!isImage && !el.classList.contains('scene-label')) return;
+      if (el.classList.contains('declutter-hidden')) return;
+
+      obj.getWorldPosition(v).project(camera);
+      if (v.z < -1 || v.z > 1) return;
+      const [nx, ny] = (el.style.translate || '0px 0px').split(' ').map(s => parseFloat(s) || 0);
+      const cx = (v.x + 1) / 2 * width + nx * scale;
+      const cy = (1 - v.y) / 2 * height + ny * scale;
+
+      const cs = getComputedStyle(el);
+      ctx.save();
+      ctx.globalAlpha = parseFloat(cs.opacity) * (el.classList.contains('declutter-occluded') ? occludedOpacity : 1);
+
+      if (isImage) {
+        // The wrapper is absolutely positioned, so child offsets are relative to it
+        const img = el.querySelector('img');
+        const top = cy - (el.offsetHeight / 2) * scale;
+        if (img.complete && img.naturalWidth) {
+          const w = img.offsetWidth * scale, h = img.offsetHeight * scale;
+          ctx.filter = getComputedStyle(img).filter;
+          ctx.drawImage(img, cx - w / 2, top + img.offsetTop * scale, w, h);
+          ctx.filter = 'none';
+        }
+        const cap = el.querySelector('.scene-image-caption');
+        if (cap) drawText(ctx, cap, cap.textContent, cx, top + (cap.offsetTop + cap.offsetHeight / 2) * scale, scale);
+      } else {
+        drawText(ctx, el, el.textContent, cx, cy, scale);
+      }
+      ctx.restore();
+    });
+  }
+
+  /** Centred, possibly multi-line text in an element's computed font. */
+  function drawText(ctx, el, text, cx, cy, scale) {
+    const cs = getComputedStyle(el);
+    const size = parseFloat(cs.fontSize) * scale;
+    ctx.font = `${cs.fontStyle} ${cs.fontWeight} ${size}px ${cs.fontFamily}`;
+    ctx.letterSpacing = `${(parseFloat(cs.letterSpacing) || 0) * scale}px`;
+    ctx.fillStyle = cs.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const lines = (cs.textTransform === 'uppercase' ? text.toUpperCase() : text).split('\n');
+    const lh = size * 1.2;
+    lines.forEach((line, i) => ctx.fillText(line, cx, cy + (i - (lines.length - 1) / 2) * lh));
+  }
+
+  /** Theme colours and fonts from the page's CSS tokens. */
+  function theme() {
+    const cs = getComputedStyle(document.body);
+    const get = (name, fallback) => cs.getPropertyValue(name).trim() || fallback;
+    return {
+      dark: document.body.classList.contains('dark'),
+      panel: get('--bg-panel', 'rgba(255,255,255,0.8)'),
+      border: get('--border-bright', 'rgba(0,0,0,0.2)'),
+      text: get('--text', '#1a1a1a'),
+      dim: get('--text-dim', '#6b6b6a'),
+      sans: get('--font-sans', 'sans-serif'),
+      mono: get('--font-mono', 'monospace')
+    };
+  }
+
+  function panelBox(ctx, t, x, y, w, h, u) {
+    ctx.fillStyle = t.panel;
+    ctx.strokeStyle = t.border;
+    ctx.lineWidth = u;
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, 6 * u);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  function drawTitle(ctx, t, u, title) {
+    const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    ctx.font = `600 ${20 * u}px ${t.sans}`;
+    const w = Math.max(ctx.measureText(title).width, 160 * u) + 32 * u;
+    panelBox(ctx, t, 16 * u, 16 * u, w, 58 * u, u);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = t.text;
+    ctx.fillText(title, 32 * u, 44 * u);
+    ctx.font = `${11 * u}px ${t.mono}`;
+    ctx.fillStyle = t.dim;
+    ctx.fillText(date, 32 * u, 62 * u);
+  }
+
+  /** Visible datasets, top of the stack first; returns the box top. */
+  function drawLegend(ctx, t, u, bottom) {
+    const entries = registry.list().reverse().filter(e => e.visible);
+    if (!entries.length) return bottom;
+    const row = 22 * u, pad = 14 * u;
+    ctx.font = `${13 * u}px ${t.sans}`;
+    const labels = entries.map(e => e.cfg.title || e.cfg.label || e.key);
+    const counts = entries.map(e => countText(e.layer));
+    const w = Math.max(...labels.map(l => ctx.measureText(l).width)) + 110 * u;
+    const h = entries.length * row + pad * 2;
+    const top = bottom - h;
+    panelBox(ctx, t, 16 * u, top, w, h, u);
+
+    entries.forEach((e, i) => {
+      const y = top + pad + row * i + row / 2;
+      const colors = dotColors(e);
+      ctx.fillStyle = t.dark ? colors.dark : colors.light;
+      ctx.globalAlpha = e.opacity;
+      ctx.beginPath();
+      ctx.arc(32 * u, y, 5 * u, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      ctx.font = `${13 * u}px ${t.sans}`;
+      ctx.fillStyle = t.text;
+      ctx.fillText(labels[i], 46 * u, y);
+      ctx.textAlign = 'right';
+      ctx.font = `${11 * u}px ${t.mono}`;
+      ctx.fillStyle = t.dim;
+      ctx.fillText(counts[i], 16 * u + w - pad, y);
+    });
+    return top;
+  }
+
+  function drawScaleBar(ctx, t, u, width, bottom, mPerPx) {
+    const bar = scaleBar(mPerPx, 180 * u);
+    const h = 8 * u, pad = 14 * u;
+    const boxW = bar.px + pad * 2 + 40 * u, boxH = 54 * u;
+    const x0 = width - 16 * u - boxW + pad, y0 = bottom - boxH + 26 * u;
+    panelBox(ctx, t, width - 16 * u - boxW, bottom - boxH, boxW, boxH, u);
+
+    // Four alternating segments
+    for (let i = 0; i < 4; i++) {
+      ctx.fillStyle = i % 2 ? t.panel : t.text;
+      ctx.fillRect(x0 + (bar.px / 4) * i, y0, bar.px / 4, h);
+    }
+    ctx.strokeStyle = t.text;
+    ctx.lineWidth = u;
+    ctx.strokeRect(x0, y0, bar.px, h);
+
+    ctx.fillStyle = t.text;
+    ctx.font = `${11 * u}px ${t.mono}`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText('0', x0, y0 - 4 * u);
+    ctx.textAlign = 'center';
+    ctx.fillText(bar.label, x0 + bar.px, y0 - 4 * u);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = t.dim;
+    const m = bar.metres >= 1000 ? `${+(bar.metres / 1000).toFixed(2)} km` : `${Math.round(bar.metres)} m`;
+    ctx.fillText(`${m} · at view centre`, x0, y0 + h + 4 * u);
+  }
+
+  function drawNorthArrow(ctx, t, u, width, angle) {
+    const r = 22 * u;
+    const cx = width - 16 * u - r - 6 * u, cy = 16 * u + r + 6 * u;
+    ctx.fillStyle = t.panel;
+    ctx.strokeStyle = t.border;
+    ctx.lineWidth = u;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r + 6 * u, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, -r * 0.8);
+    ctx.lineTo(r * 0.35, r * 0.5);
+    ctx.lineTo(0, r * 0.25);
+    ctx.lineTo(-r * 0.35, r * 0.5);
+    ctx.closePath();
+    ctx.fillStyle = t.text;
+    ctx.fill();
+    ctx.font = `600 ${10 * u}px ${t.mono}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('N', 0, -r * 0.8 - 2 * u);
+    ctx.restore();
+  }
+
+  function drawCredit(ctx, t, u, height) {
+    ctx.font = `${10 * u}px ${t.mono}`;
+    ctx.fillStyle = t.dim;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(cfg.credit, 16 * u, height - 10 * u);
+  }
+
+  /* --- Export --- */
+  let busy = false;
+
+  /**
+   * Render the current view and download it as a PNG.
+   * @param {object} [opts] – { width, height, title, parts: Set<string> }; defaults from the panel
+   * @returns {Promise<Blob|null>}
+   */
+  async function exportPNG(opts = {}) {
+    if (busy) return null;
+    busy = true;
+    exportBtn.disabled = true;
+    const { width, height } = opts.width ? opts : outputSize();
+    const title = opts.title ?? (titleIn.value.trim() || cfg.title);
+    const parts = opts.parts ?? new Set([...panelEl.querySelectorAll('.export-parts input:checked')].map(i => i.value));
+    statusEl.textContent = `Rendering ${width} × ${height}…`;
+
+    try {
+      await new Promise(requestAnimationFrame);   // let the status paint first
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      const scale = height / container.clientHeight;   // CSS px → output px
+      const t = theme();
+      let mPerPx, angle;
+
+      const restore = frameFor(width / height);
+      try {
+        renderScene(ctx, width, height, scale);
+        drawBadges(ctx, width, height, scale);
+        if (parts.has('labels')) drawAnchors(ctx, width, height, scale);
+        mPerPx = metresPerPixel(camera, controls.target, height);
+        angle = northAngle();
+      } finally {
+        restore();
+      }
+
+      // Overlays scale with the output but never shrink below screen size
+      const u = Math.max(1, Math.min(scale, width / container.clientWidth));
+      let bottom = height - (parts.has('credit') ? 28 * u : 16 * u);
+      if (parts.has('title')) drawTitle(ctx, t, u, title);
+      if (parts.has('north')) drawNorthArrow(ctx, t, u, width, angle);
+      if (parts.has('scale')) drawScaleBar(ctx, t, u, width, bottom, mPerPx);
+      if (parts.has('legend')) bottom = drawLegend(ctx, t, u, bottom);
+      if (parts.has('credit')) drawCredit(ctx, t, u, height);
+
+      const blob = await new Promise((resolve, reject) =>
+        canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Canvas too large to encode'))), 'image/png'));
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `${safeFilename(`${title}_${stamp}_${width}x${height}`)}.png`);
+      statusEl.textContent = `Saved ${width} × ${height}`;
+      console.log(`[mapExport] Exported ${width}×${height} PNG (${(blob.size / 1e6).toFixed(1)} MB)`);
+      return blob;
+    } catch (err) {
+      console.error('[mapExport] Export failed:', err);
+      statusEl.textContent = 'Export failed – see console';
+      return null;
+    } finally {
+      busy = false;
+      exportBtn.disabled = false;
+    }
+  }
+
+  /* --- Open / close --- */
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    renderDims();
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  renderDims();
+
+  return {
+    open, close, toggle, exportPNG,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); }
+  };
+}
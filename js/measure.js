@@ -0,0 +1,470 @@
+/**
+ * measure.js – Distance, area and elevation-profile tools on the terrain.
+ *
+ * While the Measure panel is open, clicks on the map place vertices snapped
+ * to the topography mesh (buildings are ignored). Lines are draped on the
+ * ground and results are given in feet and metres:
+ *   Distance – click-to-click polyline; horizontal and along-surface length
+ *   Area     – closed polygon; planar area and perimeter
+ *   Profile  – two clicks; elevation sampled along the line and charted,
+ *              with the net fall and any intermediate high point, to show
+ *              which way surface runoff tends along it
+ *
+ * Enter or double-click finishes a measurement, Backspace removes the last
+ * vertex, Escape clears. Lengths are planar unless stated otherwise.
+ */
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import CONFIG from '../config/config.js';
+import { createLineMaterial } from './geojsonLoader.js';
+import { setClickHandler } from './utils.js';
+
+const LINE_LIFT = 1.5;          // metres above ground for drawn lines
+const PROFILE_SAMPLES = 240;
+const SAME_POINT = 0.5;         // metres; repeated clicks closer than this are ignored
+const SQ_FT_PER_ACRE = 43560;
+const RIDGE_TOLERANCE_FT = 1;   // high point must clear both ends by this to count
+
+const M_PER_FT = CONFIG.feetToMeters;
+
+const MODES = {
+  distance: 'Click to add points along a path. Enter or double-click to finish.',
+  area:     'Click to outline an area. Enter or double-click to close it.',
+  profile:  'Click a start (A) and end (B) point to chart the ground between them.'
+};
+
+/* ---------- Geometry (pure) ---------- */
+
+/** Planar polygon area (shoelace) of XZ points, in square scene units. */
+export function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j].x * points[i].z - points[i].x * points[j].z;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Ground heights along the segment a → b.
+ * @returns {{ d: number, x: number, z: number, h: number|null }[]} d = horizontal distance from a (m)
+ */
+export function sampleProfile(terrain, a, b, n = PROFILE_SAMPLES) {
+  const len = Math.hypot(b.x - a.x, b.z - a.z);
+  const out = [];
+  for (let i = 0; i <= n; i++) {
+    const t = i / n;
+    const x = a.x + (b.x - a.x) * t;
+    const z = a.z + (b.z - a.z) * t;
+    out.push({ d: len * t, x, z, h: terrain?.heightAt(x, z) ?? null });
+  }
+  return out;
+}
+
+/* ---------- Formatting ---------- */
+
+const num = (v, digits = 0) => v.toLocaleString(undefined, { maximumFractionDigits: digits });
+const fmtLen = (m) => `${num(m / M_PER_FT, m < 30 ? 1 : 0)} ft (${num(m, m < 100 ? 1 : 0)} m)`;
+const fmtArea = (m2) => {
+  const ft2 = m2 / (M_PER_FT * M_PER_FT);
+  return `${num(ft2)} ft² (${num(m2)} m²) · ${num(ft2 / SQ_FT_PER_ACRE, 2)} ac`;
+};
+const fmtElev = (m) => `${num(m / M_PER_FT, 1)} ft`;
+
+/**
+ * Build the measure tool and its side panel.
+ * @param {HTMLElement} panelEl
+ * @param {object} view – { scene, camera, renderer, terrain, onCameraChange }
+ * @returns {{ open: Function, close: Function, toggle: Function, clear: Function, onToggle: Function }}
+ */
+export function createMeasure(panelEl, { scene, camera, renderer, terrain, onCameraChange }) {
+  onCameraChange?.((c) => { camera = c; });
+  const canvas = renderer.domElement;
+  const toggleListeners = new Set();
+  const raycaster = new THREE.Raycaster();
+  const elevationOffset = CONFIG.originOffset.y;   // scene Y → elevation (m)
+  const step = terrain?.cellSize ?? 5;
+
+  let mode = 'distance';
+  /** @type {THREE.Vector3[]} snapped ground points */
+  let points = [];
+  let cursor = null;          // ground point under the pointer (preview)
+  let done = false;
+  let profile = null;         // samples of the finished profile
+  let moveQueued = false;
+
+  /* --- Scene objects --- */
+  const lineMat = createLineMaterial({
+    color: new THREE.Color(CONFIG.marker.highlightColor ?? 0xA7CE08),
+    linewidth: 3,
+    transparent: true,
+    depthTest: false,
+    toneMapped: false
+  });
+  const line = new LineSegments2(new LineSegmentsGeometry(), lineMat);
+  line.renderOrder = 2001;
+  line.visible = false;
+  scene.add(line);
+
+  const labelEl = document.createElement('div');
+  labelEl.className = 'measure-label';
+  const label = new CSS2DObject(labelEl);
+  label.visible = false;
+  scene.add(label);
+
+  const dotEl = document.createElement('div');
+  dotEl.className = 'measure-dot';
+  const dot = new CSS2DObject(dotEl);
+  dot.visible = false;
+  scene.add(dot);
+
+  /* --- Snapping --- */
+  function rayFromEvent(e) {
+    const rect = canvas.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(ndc, camera);
+    return raycaster.ray;
+  }
+
+  /** Exact hit on the topography mesh (clicks). */
+  function snap(e) {
+    const ray = rayFromEvent(e);
+    if (!terrain) return null;
+    const hit = raycaster.intersectObjects(terrain.meshes, false)[0];
+    return hit ? hit.point.clone() : terrain.intersectRay(ray);
+  }
+
+  /** Cheaper heightfield hit (pointer preview). */
+  const snapPreview = (e) => terrain?.intersectRay(rayFromEvent(e)) ?? null;
+
+  const ground = (x, z, fallback) => terrain?.heightAt(x, z) ?? fallback;
+
+  /* --- Drawing --- */
+
+  /** Vertices currently in play: committed points plus the preview cursor. */
+  function activePoints() {
+    return !done && cursor && points.length ? [...points, cursor] : points;
+  }
+
+  /** Draped path through `pts`; also returns its along-surface length. */
+  function drape(pts, closed) {
+    const segs = [];
+    let surface = 0;
+    const n = closed && pts.length > 2 ? pts.length : pts.length - 1;
+    for (let i = 0; i < n; i++) {
+      const a = pts[i], b = pts[(i + 1) % pts.length];
+      const len = Math.hypot(b.x - a.x, b.z - a.z);
+      const steps = Math.max(1, Math.ceil(len / step));
+      let prev = new THREE.Vector3(a.x, ground(a.x, a.z, a.y), a.z);
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const x = a.x + (b.x - a.x) * t, z = a.z + (b.z - a.z) * t;
+        const p = new THREE.Vector3(x, ground(x, z, a.y + (b.y - a.y) * t), z);
+        surface += p.distanceTo(prev);
+        segs.push(prev.x, prev.y + LINE_LIFT, prev.z, p.x, p.y + LINE_LIFT, p.z);
+        prev = p;
+      }
+    }
+    return { segs, surface };
+  }
+
+  function redraw() {
+    const pts = activePoints();
+    const closed = mode === 'area';
+    const { segs, surface } = pts.length > 1 ? drape(pts, closed) : { segs: [], surface: 0 };
+
+    line.visible = segs.length > 0;
+    if (line.visible) {
+      line.geometry.dispose();
+      line.geometry = new LineSegmentsGeometry().setPositions(segs);
+    }
+
+    let horizontal = 0;
+    for (let i = 1; i < pts.length; i++) horizontal += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].z - pts[i - 1].z);
+
+    // Results + on-map label
+    const rows = [];
+    label.visible = pts.length > 1;
+    if (mode === 'distance') {
+      rows.push(['Horizontal', fmtLen(horizontal)], ['Along surface', fmtLen(surface)], ['Vertices', String(points.length)]);
+      labelEl.textContent = fmtLen(horizontal);
+      if (label.visible) label.position.copy(pts[pts.length - 1]).setY(pts[pts.length - 1].y + LINE_LIFT);
+    } else if (mode === 'area') {
+      const area = pts.length > 2 ? polygonArea(pts) : 0;
+      const perimeter = pts.length > 2 ? horizontal + Math.hypot(pts[0].x - pts.at(-1).x, pts[0].z - pts.at(-1).z) : horizontal;
+      rows.push(['Area', pts.length > 2 ? fmtArea(area) : '—'], ['Perimeter', fmtLen(perimeter)], ['Vertices', String(points.length)]);
+      label.visible = pts.length > 2;
+      if (label.visible) {
+        const c = pts.reduce((acc, p) => acc.add(p), new THREE.Vector3()).divideScalar(pts.length);
+        label.position.set(c.x, ground(c.x, c.z, c.y) + LINE_LIFT, c.z);
+        labelEl.textContent = `${num(area / (M_PER_FT * M_PER_FT))} ft²`;
+      }
+    } else {
+      rows.push(['Length', fmtLen(horizontal)]);
+      if (pts.length) rows.push(['A elevation', fmtElev(pts[0].y + elevationOffset)]);
+      if (pts.length > 1) rows.push(['B elevation', fmtElev(pts[1].y + elevationOffset)]);
+      labelEl.textContent = 'B';
+      if (label.visible) label.position.copy(pts[1]).setY(pts[1].y + LINE_LIFT);
+    }
+    renderReadings(rows);
+  }
+
+  /* --- Building a measurement --- */
+  function addPoint(p) {
+    if (done) clear();
+    const last = points[points.length - 1];
+    if (last && last.distanceTo(p) < SAME_POINT) return;
+    points.push(p);
+    if (mode === 'profile' && points.length === 2) finish();
+    else redraw();
+  }
+
+  function finish() {
+    if (done || points.length < (mode === 'area' ? 3 : 2)) return;
+    done = true;
+    cursor = null;
+    if (mode === 'profile') {
+      profile = sampleProfile(terrain, points[0], points[1]);
+      renderProfile();
+    }
+    redraw();
+  }
+
+  function undo() {
+    if (done) {
+      done = false;
+      profile = null;
+      renderProfile();
+    }
+    points.pop();
+    redraw();
+  }
+
+  function clear() {
+    points = [];
+    cursor = null;
+    done = false;
+    profile = null;
+    dot.visible = false;
+    renderProfile();
+    redraw();
+  }
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Measure</span>
+      <button class="side-panel-close" aria-label="Close measure">&times;</button>
+    </div>
+    <div class="panel-modes" role="radiogroup" aria-label="Measure mode">
+      <button class="panel-btn" data-mode="distance" role="radio">Distance</button>
+      <button class="panel-btn" data-mode="area" role="radio">Area</button>
+      <button class="panel-btn" data-mode="profile" role="radio">Profile</button>
+    </div>
+    <p class="filter-caption measure-hint"></p>
+    <dl class="panel-readings measure-readings"></dl>
+    <div class="measure-profile hidden">
+      <svg class="measure-chart" viewBox="0 0 268 150" preserveAspectRatio="none" role="img" aria-label="Elevation profile"></svg>
+      <p class="measure-chart-readout filter-caption"></p>
+      <p class="measure-runoff"></p>
+    </div>
+    <div class="side-panel-footer">
+      <button class="panel-btn measure-undo">Undo</button>
+      <button class="panel-btn measure-clear">Clear</button>
+    </div>`;
+
+  const modeBtns = panelEl.querySelectorAll('.panel-modes .panel-btn');
+  const hintEl = panelEl.querySelector('.measure-hint');
+  const readingsEl = panelEl.querySelector('.measure-readings');
+  const profileEl = panelEl.querySelector('.measure-profile');
+  const chart = panelEl.querySelector('.measure-chart');
+  const readoutEl = panelEl.querySelector('.measure-chart-readout');
+  const runoffEl = panelEl.querySelector('.measure-runoff');
+  const undoBtn = panelEl.querySelector('.measure-undo');
+  const clearBtn = panelEl.querySelector('.measure-clear');
+
+  function setMode(m) {
+    mode = m;
+    for (const b of modeBtns) {
+      const on = b.dataset.mode === m;
+      b.classList.toggle('active', on);
+      b.setAttribute('aria-checked', String(on));
+    }
+    hintEl.textContent = MODES[m];
+    clear();
+  }
+
+  function renderReadings(rows) {
+    readingsEl.replaceChildren();
+    for (const [k, v] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = k;
+      const dd = document.createElement('dd');
+      dd.textContent = v;
+      readingsEl.append(dt, dd);
+    }
+    undoBtn.disabled = !points.length;
+    clearBtn.disabled = !points.length;
+  }
+
+  /* --- Profile chart --- */
+  const CHART = { w: 268, h: 150, l: 4, r: 4, t: 14, b: 16 };
+  let chartScale = null;
+
+  function renderProfile() {
+    profileEl.classList.toggle('hidden', !profile);
+    chart.replaceChildren();
+    readoutEl.textContent = '';
+    runoffEl.textContent = '';
+    chartScale = null;
+    if (!profile) return;
+
+    const valid = profile.filter(s => s.h !== null);
+    if (valid.length < 2) {
+      runoffEl.textContent = 'The line is off the terrain.';
+      return;
+    }
+    const elevFt = (s) => (s.h + elevationOffset) / M_PER_FT;
+    let lo = Infinity, hi = -Infinity, peak = valid[0];
+    for (const s of valid) {
+      const e = elevFt(s);
+      lo = Math.min(lo, e);
+      if (e > hi) { hi = e; peak = s; }
+    }
+    const pad = Math.max(1, (hi - lo) * 0.1);
+    const yMin = lo - pad, yMax = hi + pad;
+    const total = profile[profile.length - 1].d;
+    const { w, h, l, r, t, b } = CHART;
+    const sx = (d) => l + (d / total) * (w - l - r);
+    const sy = (e) => t + (1 - (e - yMin) / (yMax - yMin)) * (h - t - b);
+    chartScale = { sx, total };
+
+    const svg = (tag, attrs, text) => {
+      const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+      if (text != null) node.textContent = text;
+      chart.appendChild(node);
+      return node;
+    };
+
+    const pts = valid.map(s => `${sx(s.d).toFixed(1)},${sy(elevFt(s)).toFixed(1)}`);
+    svg('polygon', { class: 'measure-chart-fill', points: `${sx(valid[0].d)},${h - b} ${pts.join(' ')} ${sx(valid.at(-1).d)},${h - b}` });
+    svg('polyline', { class: 'measure-chart-line', points: pts.join(' ') });
+    svg('text', { x: l, y: 10, class: 'measure-chart-text' }, `${num(hi, 1)} ft`);
+    svg('text', { x: l, y: h - 4, class: 'measure-chart-text' }, `A · ${num(lo, 1)} ft min`);
+    svg('text', { x: w - r, y: h - 4, class: 'measure-chart-text', 'text-anchor': 'end' }, `${fmtLen(total)} · B`);
+    svg('line', { class: 'measure-chart-cursor', x1: 0, x2: 0, y1: t, y2: h - b, visibility: 'hidden' });
+
+    // Which way does water go along this line?
+    const a = elevFt(valid[0]), z = elevFt(valid[valid.length - 1]);
+    const fall = a - z;
+    const grade = Math.abs(fall) / (total / M_PER_FT) * 100;
+    const ridge = hi - Math.max(a, z) > RIDGE_TOLERANCE_FT && peak !== valid[0] && peak !== valid[valid.length - 1];
+    let text = Math.abs(fall) < 0.5
+      ? `A and B are at about the same elevation (${num(a, 1)} ft).`
+      : `${fall > 0 ? 'B' : 'A'} is ${num(Math.abs(fall), 1)} ft lower than ${fall > 0 ? 'A' : 'B'} ` +
+        `(${num(grade, 2)}% average grade), so surface runoff along this line tends toward ${fall > 0 ? 'B' : 'A'}.`;
+    if (ridge) {
+      text += ` A high point of ${num(hi, 1)} ft at ${fmtLen(peak.d)} from A splits the flow between the two ends.`;
+    }
+    runoffEl.textContent = text;
+  }
+
+  chart.addEventListener('pointermove', (e) => {
+    if (!chartScale || !profile) return;
+    const rect = chart.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * CHART.w;
+    const d = THREE.MathUtils.clamp(((x - CHART.l) / (CHART.w - CHART.l - CHART.r)) * chartScale.total, 0, chartScale.total);
+    const s = profile[Math.round((d / chartScale.total) * (profile.length - 1))];
+    const cur = chart.querySelector('.measure-chart-cursor');
+    cur.setAttribute('x1', chartScale.sx(s.d));
+    cur.setAttribute('x2', chartScale.sx(s.d));
+    cur.setAttribute('visibility', 'visible');
+    readoutEl.textContent = `${fmtLen(s.d)} from A · ${s.h === null ? 'off terrain' : `elevation ${fmtElev(s.h + elevationOffset)}`}`;
+    if (s.h !== null) {
+      dot.position.set(s.x, s.h + LINE_LIFT, s.z);
+      dot.visible = true;
+    }
+  });
+  chart.addEventListener('pointerleave', () => {
+    chart.querySelector('.measure-chart-cursor')?.setAttribute('visibility', 'hidden');
+    readoutEl.textContent = '';
+    dot.visible = false;
+  });
+
+  for (const b of modeBtns) b.addEventListener('click', () => setMode(b.dataset.mode));
+  undoBtn.addEventListener('click', undo);
+  clearBtn.addEventListener('click', clear);
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  /* --- Input --- */
+  const isOpen = () => !panelEl.classList.contains('hidden');
+
+  const clickToMeasure = (hit, e) => {
+    const p = snap(e);
+    if (p) addPoint(p);
+    return true;    // never open the detail panel while measuring
+  };
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!isOpen() || done || !points.length || moveQueued) return;
+    moveQueued = true;
+    requestAnimationFrame(() => {
+      moveQueued = false;
+      cursor = snapPreview(e);
+      redraw();
+    });
+  });
+
+  // Double-click finishes instead of snapping the camera to the top view
+  canvas.parentElement.addEventListener('dblclick', (e) => {
+    if (!isOpen() || !points.length) return;
+    e.stopPropagation();
+    finish();
+  }, true);
+
+  window.addEventListener('keydown', (e) => {
+    if (!isOpen() || e.target.closest('input, select, textarea')) return;
+    if (e.key === 'Enter') finish();
+    else if (e.key === 'Escape') clear();
+    else if ((e.key === 'Backspace' || e.key === 'Delete') && points.length) {
+      e.preventDefault();
+      undo();
+    }
+  });
+
+  /* --- Open / close --- */
+  let uninstallClick = null;
+  function open() {
+    if (isOpen()) return;
+    panelEl.classList.remove('hidden');
+    uninstallClick = setClickHandler(clickToMeasure);
+    canvas.dataset.measure = 'true';
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (!isOpen()) return;
+    panelEl.classList.add('hidden');
+    uninstallClick?.();
+    uninstallClick = null;
+    delete canvas.dataset.measure;
+    clear();
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (isOpen()) close(); else open();
+    return isOpen();
+  }
+
+  setMode('distance');
+
+  return {
+    open, close, toggle, clear,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); }
+  };
+}
@@ -0,0 +1,414 @@
+/**
+ * pointLayer.js – One THREE.Points draw call per point dataset.
+ *
+ * Markers are round dots drawn in the fragment shader from gl_PointCoord.
+ * Their size is a fixed fraction of the viewport height (CONFIG.marker.screenSize),
+ * applied in the vertex shader, so they keep a constant screen size at any
+ * camera zoom without touching per-point state on the CPU.
+ *
+ * Markers are depth-tested against terrain and buildings. Depending on
+ * CONFIG.marker.occluded, occluded markers are hidden, drawn as faded "ghosts"
+ * by a second pass (depthFunc = GreaterDepth), or always drawn on top.
+ *
+ * Per-point visibility is an attribute built from named masks (filters,
+ * timeline, clustering…) that are multiplied together: 0 hides a point (it
+ * is also skipped by picking), values between 0 and 1 fade it.
+ *
+ * Each layer also builds a twin Points object for the GPU picker
+ * (see picking.js) that shares the same geometry.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+import { PICK_ID_GLSL } from './picking.js';
+
+const HOVER_SCALE = 1.5;   // size multiplier on hover
+const LERP_SPEED = 0.25;   // per-frame interpolation factor
+const DOT_RADIUS = 0.72;   // dot radius as a fraction of the point square
+const PULSE_SCALE = 1.5;   // extra size at the peak of a pulse
+const PULSE_BEATS = 3;     // beats per pulse
+const HIGHLIGHT_SCALE = 1.6;   // size of highlighted markers (with their ring)
+const RING_RADIUS = 0.98;      // outer edge of the highlight ring
+
+/** Uniforms shared by every point layer; updated once per frame / resize. */
+const sharedUniforms = {
+  uViewportHeight: { value: 1 },   // canvas height in CSS pixels
+  uPixelRatio:     { value: 1 },
+  uRingColor:      { value: new THREE.Color(CONFIG.marker.highlightColor ?? 0xA7CE08) }
+};
+
+/** Keep all layers in sync with the canvas size. Call on start-up and resize. */
+export function setPointViewport(cssHeight, pixelRatio) {
+  sharedUniforms.uViewportHeight.value = cssHeight;
+  sharedUniforms.uPixelRatio.value = pixelRatio;
+}
+
+/** Ring colour of highlighted markers in every layer; null restores the configured one. */
+export function setHighlightColor(hex) {
+  sharedUniforms.uRingColor.value.set(hex ?? CONFIG.marker.highlightColor ?? 0xA7CE08);
+}
+
+const vertexShader = /* glsl */ `
+  uniform float uViewportHeight;
+  uniform float uPixelRatio;
+  uniform float uScreenSize;
+  uniform int   uHoverIndex;
+  uniform float uHoverScale;
+  uniform int   uLeaveIndex;
+  uniform float uLeaveScale;
+  uniform int   uPulseIndex;
+  uniform float uPulse;
+  attribute float visibility;
+  attribute float highlight;
+  varying float vPointSize;
+  varying float vVisibility;
+  varying float vHighlight;
+
+  void main() {
+    vVisibility = visibility;
+    vHighlight = highlight;
+    if (visibility <= 0.0) {                 // hidden: push outside the clip volume
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+
+    float scale = 1.0;
+    if (gl_VertexID == uHoverIndex) scale = uHoverScale;
+    else if (gl_VertexID == uLeaveIndex) scale = uLeaveScale;
+    if (gl_VertexID == uPulseIndex) scale *= 1.0 + uPulse;
+    scale *= mix(1.0, ${HIGHLIGHT_SCALE.toFixed(2)}, highlight);
+
+    vPointSize = uScreenSize * uViewportHeight * uPixelRatio * scale;
+    gl_PointSize = vPointSize;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3  uColor;
+  uniform vec3  uRingColor;
+  uniform float uOpacity;
+  uniform float uAlphaScale;
+  varying float vPointSize;
+  varying float vVisibility;
+  varying float vHighlight;
+
+  void main() {
+    float d = length(gl_PointCoord - 0.5) * 2.0;
+    float aa = 2.0 / max(vPointSize, 1.0);
+    // Highlighted markers get a ring in the accent colour around the dot
+    float radius = mix(${DOT_RADIUS}, ${RING_RADIUS}, vHighlight);
+    float alpha = 1.0 - smoothstep(radius - aa, radius, d);
+    if (alpha <= 0.0) discard;
+    float ring = vHighlight * smoothstep(${DOT_RADIUS} - aa, ${DOT_RADIUS}, d);
+    gl_FragColor = vec4(mix(uColor, uRingColor, ring), alpha * uOpacity * uAlphaScale * vVisibility);
+    #include <colorspace_fragment>
+  }
+`;
+
+const pickVertexShader = /* glsl */ `
+  uniform float uViewportHeight;
+  uniform float uScreenSize;
+  uniform float uPickBase;
+  attribute float visibility;
+  varying vec3 vPickColor;
+  ${PICK_ID_GLSL}
+
+  void main() {
+    if (visibility <= 0.0) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    // Pick window is rendered at 1 target pixel per CSS pixel
+    gl_PointSize = uScreenSize * uViewportHeight;
+    vPickColor = encodePickId(uPickBase + float(gl_VertexID));
+  }
+`;
+
+const pickFragmentShader = /* glsl */ `
+  varying vec3 vPickColor;
+
+  void main() {
+    if (length(gl_PointCoord - 0.5) * 2.0 > ${DOT_RADIUS}) discard;
+    gl_FragColor = vec4(vPickColor, 1.0);
+  }
+`;
+
+/**
+ * Build a point layer.
+ * @param {object} opts
+ * @param {string} opts.key        – dataset key (CONFIG.csvFiles key)
+ * @param {string} opts.label      – dataset type label, e.g. 'CSO'
+ * @param {number} opts.color      – light-mode hex colour
+ * @param {number} [opts.darkColor] – dark-mode hex colour
+ * @param {Float32Array} opts.positions – xyz scene positions, 3 per point
+ * @param {object[]} opts.records  – per-point metadata (tooltips, detail panel)
+ */
+export function createPointLayer({ key, label, color, darkColor, positions, records }) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeBoundingSphere();
+
+  const visibility = new Float32Array(records.length).fill(1);
+  const visibilityAttr = new THREE.BufferAttribute(visibility, 1);
+  geometry.setAttribute('visibility', visibilityAttr);
+  const highlight = new Float32Array(records.length);
+  const highlightAttr = new THREE.BufferAttribute(highlight, 1);
+  geometry.setAttribute('highlight', highlightAttr);
+  /** @type {Map<string, number[]>} named highlight sets */
+  const highlights = new Map();
+  /** @type {Map<string, { values: ArrayLike<number>, display: boolean }>} named per-point masks */
+  const masks = new Map();
+  const active = new Float32Array(records.length).fill(1);   // product of the data masks
+
+  const lightColor = new THREE.Color(color);
+  const darkColorObj = new THREE.Color(darkColor ?? color);
+  let dark = false;
+  let themeColor = null;    // theme override of the dataset colours (themes.js `markers`)
+  let stateColors = null;   // [light, dark] set through setColors, over both
+
+  const uniforms = {
+    ...sharedUniforms,
+    uScreenSize: { value: CONFIG.marker.screenSize },
+    uColor:      { value: lightColor.clone() },
+    uOpacity:    { value: 1 },
+    uAlphaScale: { value: 1 },
+    uHoverIndex: { value: -1 },
+    uHoverScale: { value: 1 },
+    uLeaveIndex: { value: -1 },
+    uLeaveScale: { value: 1 },
+    uPulseIndex: { value: -1 },
+    uPulse:      { value: 0 }
+  };
+
+  const occludedMode = CONFIG.marker.occluded ?? 'ghost';
+  const depthTest = occludedMode !== 'show';
+
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    depthTest,
+    toneMapped: false         // bypass ACES tone mapping so colors match the hex exactly
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.name = label;
+  points.renderOrder = 999;   // ensure dots draw after all other objects
+  points.frustumCulled = false;
+
+  // Ghost pass: only the fragments that FAIL the normal depth test, faded
+  if (occludedMode === 'ghost') {
+    const ghostMaterial = material.clone();
+    ghostMaterial.uniforms = { ...uniforms, uAlphaScale: { value: CONFIG.marker.ghostOpacity ?? 0.25 } };
+    ghostMaterial.depthFunc = THREE.GreaterDepth;
+    const ghost = new THREE.Points(geometry, ghostMaterial);
+    ghost.name = `${label}:ghost`;
+    ghost.renderOrder = 998;
+    ghost.frustumCulled = false;
+    points.add(ghost);
+  }
+
+  let pulseStart = 0;     // performance.now() when the current pulse began
+  let pulseDuration = 0;
+  let dimOpacity = 1;     // hover dimming
+  let layerOpacity = 1;   // user-set layer opacity (legend slider)
+
+  const pickMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uViewportHeight: sharedUniforms.uViewportHeight,
+      uScreenSize: uniforms.uScreenSize,
+      uPickBase: { value: 0 }
+    },
+    vertexShader: pickVertexShader,
+    fragmentShader: pickFragmentShader,
+    depthWrite: false,
+    depthTest                 // occluded markers are not pickable unless always shown
+  });
+  const pickObject = new THREE.Points(geometry, pickMaterial);
+  pickObject.frustumCulled = false;
+  pickObject.matrixAutoUpdate = false;
+
+  /** Resolve state → theme → dataset colours into layer.color / darkColor and the shader. */
+  function applyColors() {
+    const [light, darkHex] = stateColors
+      ?? (themeColor != null ? [themeColor, themeColor] : [color, darkColor ?? color]);
+    const changed = light !== layer.color || darkHex !== layer.darkColor;
+    layer.color = light;
+    layer.darkColor = darkHex;
+    lightColor.set(light);
+    darkColorObj.set(darkHex);
+    uniforms.uColor.value.copy(dark ? darkColorObj : lightColor);
+    return changed;
+  }
+
+  const layer = {
+    key,
+    label,
+    color,
+    darkColor: darkColor ?? color,
+    object: points,
+    pickObject,
+    geometry,
+    material,
+    positions,
+    records,
+    count: records.length,
+    visibleCount: records.length,
+
+    /**
+     * Set (or clear, with null) a named per-point visibility mask.
+     * The final visibility of a point is the product of all masks.
+     * Display-only masks (e.g. clustering) hide markers without counting them
+     * as filtered out: they do not change visibleCount or isPointActive().
+     * @param {string} name – e.g. 'filter', 'time', 'cluster'
+     * @param {ArrayLike<number>|null} values – one value in [0, 1] per point
+     * @param {{ display?: boolean }} [opts]
+     */
+    setMask(name, values, { display = false } = {}) {
+      if (values) masks.set(name, { values, display });
+      else masks.delete(name);
+
+      let shown = 0;
+      for (let i = 0; i < visibility.length; i++) {
+        let data = 1, v = 1;
+        for (const m of masks.values()) {
+          if (m.display) v *= m.values[i];
+          else data *= m.values[i];
+        }
+        active[i] = data;
+        visibility[i] = data * v;
+        if (data > 0) shown++;
+      }
+      visibilityAttr.needsUpdate = true;
+      layer.visibleCount = shown;
+    },
+
+    /** True if point `index` is currently drawn. */
+    isPointVisible(index) {
+      return visibility[index] > 0;
+    },
+
+    /** True if point `index` passes the data masks (filters, timeline…), drawn or not. */
+    isPointActive(index) {
+      return active[index] > 0;
+    },
+
+    /**
+     * Ring and enlarge a named set of markers. Sets from different tools
+     * (proximity, selection…) are combined.
+     * @param {string} name
+     * @param {Iterable<number>|null} indices – null clears the set
+     */
+    setHighlight(name, indices) {
+      if (indices) highlights.set(name, [...indices]);
+      else highlights.delete(name);
+      highlight.fill(0);
+      for (const set of highlights.values()) for (const i of set) highlight[i] = 1;
+      highlightAttr.needsUpdate = true;
+    },
+
+    /**
+     * Apply a map theme (see config/themes.js): its light / dark scheme and
+     * its marker colour for this dataset, if it has one.
+     * @param {{ dark: boolean, markers?: Object<string, number> }} theme
+     */
+    setTheme(theme) {
+      dark = theme.dark;
+      themeColor = theme.markers?.[key] ?? null;
+      applyColors();
+    },
+
+    /**
+     * Replace the marker colours (e.g. to show a risk state); null restores
+     * the theme's or the dataset's own.
+     * @returns {boolean} whether anything changed
+     */
+    setColors(light, darkHex = light) {
+      stateColors = light == null ? null : [light, darkHex];
+      return applyColors();
+    },
+
+    /** Fade the whole layer (used to dim non-hovered datasets). */
+    setOpacity(opacity) {
+      dimOpacity = opacity;
+      uniforms.uOpacity.value = dimOpacity * layerOpacity;
+    },
+
+    /** User-set opacity, combined with hover dimming. */
+    setLayerOpacity(opacity) {
+      layerOpacity = opacity;
+      uniforms.uOpacity.value = dimOpacity * layerOpacity;
+    },
+
+    /** Position in the layer stack (0 = bottom); later layers draw on top. */
+    setRenderOrder(stackIndex) {
+      points.renderOrder = 100 + stackIndex * 10 + 3;
+      for (const child of points.children) child.renderOrder = points.renderOrder - 1;
+    },
+
+    /** Grow the marker at `index` (−1 = none); the previous one shrinks back. */
+    setHovered(index) {
+      if (index === uniforms.uHoverIndex.value) return;
+      if (uniforms.uHoverIndex.value >= 0) {
+        uniforms.uLeaveIndex.value = uniforms.uHoverIndex.value;
+        uniforms.uLeaveScale.value = uniforms.uHoverScale.value;
+      }
+      uniforms.uHoverIndex.value = index;
+      uniforms.uHoverScale.value = 1;
+    },
+
+    /**
+     * Beat the marker at `index` a few times to draw the eye to it.
+     * @param {number} index
+     * @param {number} [duration=1500] – ms
+     */
+    pulse(index, duration = 1500) {
+      uniforms.uPulseIndex.value = index;
+      pulseStart = performance.now();
+      pulseDuration = duration;
+    },
+
+    /** Per-frame hover and pulse animation. */
+    update() {
+      const u = uniforms;
+      if (u.uPulseIndex.value >= 0) {
+        const t = (performance.now() - pulseStart) / pulseDuration;
+        if (t >= 1) {
+          u.uPulseIndex.value = -1;
+          u.uPulse.value = 0;
+        } else {
+          u.uPulse.value = PULSE_SCALE * Math.sin(t * Math.PI * PULSE_BEATS) ** 2;
+        }
+      }
+      if (u.uHoverIndex.value >= 0) {
+        u.uHoverScale.value = THREE.MathUtils.lerp(u.uHoverScale.value, HOVER_SCALE, LERP_SPEED);
+      }
+      if (u.uLeaveIndex.value >= 0) {
+        u.uLeaveScale.value = THREE.MathUtils.lerp(u.uLeaveScale.value, 1, LERP_SPEED);
+        if (Math.abs(u.uLeaveScale.value - 1) < 0.001) u.uLeaveIndex.value = -1;
+      }
+    },
+
+    /** Scene-space position of point `index`. */
+    getPosition(index, out = new THREE.Vector3()) {
+      return out.fromArray(positions, index * 3);
+    },
+
+    /** Register this layer with a picker so hovers resolve to its records. */
+    registerPicking(picker) {
+      picker.add({
+        object: points,
+        pickObject,
+        count: records.length,
+        resolve: (index) => ({ layer, index, data: records[index] })
+      });
+    }
+  };
+
+  return layer;
+}
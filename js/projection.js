@@ -0,0 +1,149 @@
+/**
+ * projection.js – Coordinate transforms between WGS84 lat/lon, EPSG:2263 and
+ * the Three.js scene.
+ *
+ * EPSG:2263 is NAD83 / New York Long Island (ftUS): a Lambert Conformal Conic
+ * projection with two standard parallels on the GRS80 ellipsoid. The forward
+ * and inverse formulas below follow EPSG Guidance Note 7-2 (method 9802).
+ * NAD83 and WGS84 differ by about a metre here, well under marker size, so
+ * lat/lon inputs in either datum are treated alike.
+ *
+ * Scene space is metres, Y-up, with CONFIG.originOffset subtracted
+ * (see config.js for the glTF axis mapping).
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+
+/* ---------- EPSG:2263 parameters ---------- */
+const DEG = Math.PI / 180;
+const US_FT = 1200 / 3937;            // metres per US survey foot
+
+const A = 6378137.0;                  // GRS80 semi-major axis (m)
+const F_INV = 298.257222101;          // GRS80 inverse flattening
+const E2 = (2 - 1 / F_INV) / F_INV;   // first eccentricity squared
+const E = Math.sqrt(E2);
+
+const LAT_1 = (41 + 2 / 60) * DEG;    // 41°02'N
+const LAT_2 = (40 + 40 / 60) * DEG;   // 40°40'N
+const LAT_0 = (40 + 10 / 60) * DEG;   // 40°10'N  latitude of origin
+const LON_0 = -74 * DEG;              // 74°W     central meridian
+const FALSE_E = 300000;               // metres (984 250 ftUS)
+const FALSE_N = 0;
+
+const mFn = (phi) => Math.cos(phi) / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+const tFn = (phi) => {
+  const s = E * Math.sin(phi);
+  return Math.tan(Math.PI / 4 - phi / 2) / ((1 - s) / (1 + s)) ** (E / 2);
+};
+
+const m1 = mFn(LAT_1), m2 = mFn(LAT_2);
+const t1 = tFn(LAT_1), t2 = tFn(LAT_2), t0 = tFn(LAT_0);
+const N = (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+const AF = A * m1 / (N * t1 ** N);    // a·F
+const R0 = AF * t0 ** N;              // radius at the latitude of origin
+
+/**
+ * WGS84 / NAD83 longitude, latitude (degrees) → EPSG:2263 easting, northing (US ft).
+ * @returns {{ x: number, y: number }}
+ */
+export function lonLatToStatePlane(lon, lat) {
+  const r = AF * tFn(lat * DEG) ** N;
+  const theta = N * (lon * DEG - LON_0);
+  return {
+    x: (FALSE_E + r * Math.sin(theta)) / US_FT,
+    y: (FALSE_N + R0 - r * Math.cos(theta)) / US_FT
+  };
+}
+
+/**
+ * EPSG:2263 easting, northing (US ft) → WGS84 / NAD83 longitude, latitude (degrees).
+ * @returns {{ lon: number, lat: number }}
+ */
+export function statePlaneToLonLat(x, y) {
+  const dx = x * US_FT - FALSE_E;
+  const dy = R0 - (y * US_FT - FALSE_N);
+  const r = Math.sign(N) * Math.hypot(dx, dy);
+  const theta = Math.atan2(dx, dy);
+  const t = (r / AF) ** (1 / N);
+
+  // Latitude by fixed-point iteration (converges in a handful of steps)
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 10; i++) {
+    const s = E * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * ((1 - s) / (1 + s)) ** (E / 2));
+    if (Math.abs(next - phi) < 1e-12) { phi = next; break; }
+    phi = next;
+  }
+
+  return { lon: (theta / N + LON_0) / DEG, lat: phi / DEG };
+}
+
+/* ---------- CRS registry ---------- */
+
+/** Input CRSs a dataset may declare, each mapped to EPSG:2263 feet. */
+const TO_STATE_PLANE = {
+  'EPSG:2263': (x, y) => ({ x, y }),
+  'EPSG:4326': (lon, lat) => lonLatToStatePlane(lon, lat),
+  'EPSG:4269': (lon, lat) => lonLatToStatePlane(lon, lat)   // NAD83 geographic
+};
+
+/** True if toStatePlane() can convert from `crs`. */
+export function isSupportedCRS(crs) {
+  return typeof crs === 'string' && crs.toUpperCase() in TO_STATE_PLANE;
+}
+
+/**
+ * Convert a coordinate pair in `crs` to EPSG:2263 feet.
+ * For geographic CRSs `a` is longitude and `b` latitude.
+ * @param {number} a
+ * @param {number} b
+ * @param {string} [crs='EPSG:2263']
+ * @returns {{ x: number, y: number }}
+ */
+export function toStatePlane(a, b, crs = 'EPSG:2263') {
+  const fn = TO_STATE_PLANE[crs.toUpperCase()];
+  if (!fn) throw new Error(`[projection] Unsupported CRS "${crs}"`);
+  return fn(a, b);
+}
+
+/* ---------- Scene transforms ---------- */
+
+/**
+ * Convert an EPSG:2263 (X, Y) pair (US survey feet) into the Three.js
+ * scene coordinate system (metres, Y-up, origin-offset applied).
+ * With a terrain sampler the point sits `lift` metres above the ground;
+ * without one (or off the terrain) it falls back to a fixed height.
+ * @param {number} xEpsg
+ * @param {number} yEpsg
+ * @param {object|null} [terrain] – sampler from terrain.js
+ * @param {number} [lift=CONFIG.marker.heightOffset]
+ * @returns {THREE.Vector3}
+ */
+export function toSceneCoords(xEpsg, yEpsg, terrain = null, lift = CONFIG.marker.heightOffset) {
+  const ft2m = CONFIG.feetToMeters;
+  const off  = CONFIG.originOffset;
+
+  const x = xEpsg * ft2m - off.x;
+  const z = -(yEpsg * ft2m) - off.z;
+  const ground = terrain ? terrain.heightAt(x, z) : null;
+  const y = ground !== null ? ground + lift : lift - off.y;
+
+  return new THREE.Vector3(x, y, z);
+}
+
+/**
+ * Inverse of toSceneCoords: scene position → EPSG:2263 feet plus elevation.
+ * @param {THREE.Vector3} v
+ * @returns {{ x: number, y: number, elevationM: number, elevationFt: number }}
+ */
+export function fromSceneCoords(v) {
+  const ft2m = CONFIG.feetToMeters;
+  const off  = CONFIG.originOffset;
+  const elevationM = v.y + off.y;
+  return {
+    x: (v.x + off.x) / ft2m,
+    y: -(v.z + off.z) / ft2m,
+    elevationM,
+    elevationFt: elevationM / ft2m
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * proximity.js – Buffer analysis around a selected outfall.
+ *
+ * A source feature (a CSO outfall by default, see CONFIG.proximity.sources)
+ * is chosen by clicking it while the Proximity panel is open, or with the
+ * "Find features nearby" button on its record. A ring of the chosen radius is
+ * draped on the terrain; features of the other datasets inside it are ringed
+ * on the map and listed by distance, everything else is faded.
+ *
+ * Distances are planar EPSG:2263 feet between feature coordinates (line and
+ * polygon features use their centroid). Only features that pass the current
+ * filters are considered.
+ */
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import CONFIG from '../config/config.js';
+import { createLineMaterial } from './geojsonLoader.js';
+import { setClickHandler } from './utils.js';
+import { registerDetailAction } from './detailPanel.js';
+import { toCSV, downloadBlob, safeFilename } from './exportUtils.js';
+import { dotColors } from './legend.js';
+
+const RING_SEGMENTS = 180;
+const RING_LIFT = 2;            // metres above ground
+
+const fmtFt = (ft) => `${Math.round(ft).toLocaleString()} ft`;
+
+/**
+ * Build the proximity tool and its side panel.
+ * @param {HTMLElement} panelEl
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} view – { scene, terrain, flyTo }
+ * @returns {{ open: Function, close: Function, toggle: Function, select: Function, clear: Function, onToggle: Function, onChange: Function, getState: Function, setState: Function }}
+ */
+export function createProximity(panelEl, registry, { scene, terrain, flyTo }) {
+  const cfg = CONFIG.proximity;
+  const ringColor = new THREE.Color(CONFIG.marker.highlightColor ?? 0xA7CE08);
+  const toggleListeners = new Set();
+  const changeListeners = new Set();
+
+  let radiusFt = cfg.radius;
+  /** @type {{ entry: object, layer: object, index: number, data: object }|null} */
+  let source = null;
+  let hits = [];
+
+  /* --- Ring --- */
+  const ringMat = createLineMaterial({
+    color: ringColor,
+    linewidth: 3,
+    transparent: true,
+    depthTest: false,
+    toneMapped: false
+  });
+  const ring = new LineSegments2(new LineSegmentsGeometry(), ringMat);
+  ring.renderOrder = 2000;
+  ring.visible = false;
+  scene.add(ring);
+
+  function drawRing(center) {
+    const r = radiusFt * CONFIG.feetToMeters;
+    const ground = (x, z) => (terrain?.heightAt(x, z) ?? center.y - CONFIG.marker.heightOffset) + RING_LIFT;
+    const pts = [];
+    for (let i = 0; i <= RING_SEGMENTS; i++) {
+      const a = (i / RING_SEGMENTS) * Math.PI * 2;
+      const x = center.x + Math.cos(a) * r;
+      const z = center.z + Math.sin(a) * r;
+      pts.push(x, ground(x, z), z);
+    }
+    const segs = [];
+    for (let i = 0; i < RING_SEGMENTS; i++) segs.push(...pts.slice(i * 3, i * 3 + 6));
+    ring.geometry.dispose();
+    ring.geometry = new LineSegmentsGeometry().setPositions(segs);
+    ring.visible = true;
+  }
+
+  /* --- Analysis --- */
+
+  /** Every pointLayer-like object in an entry, with its records. */
+  function pointLayersOf(entry) {
+    return entry.kind === 'csv' ? [entry.layer] : (entry.layer.pointLayer ? [entry.layer.pointLayer] : []);
+  }
+
+  /** Features of one registry entry, as { layer, index, data }. */
+  function featuresOf(entry) {
+    const out = [];
+    for (const pl of pointLayersOf(entry)) {
+      pl.records.forEach((data, index) => {
+        if (pl.isPointActive(index)) out.push({ layer: pl, index, data });
+      });
+    }
+    if (entry.kind === 'geojson') {
+      entry.layer.records.forEach((data, index) => out.push({ layer: entry.layer, index, data }));
+    }
+    return out;
+  }
+
+  function run() {
+    if (!source) return;
+    const { coordX: cx, coordY: cy } = source.data;
+    hits = [];
+
+    for (const entry of registry.list()) {
+      if (entry === source.entry || !entry.visible) continue;
+      for (const f of featuresOf(entry)) {
+        const distance = Math.hypot(f.data.coordX - cx, f.data.coordY - cy);
+        if (distance <= radiusFt) hits.push({ ...f, entry, distance });
+      }
+    }
+    hits.sort((a, b) => a.distance - b.distance);
+
+    // Ring the hits, fade everything else
+    for (const entry of registry.list()) {
+      for (const pl of pointLayersOf(entry)) {
+        const inside = hits.filter(h => h.layer === pl).map(h => h.index);
+        if (entry === source.entry) inside.push(source.index);
+        const fade = new Float32Array(pl.count).fill(cfg.fadeOpacity);
+        for (const i of inside) fade[i] = 1;
+        pl.setHighlight('proximity', inside);
+        pl.setMask('proximity', fade, { display: true });
+      }
+    }
+
+    drawRing(source.layer.getPosition(source.index));
+    renderResults();
+    for (const fn of changeListeners) fn(getState());
+  }
+
+  /** Start an analysis from a source feature. */
+  function select(layer, index) {
+    const entry = registry.list().find(e => pointLayersOf(e).includes(layer));
+    if (!entry || !cfg.sources.includes(entry.key)) return false;
+    source = { entry, layer, index, data: layer.records[index] };
+    open();
+    run();
+    flyTo(layer.getPosition(index), { extent: radiusFt * CONFIG.feetToMeters * 1.3, zoomOut: true });
+    return true;
+  }
+
+  function clear() {
+    source = null;
+    hits = [];
+    ring.visible = false;
+    for (const entry of registry.list()) {
+      for (const pl of pointLayersOf(entry)) {
+        pl.setHighlight('proximity', null);
+        pl.setMask('proximity', null, { display: true });
+      }
+    }
+    renderResults();
+    for (const fn of changeListeners) fn(null);
+  }
+
+  /* --- Export --- */
+  function exportCSV() {
+    if (!source) return;
+    const sourceId = source.data.handle || source.data.text || source.index;
+    const headers = ['source_dataset', 'source_id', 'radius_ft', 'dataset', 'id', 'name',
+      'distance_ft', 'easting_ft', 'northing_ft', 'latitude', 'longitude'];
+    const rows = hits.map(h => {
+      const c = h.entry.cfg;
+      const row = h.data.row || {};
+      return {
+        source_dataset: source.entry.cfg.label,
+        source_id: sourceId,
+        radius_ft: radiusFt,
+        dataset: c.label || h.entry.key,
+        id: row.ID_NUMBER || h.data.handle || '',
+        name: row[c.titleField] || row.FACILITY_NAME || h.data.text || '',
+        distance_ft: h.distance.toFixed(1),
+        easting_ft: h.data.coordX.toFixed(2),
+        northing_ft: h.data.coordY.toFixed(2),
+        latitude: h.data.lat.toFixed(6),
+        longitude: h.data.lon.toFixed(6)
+      };
+    });
+    const name = safeFilename(`proximity_${source.entry.cfg.label}-${sourceId}_${radiusFt}ft`);
+    downloadBlob(toCSV(headers, rows), `${name}.csv`);
+  }
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Proximity</span>
+      <button class="side-panel-close" aria-label="Close proximity">&times;</button>
+    </div>
+    <p class="prox-source"></p>
+    <label class="filter-row">
+      <span class="filter-caption">Radius <span class="prox-radius-value"></span></span>
+      <input class="prox-radius" type="range" min="${cfg.minRadius}" max="${cfg.maxRadius}" step="50">
+    </label>
+    <p class="prox-summary filter-caption" aria-live="polite"></p>
+    <ol class="prox-results"></ol>
+    <div class="side-panel-footer">
+      <button class="panel-btn prox-clear">Clear</button>
+      <button class="panel-btn prox-export">Export CSV</button>
+    </div>`;
+
+  const sourceEl = panelEl.querySelector('.prox-source');
+  const radiusIn = panelEl.querySelector('.prox-radius');
+  const radiusOut = panelEl.querySelector('.prox-radius-value');
+  const summaryEl = panelEl.querySelector('.prox-summary');
+  const listEl = panelEl.querySelector('.prox-results');
+  const exportBtn = panelEl.querySelector('.prox-export');
+
+  radiusIn.value = String(radiusFt);
+  radiusOut.textContent = fmtFt(radiusFt);
+
+  radiusIn.addEventListener('input', () => {
+    radiusFt = parseFloat(radiusIn.value);
+    radiusOut.textContent = fmtFt(radiusFt);
+    run();
+  });
+  panelEl.querySelector('.prox-clear').addEventListener('click', clear);
+  exportBtn.addEventListener('click', exportCSV);
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  function renderResults() {
+    listEl.replaceChildren();
+    exportBtn.disabled = !source;
+    if (!source) {
+      const labels = cfg.sources.map(k => CONFIG.csvFiles[k]?.label || k).join(' / ');
+      sourceEl.textContent = `Click a ${labels} point on the map to search around it.`;
+      summaryEl.textContent = '';
+      return;
+    }
+
+    const s = source.data;
+    sourceEl.textContent = `${source.entry.cfg.label} ${s.text || s.handle || source.index + 1}`;
+    summaryEl.textContent = `${hits.length} feature${hits.length === 1 ? '' : 's'} within ${fmtFt(radiusFt)}`;
+
+    for (const h of hits) {
+      const c = h.entry.cfg;
+      const li = document.createElement('li');
+      li.className = 'prox-result';
+      li.tabIndex = 0;
+      const colors = dotColors(h.entry);
+      li.style.setProperty('--dot-light', colors.light);
+      li.style.setProperty('--dot-dark', colors.dark);
+
+      const title = document.createElement('span');
+      title.className = 'prox-result-title';
+      title.textContent = h.data.row?.[c.titleField] || h.data.text || h.data.handle || c.label;
+      const meta = document.createElement('span');
+      meta.className = 'prox-result-meta';
+      meta.textContent = `${c.label} · ${fmtFt(h.distance)}`;
+      li.append(title, meta);
+
+      const go = () => {
+        const p = h.layer.getPosition ? h.layer.getPosition(h.index) : h.data.anchor.clone();
+        flyTo(p).then(() => h.layer.pulse?.(h.index));
+      };
+      li.addEventListener('click', go);
+      li.addEventListener('keydown', (e) => { if (e.key === 'Enter') go(); });
+      listEl.appendChild(li);
+    }
+  }
+
+  /* --- Open / close --- */
+  const clickToSelect = (hit) => !!hit && select(hit.layer, hit.index);
+  let uninstallClick = null;
+
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    uninstallClick = setClickHandler(clickToSelect);
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    uninstallClick?.();
+    uninstallClick = null;
+    clear();
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  // Re-run when filters or visibility change what is on the map
+  registry.onChange((reason) => {
+    if (source && (reason === 'counts' || reason === 'visibility')) run();
+    else if (reason === 'style') renderResults();   // marker colours (theme, risk state)
+  });
+
+  // "Find features nearby" on source records
+  registerDetailAction({
+    label: 'Find features nearby',
+    applies: (data) => cfg.sources.includes(data.key),
+    run: (data) => {
+      const entry = registry.get(data.key);
+      const index = entry?.layer.records.indexOf(data) ?? -1;
+      if (index >= 0) select(entry.layer, index);
+    }
+  });
+
+  const getState = () => source ? { key: source.entry.key, index: source.index, radius: radiusFt } : null;
+
+  renderResults();
+
+  return {
+    open, close, toggle, select, clear,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); },
+    /** Subscribe to analyses starting, changing radius or clearing. */
+    onChange(fn) { changeListeners.add(fn); return () => changeListeners.delete(fn); },
+    getState,
+    /** Restore an analysis (e.g. from a shared URL). */
+    setState(state) {
+      if (!state) { clear(); return; }
+      if (state.radius) {
+        radiusFt = state.radius;
+        radiusIn.value = String(radiusFt);
+        radiusOut.textContent = fmtFt(radiusFt);
+      }
+      const entry = registry.get(state.key);
+      if (entry && state.index < entry.layer.count) select(entry.layer, state.index);
+    }
+  };
+}
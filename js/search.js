@@ -0,0 +1,232 @@
+/**
+ * search.js – Header search box with type-ahead results and fly-to.
+ *
+ * Every record in every registered layer is indexed on the columns listed in
+ * CONFIG.search.fields (plus a GeoJSON layer's name). Queries are matched
+ * fuzzily: substrings rank highest (prefixes and word starts first), then
+ * in-order character matches with few gaps ("cned 568" finds
+ * "CON EDISION - TM568").
+ *
+ * Choosing a result flies the camera to the feature, pulses its marker and
+ * opens its detail record.
+ */
+import CONFIG from '../config/config.js';
+import { openFeatureDetail } from './detailPanel.js';
+
+const normalize = (s) => String(s ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Score how well `query` matches `text` (both normalised). Higher is better;
+ * -Infinity means no match.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number}
+ */
+export function fuzzyScore(query, text) {
+  if (!query || !text) return -Infinity;
+
+  const at = text.indexOf(query);
+  if (at >= 0) {
+    let score = 200 - at * 0.5 - (text.length - query.length) * 0.1;
+    if (at === 0) score += 50;
+    else if (/[\s\-,./#]/.test(text[at - 1])) score += 25;
+    return score;
+  }
+
+  // In-order character match: reward runs, penalise gaps
+  let score = 0, run = 0, ti = 0;
+  for (let qi = 0; qi < query.length; qi++) {
+    const c = query[qi];
+    if (c === ' ') { run = 0; continue; }
+    const found = text.indexOf(c, ti);
+    if (found < 0) return -Infinity;
+    const gap = found - ti;
+    run = gap === 0 ? run + 1 : 1;
+    score += run * 2 - Math.min(gap, 10) * 0.5;
+    ti = found + 1;
+  }
+  // Require most of the query to land in runs, or single letters match everything
+  return score > query.length ? score : -Infinity;
+}
+
+/**
+ * Build the search index over all registry layers.
+ * @param {object} registry – see layerRegistry.js
+ * @returns {{ layer: object, index: number, data: object, title: string, dataset: string, fields: {label: string, value: string, norm: string}[] }[]}
+ */
+function buildIndex(registry) {
+  const fields = CONFIG.search?.fields ?? [];
+  const items = [];
+
+  const addRecords = (entry, layer, records) => {
+    const cfg = entry.cfg;
+    const labelOf = (key) => cfg.fields?.find(f => f.key === key)?.label || key;
+
+    records.forEach((data, index) => {
+      const row = data.row || {};
+      const values = fields
+        .filter(k => row[k] != null && row[k] !== '')
+        .map(k => ({ label: labelOf(k), value: String(row[k]) }));
+      if (entry.kind === 'geojson' && data.text) values.push({ label: 'Name', value: data.text });
+      if (!values.length) return;
+
+      for (const v of values) v.norm = normalize(v.value);
+      items.push({
+        layer, index, data,
+        title: row[cfg.titleField] || data.text || data.handle || `${data.type} ${index + 1}`,
+        dataset: cfg.label || entry.key,
+        fields: values
+      });
+    });
+  };
+
+  for (const entry of registry.list()) {
+    const { layer } = entry;
+    addRecords(entry, layer, layer.records);
+    if (layer.pointLayer) addRecords(entry, layer.pointLayer, layer.pointLayer.records);
+  }
+  return items;
+}
+
+/**
+ * Wire up the header search box.
+ * @param {HTMLInputElement} inputEl
+ * @param {HTMLElement} resultsEl – listbox under the input
+ * @param {object} registry
+ * @param {object} view – { flyTo } from createViewer()
+ */
+export function setupSearch(inputEl, resultsEl, registry, { flyTo }) {
+  const maxResults = CONFIG.search?.maxResults ?? 8;
+  const items = buildIndex(registry);
+  let results = [];
+  let active = -1;
+
+  console.log(`[search] Indexed ${items.length} features`);
+
+  function search(query) {
+    const q = normalize(query);
+    if (!q) return [];
+    const scored = [];
+    for (const item of items) {
+      let best = -Infinity, field = null;
+      for (const f of item.fields) {
+        const s = fuzzyScore(q, f.norm);
+        if (s > best) { best = s; field = f; }
+      }
+      if (best > -Infinity) scored.push({ item, field, score: best });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, maxResults);
+  }
+
+  function render() {
+    resultsEl.replaceChildren();
+    resultsEl.hidden = !results.length && !inputEl.value.trim();
+
+    if (!results.length) {
+      if (inputEl.value.trim()) {
+        const empty = document.createElement('div');
+        empty.className = 'search-empty';
+        empty.textContent = 'No matches';
+        resultsEl.appendChild(empty);
+      }
+      inputEl.setAttribute('aria-expanded', String(!resultsEl.hidden));
+      return;
+    }
+
+    results.forEach((r, i) => {
+      const opt = document.createElement('div');
+      opt.className = 'search-result';
+      opt.id = `search-result-${i}`;
+      opt.setAttribute('role', 'option');
+      opt.setAttribute('aria-selected', String(i === active));
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      title.textContent = r.item.title;
+
+      const meta = document.createElement('span');
+      meta.className = 'search-result-meta';
+      meta.textContent = r.field.value === r.item.title
+        ? r.item.dataset
+        : `${r.item.dataset} · ${r.field.label}: ${r.field.value}`;
+
+      opt.append(title, meta);
+      // mousedown, not click: fires before the input's blur hides the list
+      opt.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(i);
+      });
+      resultsEl.appendChild(opt);
+    });
+
+    inputEl.setAttribute('aria-expanded', 'true');
+    inputEl.setAttribute('aria-activedescendant', active >= 0 ? `search-result-${active}` : '');
+  }
+
+  function close() {
+    results = [];
+    active = -1;
+    resultsEl.hidden = true;
+    inputEl.setAttribute('aria-expanded', 'false');
+  }
+
+  /** Fly to a result, pulse it, then open its record. */
+  async function choose(i) {
+    const r = results[i];
+    if (!r) return;
+    const { layer, index, data } = r.item;
+    inputEl.value = r.item.title;
+    close();
+    inputEl.blur();
+
+    const point = layer.getPosition ? layer.getPosition(index) : data.anchor.clone();
+    await flyTo(point, { extent: CONFIG.search?.flyToExtent ?? 150 });
+
+    const pulseMs = 1500;
+    layer.pulse?.(index, pulseMs);
+    setTimeout(() => openFeatureDetail(data), pulseMs);
+  }
+
+  inputEl.addEventListener('input', () => {
+    results = search(inputEl.value);
+    active = results.length ? 0 : -1;
+    render();
+  });
+
+  inputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!results.length) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + results.length) % results.length;
+      render();
+      resultsEl.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(Math.max(active, 0));
+    } else if (e.key === 'Escape') {
+      inputEl.value = '';
+      close();
+      inputEl.blur();
+    }
+  });
+
+  inputEl.addEventListener('focus', () => {
+    if (inputEl.value.trim()) {
+      results = search(inputEl.value);
+      render();
+    }
+  });
+  inputEl.addEventListener('blur', close);
+
+  // "/" focuses the search box from anywhere outside a text field
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== '/' || e.target.closest('input, textarea, select')) return;
+    e.preventDefault();
+    inputEl.focus();
+  });
+
+  close();
+  return { search };
+}
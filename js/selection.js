@@ -0,0 +1,333 @@
+/**
+ * selection.js – Box and lasso selection of point markers, with export.
+ *
+ * While the Select panel is open, left-drag on the map draws a rectangle or
+ * a freehand lasso in screen space instead of rotating the view (OrbitControls
+ * rotation is suspended; right-drag still pans and the wheel zooms). Every
+ * marker of a visible dataset that passes the current filters and projects
+ * inside the shape is selected. Shift-drag adds to the selection, Alt-drag
+ * removes from it.
+ *
+ * Exports:
+ *   CSV     – the original rows, one file per dataset (columns differ)
+ *   GeoJSON – one FeatureCollection, in WGS84 (RFC 7946) or EPSG:2263 feet
+ *             (with a legacy `crs` member, as geojsonLoader.js reads it)
+ */
+import * as THREE from 'three';
+import { toCSV, downloadBlob, safeFilename } from './exportUtils.js';
+import { dotColors } from './legend.js';
+
+const MIN_DRAG = 5;        // px; shorter drags fall through as clicks
+const LASSO_STEP = 3;      // px between recorded lasso vertices
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Ray-casting point-in-polygon test on [x, y] vertices. */
+export function pointInPolygon(x, y, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Build the selection tool and its side panel.
+ * @param {HTMLElement} panelEl
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} view – { camera, controls, renderer, onCameraChange } from createViewer()
+ * @returns {{ open: Function, close: Function, toggle: Function, clear: Function, onToggle: Function, getSelection: Function }}
+ */
+export function createSelection(panelEl, registry, { camera, controls, renderer, onCameraChange }) {
+  onCameraChange?.((c) => { camera = c; });
+  const canvas = renderer.domElement;
+  const toggleListeners = new Set();
+
+  let mode = 'box';
+  /** @type {Map<object, { entry: object, indices: Set<number> }>} point layer → selected indices */
+  const selected = new Map();
+  let drag = null;            // { op, points: [[x, y], …] } while dragging
+  let rotateWas = true;
+
+  /* --- Overlay for the shape being drawn --- */
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.classList.add('selection-overlay');
+  const shape = document.createElementNS(SVG_NS, 'polygon');
+  svg.appendChild(shape);
+  canvas.parentElement.appendChild(svg);
+
+  /** Every pointLayer-like object in an entry. */
+  function pointLayersOf(entry) {
+    return entry.kind === 'csv' ? [entry.layer] : (entry.layer.pointLayer ? [entry.layer.pointLayer] : []);
+  }
+
+  /** Screen-space polygon for the dragged points: the lasso itself, or the box they span. */
+  function shapeOf(points) {
+    if (mode === 'lasso') return points;
+    const [[x0, y0]] = points;
+    const [x1, y1] = points[points.length - 1];
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+  }
+
+  /* --- Selecting --- */
+  function applyShape(poly, op) {
+    const rect = canvas.getBoundingClientRect();
+    const xs = poly.map(p => p[0]), ys = poly.map(p => p[1]);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const v = new THREE.Vector3();
+
+    if (op === 'replace') selected.clear();
+
+    for (const entry of registry.list()) {
+      if (!entry.visible) continue;
+      for (const layer of pointLayersOf(entry)) {
+        let sel = selected.get(layer);
+        for (let i = 0; i < layer.count; i++) {
+          if (!layer.isPointActive(i)) continue;
+          layer.getPosition(i, v).project(camera);
+          if (v.z < -1 || v.z > 1) continue;
+          const sx = ((v.x + 1) / 2) * rect.width;
+          const sy = ((1 - v.y) / 2) * rect.height;
+          if (sx < minX || sx > maxX || sy < minY || sy > maxY) continue;
+          if (mode === 'lasso' && !pointInPolygon(sx, sy, poly)) continue;
+
+          if (op === 'subtract') {
+            sel?.indices.delete(i);
+          } else {
+            if (!sel) selected.set(layer, sel = { entry, indices: new Set() });
+            sel.indices.add(i);
+          }
+        }
+      }
+    }
+    update();
+  }
+
+  function clear() {
+    selected.clear();
+    update();
+  }
+
+  /** Drop selected markers that no longer pass the filters / timeline. */
+  function prune() {
+    let changed = false;
+    for (const [layer, sel] of selected) {
+      for (const i of sel.indices) {
+        if (!layer.isPointActive(i)) { sel.indices.delete(i); changed = true; }
+      }
+    }
+    if (changed) update();
+  }
+
+  /** Push highlights to the layers and refresh the panel. */
+  function update() {
+    for (const [layer, sel] of selected) if (!sel.indices.size) selected.delete(layer);
+    for (const entry of registry.list()) {
+      for (const layer of pointLayersOf(entry)) {
+        layer.setHighlight('selection', selected.get(layer)?.indices ?? null);
+      }
+    }
+    renderSummary();
+  }
+
+  /* --- Pointer handling --- */
+  function localXY(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!isOpen() || e.button !== 0 || !e.isPrimary) return;
+    drag = {
+      op: e.shiftKey ? 'add' : e.altKey ? 'subtract' : 'replace',
+      points: [localXY(e)],
+      pointerId: e.pointerId
+    };
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const p = localXY(e);
+    const last = drag.points[drag.points.length - 1];
+    if (mode === 'box') {
+      drag.points[1] = p;
+    } else if (Math.hypot(p[0] - last[0], p[1] - last[1]) >= LASSO_STEP) {
+      drag.points.push(p);
+    }
+    if (drag.points.length > 1) {
+      shape.setAttribute('points', shapeOf(drag.points).map(q => q.join(',')).join(' '));
+      svg.classList.add('active');
+    }
+  });
+
+  function endDrag(e, commit) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const d = drag;
+    drag = null;
+    svg.classList.remove('active');
+    shape.removeAttribute('points');
+    if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    if (!commit || d.points.length < 2) return;
+
+    const [x0, y0] = d.points[0];
+    const far = d.points.some(([x, y]) => Math.hypot(x - x0, y - y0) > MIN_DRAG);
+    if (far) applyShape(shapeOf(d.points), d.op);
+  }
+
+  canvas.addEventListener('pointerup', (e) => endDrag(e, true));
+  canvas.addEventListener('pointercancel', (e) => endDrag(e, false));
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drag) endDrag({ pointerId: drag.pointerId }, false);
+  });
+
+  /* --- Export --- */
+  function exportCSV() {
+    for (const [layer, { entry, indices }] of selected) {
+      const records = [...indices].sort((a, b) => a - b).map(i => layer.records[i]);
+      const headers = [];
+      for (const r of records) for (const k of Object.keys(r.row || {})) if (!headers.includes(k)) headers.push(k);
+      const name = safeFilename(`selection_${entry.cfg.label || entry.key}_${records.length}`);
+      downloadBlob(toCSV(headers, records.map(r => r.row)), `${name}.csv`);
+    }
+  }
+
+  function exportGeoJSON(crs) {
+    const features = [];
+    for (const [layer, { entry, indices }] of selected) {
+      for (const i of [...indices].sort((a, b) => a - b)) {
+        const r = layer.records[i];
+        features.push({
+          type: 'Feature',
+          geometry: {
+            type: 'Point',
+            coordinates: crs === 'EPSG:2263'
+              ? [+r.coordX.toFixed(2), +r.coordY.toFixed(2)]
+              : [+r.lon.toFixed(7), +r.lat.toFixed(7)]
+          },
+          properties: { dataset: entry.cfg.label || entry.key, ...r.row }
+        });
+      }
+    }
+    const fc = { type: 'FeatureCollection' };
+    if (crs === 'EPSG:2263') fc.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::2263' } };
+    fc.features = features;
+
+    const suffix = crs === 'EPSG:2263' ? '2263' : 'wgs84';
+    downloadBlob(JSON.stringify(fc, null, 1), `${safeFilename(`selection_${features.length}_${suffix}`)}.geojson`,
+      'application/geo+json');
+  }
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Select</span>
+      <button class="side-panel-close" aria-label="Close selection">&times;</button>
+    </div>
+    <div class="panel-modes" role="radiogroup" aria-label="Selection shape">
+      <button class="panel-btn" data-mode="box" role="radio">Box</button>
+      <button class="panel-btn" data-mode="lasso" role="radio">Lasso</button>
+    </div>
+    <p class="filter-caption">Drag on the map to select markers. Shift-drag adds, Alt-drag removes. Right-drag pans.</p>
+    <p class="sel-summary" aria-live="polite"></p>
+    <ul class="sel-datasets"></ul>
+    <div class="side-panel-footer">
+      <button class="panel-btn sel-clear">Clear</button>
+      <span class="sel-export">
+        <select class="sel-format" aria-label="Export format">
+          <option value="csv">CSV (original rows)</option>
+          <option value="EPSG:4326">GeoJSON · WGS84</option>
+          <option value="EPSG:2263">GeoJSON · EPSG:2263</option>
+        </select>
+        <button class="panel-btn sel-export-btn">Export</button>
+      </span>
+    </div>`;
+
+  const modeBtns = panelEl.querySelectorAll('.panel-modes .panel-btn');
+  const summaryEl = panelEl.querySelector('.sel-summary');
+  const listEl = panelEl.querySelector('.sel-datasets');
+  const clearBtn = panelEl.querySelector('.sel-clear');
+  const formatSel = panelEl.querySelector('.sel-format');
+  const exportBtn = panelEl.querySelector('.sel-export-btn');
+
+  function setMode(m) {
+    mode = m;
+    for (const b of modeBtns) {
+      const on = b.dataset.mode === m;
+      b.classList.toggle('active', on);
+      b.setAttribute('aria-checked', String(on));
+    }
+    canvas.dataset.selectMode = isOpen() ? m : '';
+  }
+
+  for (const b of modeBtns) b.addEventListener('click', () => setMode(b.dataset.mode));
+  clearBtn.addEventListener('click', clear);
+  exportBtn.addEventListener('click', () => {
+    if (formatSel.value === 'csv') exportCSV();
+    else exportGeoJSON(formatSel.value);
+  });
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  function renderSummary() {
+    let total = 0;
+    listEl.replaceChildren();
+    for (const { entry, indices } of selected.values()) {
+      total += indices.size;
+      const c = entry.cfg;
+      const li = document.createElement('li');
+      const colors = dotColors(entry);
+      li.style.setProperty('--dot-light', colors.light);
+      li.style.setProperty('--dot-dark', colors.dark);
+      li.textContent = `${c.label || entry.key}: ${indices.size.toLocaleString()}`;
+      listEl.appendChild(li);
+    }
+    summaryEl.textContent = total ? `${total.toLocaleString()} selected` : 'Nothing selected';
+    clearBtn.disabled = exportBtn.disabled = !total;
+  }
+
+  /* --- Open / close --- */
+  const isOpen = () => !panelEl.classList.contains('hidden');
+
+  function open() {
+    if (isOpen()) return;
+    panelEl.classList.remove('hidden');
+    rotateWas = controls.enableRotate;
+    controls.enableRotate = false;
+    setMode(mode);
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (!isOpen()) return;
+    panelEl.classList.add('hidden');
+    controls.enableRotate = rotateWas;
+    canvas.dataset.selectMode = '';
+    clear();
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (isOpen()) close(); else open();
+    return isOpen();
+  }
+
+  registry.onChange((reason) => {
+    if (reason === 'counts') prune();
+    else if (reason === 'style') renderSummary();
+  });
+
+  setMode('box');
+  renderSummary();
+
+  return {
+    open, close, toggle, clear,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); },
+    /** Selected records per dataset: [{ key, records }]. */
+    getSelection: () => [...selected.entries()].map(([layer, { entry, indices }]) => ({
+      key: entry.key,
+      records: [...indices].map(i => layer.records[i])
+    }))
+  };
+}
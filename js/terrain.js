@@ -0,0 +1,202 @@
+/**
+ * terrain.js – Height sampling on the loaded topography mesh.
+ *
+ * Raycasting the full-resolution terrain once per marker does not scale to
+ * thousands of points, so the "topography" subtree is rasterised once into a
+ * regular heightfield (max surface Y per cell, in scene space). Lookups are then
+ * a bilinear read, and rays / sight lines are marched across the grid.
+ *
+ * A second grid adds the building roofs on top of the ground. Heights and rays
+ * follow the ground; sight lines (isOccluded) use the ground-plus-buildings
+ * surface, so labels behind buildings count as hidden too.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+
+const NO_DATA = -Infinity;
+
+/**
+ * Build a terrain sampler from the loaded model wrapper.
+ * @param {THREE.Object3D} model – wrapper returned by loadModel (offset already applied)
+ * @returns {object|null} sampler, or null if the model has no "topography" node
+ */
+export function createTerrainSampler(model) {
+  let topoNode = null;
+  model.traverse((child) => {
+    if (child.name === 'topography') topoNode = child;
+  });
+  if (!topoNode) {
+    console.warn('[terrain] No "topography" node found — markers will use a fixed height.');
+    return null;
+  }
+
+  model.updateMatrixWorld(true);
+
+  const meshes = [];
+  topoNode.traverse((child) => { if (child.isMesh) meshes.push(child); });
+  const topoMeshes = new Set(meshes);
+  const buildingMeshes = [];
+  model.traverse((child) => { if (child.isMesh && !topoMeshes.has(child)) buildingMeshes.push(child); });
+
+  const box = new THREE.Box3().setFromObject(topoNode);
+  const cell = CONFIG.terrain?.cellSize ?? 5;
+  const cols = Math.max(2, Math.ceil((box.max.x - box.min.x) / cell) + 1);
+  const rows = Math.max(2, Math.ceil((box.max.z - box.min.z) / cell) + 1);
+  const heights = new Float32Array(cols * rows).fill(NO_DATA);
+
+  const t0 = performance.now();
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+
+  rasterizeMeshes(meshes, heights);
+  // Ground plus roofs; walls are vertical faces, which the roofs already cover
+  const surface = heights.slice();
+  rasterizeMeshes(buildingMeshes, surface);
+
+  console.log(`[terrain] Heightfield ${cols}×${rows} @ ${cell} m (${buildingMeshes.length} building meshes) built in ${Math.round(performance.now() - t0)} ms`);
+
+  function rasterizeMeshes(list, grid) {
+    for (const mesh of list) {
+      const pos = mesh.geometry.attributes.position;
+      const index = mesh.geometry.index;
+      const triCount = index ? index.count / 3 : pos.count / 3;
+      const m = mesh.matrixWorld;
+
+      for (let t = 0; t < triCount; t++) {
+        const i0 = index ? index.getX(t * 3) : t * 3;
+        const i1 = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+        const i2 = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+        a.fromBufferAttribute(pos, i0).applyMatrix4(m);
+        b.fromBufferAttribute(pos, i1).applyMatrix4(m);
+        c.fromBufferAttribute(pos, i2).applyMatrix4(m);
+        rasterizeTriangle(grid, a, b, c);
+      }
+    }
+  }
+
+  /** Write the triangle's height into every cell centre of `grid` it covers (keeping the max). */
+  function rasterizeTriangle(grid, p0, p1, p2) {
+    const minC = Math.max(0, Math.ceil((Math.min(p0.x, p1.x, p2.x) - box.min.x) / cell));
+    const maxC = Math.min(cols - 1, Math.floor((Math.max(p0.x, p1.x, p2.x) - box.min.x) / cell));
+    const minR = Math.max(0, Math.ceil((Math.min(p0.z, p1.z, p2.z) - box.min.z) / cell));
+    const maxR = Math.min(rows - 1, Math.floor((Math.max(p0.z, p1.z, p2.z) - box.min.z) / cell));
+    if (minC > maxC || minR > maxR) return;
+
+    const det = (p1.z - p2.z) * (p0.x - p2.x) + (p2.x - p1.x) * (p0.z - p2.z);
+    if (Math.abs(det) < 1e-9) return;   // vertical / degenerate face
+
+    for (let r = minR; r <= maxR; r++) {
+      const z = box.min.z + r * cell;
+      for (let col = minC; col <= maxC; col++) {
+        const x = box.min.x + col * cell;
+        const w0 = ((p1.z - p2.z) * (x - p2.x) + (p2.x - p1.x) * (z - p2.z)) / det;
+        const w1 = ((p2.z - p0.z) * (x - p2.x) + (p0.x - p2.x) * (z - p2.z)) / det;
+        const w2 = 1 - w0 - w1;
+        if (w0 < -1e-6 || w1 < -1e-6 || w2 < -1e-6) continue;
+        const y = w0 * p0.y + w1 * p1.y + w2 * p2.y;
+        const i = r * cols + col;
+        if (y > grid[i]) grid[i] = y;
+      }
+    }
+  }
+
+  /**
+   * Ground height (scene Y) at a scene-space XZ position, or null outside the terrain.
+   * Bilinear between the four surrounding cells; missing cells are ignored.
+   */
+  function heightAt(x, z) {
+    return sample(heights, x, z);
+  }
+
+  /** Bilinear read of `grid` at a scene-space XZ position, or null outside it. */
+  function sample(grid, x, z) {
+    const fx = (x - box.min.x) / cell;
+    const fz = (z - box.min.z) / cell;
+    if (fx < 0 || fz < 0 || fx > cols - 1 || fz > rows - 1) return null;
+
+    const c0 = Math.min(Math.floor(fx), cols - 2);
+    const r0 = Math.min(Math.floor(fz), rows - 2);
+    const tx = fx - c0;
+    const tz = fz - r0;
+
+    let sum = 0, wsum = 0;
+    const corners = [
+      [r0, c0, (1 - tx) * (1 - tz)], [r0, c0 + 1, tx * (1 - tz)],
+      [r0 + 1, c0, (1 - tx) * tz],   [r0 + 1, c0 + 1, tx * tz]
+    ];
+    for (const [r, col, w] of corners) {
+      const h = grid[r * cols + col];
+      if (h === NO_DATA) continue;
+      sum += h * w;
+      wsum += w;
+    }
+    return wsum > 0 ? sum / wsum : null;
+  }
+
+  /**
+   * First intersection of a ray with the heightfield, or null.
+   * Marches in half-cell steps, then bisects to refine the hit.
+   * @param {THREE.Ray} ray
+   * @param {THREE.Vector3} [out]
+   */
+  function intersectRay(ray, out = new THREE.Vector3()) {
+    // Clip the ray to the terrain's bounding box (with generous Y headroom)
+    const bounds = box.clone();
+    bounds.max.y += 1;
+    const entry = ray.intersectBox(bounds, new THREE.Vector3());
+    if (!entry) return null;
+
+    const startT = ray.origin.distanceTo(entry) * (bounds.containsPoint(ray.origin) ? 0 : 1);
+    const maxT = startT + (box.max.x - box.min.x) + (box.max.z - box.min.z) + (box.max.y - box.min.y);
+    const step = cell * 0.5;
+    const p = new THREE.Vector3();
+
+    let prevT = startT;
+    for (let t = startT; t <= maxT; t += step) {
+      ray.at(t, p);
+      const h = heightAt(p.x, p.z);
+      if (h !== null && p.y <= h) {
+        // Bisect between the last point above ground and this one
+        let lo = prevT, hi = t;
+        for (let k = 0; k < 12; k++) {
+          const mid = (lo + hi) / 2;
+          ray.at(mid, p);
+          const hm = heightAt(p.x, p.z);
+          if (hm !== null && p.y <= hm) hi = mid; else lo = mid;
+        }
+        ray.at(hi, out);
+        out.y = heightAt(out.x, out.z) ?? out.y;
+        return out;
+      }
+      if (h === null && t > startT && !bounds.containsPoint(p)) break;
+      prevT = t;
+    }
+    return null;
+  }
+
+  /**
+   * True if the terrain or a building blocks the straight line between two scene points.
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @param {number} [clearance=1] – metres the line may dip below the surface
+   */
+  function isOccluded(from, to, clearance = 1) {
+    const dist = from.distanceTo(to);
+    const steps = Math.ceil(dist / cell);
+    const p = new THREE.Vector3();
+    // An anchor under a roof (draped on the ground of a building's footprint)
+    // is not hidden by its own building: test the ground only until the line
+    // clears that roof
+    const roof = sample(surface, from.x, from.z);
+    let underRoof = roof !== null && from.y < roof - clearance;
+    for (let s = 1; s < steps; s++) {
+      p.lerpVectors(from, to, s / steps);
+      const h = sample(surface, p.x, p.z);
+      if (underRoof && (h === null || p.y >= h - clearance)) underRoof = false;
+      const limit = underRoof ? heightAt(p.x, p.z) : h;
+      if (limit !== null && p.y < limit - clearance) return true;
+    }
+    return false;
+  }
+
+  return { heightAt, intersectRay, isOccluded, box, cellSize: cell, meshes };
+}
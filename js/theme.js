@@ -0,0 +1,150 @@
+/**
+ * theme.js – Map themes (config/themes.js) and the crossfade between them.
+ *
+ * A switch blends the scene background, terrain texture, building / side
+ * colours and heatmap ramp over CONFIG.themes.transition ms. The discrete
+ * parts swap at the midpoint: body.dark, the theme's CSS variables (the
+ * registered ones then transition, so both halves meet symmetrically), the
+ * marker colours and the highlight ring.
+ *
+ * The choice persists in localStorage. With nothing stored, the theme
+ * follows prefers-color-scheme, including live changes.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+import THEMES from '../config/themes.js';
+import { setHighlightColor } from './pointLayer.js';
+
+const darkScheme = window.matchMedia?.('(prefers-color-scheme: dark)');
+
+function storedTheme() {
+  try {
+    const id = localStorage.getItem(CONFIG.themes.storageKey);
+    return id && THEMES[id] ? id : null;
+  } catch (err) {
+    console.warn('[theme] Could not read the saved theme:', err);
+    return null;
+  }
+}
+
+/** The stored choice, else the default for the system colour scheme. */
+export function preferredTheme() {
+  return storedTheme() ?? CONFIG.themes.defaults[darkScheme?.matches ? 'dark' : 'light'];
+}
+
+/**
+ * Apply the initial theme and drive switches between themes.
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {object} opts.themeModel – { load, blend } from loadModel()
+ * @param {object} opts.registry – see layerRegistry.js
+ * @param {HTMLSelectElement} [opts.selectEl] – theme menu, filled from config/themes.js
+ * @param {string} [opts.initial] – theme id the model was loaded with
+ * @returns {{ get: Function, set: Function, list: Function, onChange: Function }}
+ */
+export function createThemes({ scene, themeModel, registry, selectEl, initial = preferredTheme() }) {
+  const listeners = new Set();
+  const bgFrom = new THREE.Color();
+  const bgTo = new THREE.Color();
+
+  let current = initial;   // theme id fully applied, or being left
+  let target = initial;    // theme id last asked for
+  let busy = false;
+
+  /** Swap the parts that cannot blend: UI tokens, marker and ring colours. */
+  function applyDiscrete(theme, prev) {
+    document.body.classList.toggle('dark', theme.dark);
+    for (const name of Object.keys(prev?.ui ?? {})) document.body.style.removeProperty(name);
+    for (const [name, value] of Object.entries(theme.ui ?? {})) document.body.style.setProperty(name, value);
+    setHighlightColor(theme.highlight ?? null);
+    for (const layer of registry.layers()) layer.setTheme?.(theme);
+    registry.notify('style');
+  }
+
+  /** Crossfade from `current` to `id`, then on to a newer target if one was set meanwhile. */
+  async function transition(id) {
+    busy = true;
+    const from = THEMES[current], to = THEMES[id];
+    try {
+      await themeModel.load(to);
+    } catch (err) {
+      console.error(`[theme] Could not load the "${id}" terrain texture:`, err);
+      busy = false;
+      target = current;
+      if (selectEl) selectEl.value = current;
+      for (const fn of listeners) fn(current);
+      return;
+    }
+
+    const start = performance.now();
+    let swapped = false;
+    const tick = (now) => {
+      const t = Math.min((now - start) / CONFIG.themes.transition, 1);
+      scene.background.lerpColors(bgFrom.set(from.background), bgTo.set(to.background), t);
+      themeModel.blend(from, to, t);
+      if (!swapped && t >= 0.5) {
+        swapped = true;
+        applyDiscrete(to, from);
+      }
+      if (t < 1) {
+        requestAnimationFrame(tick);
+        return;
+      }
+      current = id;
+      busy = false;
+      if (target !== current) transition(target);
+    };
+    requestAnimationFrame(tick);
+  }
+
+  function set(id, { persist = true } = {}) {
+    if (!THEMES[id]) {
+      console.warn(`[theme] Unknown theme "${id}"`);
+      return;
+    }
+    if (persist) {
+      try {
+        localStorage.setItem(CONFIG.themes.storageKey, id);
+      } catch (err) {
+        console.warn('[theme] Could not store the theme:', err);
+      }
+    }
+    if (id === target) return;
+    target = id;
+    if (selectEl) selectEl.value = id;
+    for (const fn of listeners) fn(id);
+    if (!busy) transition(id);
+  }
+
+  // Start-up: the model already wears `initial`; match the rest instantly
+  scene.background = new THREE.Color(THEMES[initial].background);
+  applyDiscrete(THEMES[initial], null);
+
+  if (selectEl) {
+    selectEl.replaceChildren(...Object.entries(THEMES).map(([id, t]) => new Option(t.label, id)));
+    selectEl.value = initial;
+    selectEl.addEventListener('change', () => set(selectEl.value));
+  }
+
+  // Follow the system colour scheme until the user picks a theme
+  darkScheme?.addEventListener('change', () => {
+    if (!storedTheme()) set(preferredTheme(), { persist: false });
+  });
+
+  console.log(`[theme] ${THEMES[initial].label} theme`);
+
+  return {
+    /** Current theme id (the target while a crossfade runs). */
+    get: () => target,
+    /**
+     * Switch theme with the crossfade. A switch during another one follows it.
+     * @param {string} id – key in config/themes.js
+     * @param {{ persist?: boolean }} [opts] – false for themes the user did not pick (e.g. from a link)
+     */
+    set,
+    /** [{ id, label }] in menu order. */
+    list: () => Object.entries(THEMES).map(([id, t]) => ({ id, label: t.label })),
+    /** Subscribe to theme changes; called with the new id. */
+    onChange(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * timeline.js – Date slider with animated playback.
+ *
+ * Any CSV dataset joins the timeline by naming a `dateColumn` (and
+ * optionally an `endDateColumn`) in CONFIG.csvFiles. While the timeline is
+ * active, markers dated after the cursor are hidden through the layer's
+ * 'time' data mask (so they also leave counts, picking and the analyses);
+ * events that have ended, or are older than `windowDays`, fade through the
+ * display-only 'timeFade' mask.
+ *
+ * Under the slider a hyetograph plots the hourly rainfall from the weather
+ * feed, coloured by the CSO risk level each hour reaches; scrubbing also
+ * re-assesses the CSO risk at the cursor time.
+ *
+ * The timeline starts inactive ("All dates"); scrubbing or playing activates
+ * it and the reset button returns to showing everything.
+ */
+import CONFIG from '../config/config.js';
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+const hex = (c) => '#' + (c ?? 0).toString(16).padStart(6, '0');
+
+/**
+ * Parse a date cell: ISO 8601, anything Date.parse understands, or a
+ * compact YYYYMMDD. Returns epoch ms, or NaN.
+ */
+export function parseDate(value) {
+  if (value == null || value === '') return NaN;
+  const s = String(value).trim();
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(s);
+  if (compact) return Date.UTC(+compact[1], +compact[2] - 1, +compact[3]);
+  return Date.parse(s);
+}
+
+/**
+ * Build the timeline bar.
+ * @param {HTMLElement} el – container at the bottom of the viewer
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} opts
+ * @param {object} [opts.weather] – from createWeather(), for the hyetograph
+ * @param {Function} opts.onFrame – from createViewer(), drives playback
+ * @returns {{ play: Function, pause: Function, reset: Function, setTime: Function, getState: Function, setState: Function }}
+ */
+export function createTimeline(el, registry, { weather, onFrame }) {
+  const cfg = CONFIG.timeline;
+  const levels = CONFIG.weather?.risk?.levels ?? [];
+
+  /* --- Dated datasets --- */
+  const tracks = registry.list()
+    .filter(e => e.kind === 'csv' && e.cfg.dateColumn)
+    .map(entry => {
+      const { layer, cfg: c } = entry;
+      const starts = new Float64Array(layer.count);
+      const ends = new Float64Array(layer.count);
+      layer.records.forEach((rec, i) => {
+        starts[i] = parseDate(rec.row?.[c.dateColumn]);
+        ends[i] = c.endDateColumn ? parseDate(rec.row?.[c.endDateColumn]) : NaN;
+      });
+      const dated = starts.filter(Number.isFinite).length;
+      console.log(`[timeline] ${c.label}: ${dated}/${layer.count} dated rows (${c.dateColumn})`);
+      return {
+        layer, starts, ends,
+        mask: new Uint8Array(layer.count),
+        fade: new Float32Array(layer.count)
+      };
+    });
+
+  let t0 = Infinity, t1 = -Infinity;   // domain, epoch ms
+  let current = null;                  // cursor while active, else null
+  let applied = null;                  // last quantised time pushed to the layers
+  let playing = false;
+  let speed = 1;
+  let loop = cfg.loop;
+  let lastFrame = 0;
+  let observations = [];
+
+  /* --- Markup --- */
+  el.innerHTML = `
+    <div class="timeline-controls">
+      <button class="timeline-play panel-btn" aria-label="Play">▶</button>
+      <select class="timeline-speed" aria-label="Playback speed">
+        ${cfg.speeds.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('')}
+      </select>
+      <label class="timeline-loop"><input type="checkbox"${loop ? ' checked' : ''}> Loop</label>
+      <span class="timeline-current" aria-live="polite"></span>
+      <button class="timeline-reset panel-btn">All dates</button>
+    </div>
+    <div class="timeline-track">
+      <canvas class="timeline-hyeto" aria-hidden="true"></canvas>
+      <span class="timeline-hyeto-max"></span>
+      <input class="timeline-slider" type="range" aria-label="Date">
+    </div>
+    <div class="timeline-range"><span class="timeline-start"></span><span class="timeline-end"></span></div>`;
+
+  const playBtn = el.querySelector('.timeline-play');
+  const speedSel = el.querySelector('.timeline-speed');
+  const loopIn = el.querySelector('.timeline-loop input');
+  const currentEl = el.querySelector('.timeline-current');
+  const resetBtn = el.querySelector('.timeline-reset');
+  const canvas = el.querySelector('.timeline-hyeto');
+  const maxEl = el.querySelector('.timeline-hyeto-max');
+  const slider = el.querySelector('.timeline-slider');
+  const startEl = el.querySelector('.timeline-start');
+  const endEl = el.querySelector('.timeline-end');
+
+  /** Smallest time step: hours for short ranges, days otherwise. */
+  const step = () => (t1 - t0 <= 30 * DAY ? HOUR : DAY);
+
+  function fmt(t) {
+    const opts = t1 - t0 <= 30 * DAY
+      ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+      : { year: 'numeric', month: 'short', day: 'numeric' };
+    return new Date(t).toLocaleString(undefined, opts);
+  }
+
+  /* --- Domain --- */
+  function updateDomain() {
+    t0 = Infinity;
+    t1 = -Infinity;
+    for (const { starts, ends } of tracks) {
+      for (const arr of [starts, ends]) {
+        for (const v of arr) if (Number.isFinite(v)) { t0 = Math.min(t0, v); t1 = Math.max(t1, v); }
+      }
+    }
+    if (cfg.hyetograph && observations.length) {
+      t0 = Math.min(t0, observations[0].time);
+      t1 = Math.max(t1, observations[observations.length - 1].time + HOUR);
+    }
+
+    const empty = !(t1 > t0);
+    el.classList.toggle('hidden', empty);
+    document.body.classList.toggle('has-timeline', !empty);
+    if (empty) return;
+
+    slider.min = String(t0);
+    slider.max = String(t1);
+    slider.step = String(step());
+    slider.value = String(current ?? t1);
+    startEl.textContent = fmt(t0);
+    endEl.textContent = fmt(t1);
+    if (current !== null) current = Math.min(Math.max(current, t0), t1);
+    renderCurrent();
+  }
+
+  /* --- Applying a time --- */
+  function apply(t) {
+    const q = Math.floor(t / step()) * step();
+    if (q === applied) return;
+    applied = q;
+
+    const windowMs = cfg.windowDays * DAY;
+    for (const { layer, starts, ends, mask, fade } of tracks) {
+      for (let i = 0; i < layer.count; i++) {
+        const s = starts[i];
+        if (!Number.isFinite(s)) { mask[i] = 1; fade[i] = 1; continue; }
+        const e = ends[i];
+        const expired = Number.isFinite(e) ? e < t : t - s > windowMs;
+        mask[i] = s <= t && !(expired && cfg.fadeOpacity === 0) ? 1 : 0;
+        fade[i] = expired ? cfg.fadeOpacity : 1;
+      }
+      layer.setMask('time', mask);
+      layer.setMask('timeFade', fade, { display: true });
+    }
+    if (tracks.length) registry.notify('counts');
+    weather?.setTime(t);
+  }
+
+  function setTime(t) {
+    // Before the weather data arrives the domain may still be empty
+    current = t1 > t0 ? Math.min(Math.max(t, t0), t1) : t;
+    slider.value = String(current);
+    apply(current);
+    renderCurrent();
+    drawHyetograph();
+  }
+
+  /** Back to "All dates": no masks, live weather. */
+  function reset() {
+    pause();
+    current = null;
+    applied = null;
+    for (const { layer } of tracks) {
+      layer.setMask('time', null);
+      layer.setMask('timeFade', null, { display: true });
+    }
+    if (tracks.length) registry.notify('counts');
+    weather?.setTime(null);
+    slider.value = String(t1);
+    renderCurrent();
+    drawHyetograph();
+  }
+
+  function renderCurrent() {
+    el.classList.toggle('timeline-active', current !== null);
+    currentEl.textContent = current === null ? 'All dates' : fmt(current);
+    resetBtn.disabled = current === null;
+  }
+
+  /* --- Playback --- */
+  function play() {
+    if (!(t1 > t0)) return;
+    if (current === null || current >= t1) setTime(t0);
+    playing = true;
+    lastFrame = performance.now();
+    playBtn.textContent = '❚❚';
+    playBtn.setAttribute('aria-label', 'Pause');
+  }
+
+  function pause() {
+    playing = false;
+    playBtn.textContent = '▶';
+    playBtn.setAttribute('aria-label', 'Play');
+  }
+
+  onFrame(() => {
+    if (!playing) return;
+    const now = performance.now();
+    const dt = now - lastFrame;
+    lastFrame = now;
+    let t = current + (t1 - t0) * speed * dt / (cfg.playSeconds * 1000);
+    if (t >= t1) {
+      if (loop) t = t0;
+      else { setTime(t1); pause(); return; }
+    }
+    setTime(t);
+  });
+
+  /* --- Hyetograph --- */
+  function levelColor(inches, dark) {
+    let color = null;
+    for (const l of levels) {
+      if (inches >= l.intensity && l.intensity > 0) color = dark ? l.darkColor ?? l.color : l.color;
+    }
+    return color;
+  }
+
+  function drawHyetograph() {
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    maxEl.textContent = '';
+    if (!cfg.hyetograph || !observations.length || !(t1 > t0) || !w) return;
+
+    // Scale to at least the first risk threshold so a drizzle doesn't look like a storm
+    const floor = levels.find(l => l.intensity > 0)?.intensity ?? 0.1;
+    const max = Math.max(floor, ...observations.map(o => o.precipIn));
+    const dark = document.body.classList.contains('dark');
+    const base = getComputedStyle(el).getPropertyValue('--text-dim').trim() || '#888';
+    const span = t1 - t0;
+    const barW = Math.max(1, (HOUR / span) * w - 1);
+
+    for (const o of observations) {
+      if (o.precipIn <= 0) continue;
+      const x = ((o.time - t0) / span) * w;
+      const bh = Math.max(1, (o.precipIn / max) * h);
+      const c = levelColor(o.precipIn, dark);
+      ctx.fillStyle = c === null ? base : hex(c);
+      ctx.globalAlpha = current !== null && o.time > current ? 0.3 : 1;
+      ctx.fillRect(x, h - bh, barW, bh);
+    }
+    ctx.globalAlpha = 1;
+    maxEl.textContent = `${max.toFixed(2)} in/h`;
+  }
+
+  /* --- Wiring --- */
+  slider.addEventListener('input', () => setTime(parseFloat(slider.value)));
+  playBtn.addEventListener('click', () => (playing ? pause() : play()));
+  speedSel.addEventListener('change', () => { speed = parseFloat(speedSel.value); });
+  loopIn.addEventListener('change', () => { loop = loopIn.checked; });
+  resetBtn.addEventListener('click', reset);
+
+  weather?.onChange(() => {
+    const obs = weather.getState().observations;
+    if (obs === observations) return;
+    observations = obs;
+    updateDomain();
+    drawHyetograph();
+  });
+
+  // Canvas size follows the layout; bar colours follow dark mode
+  new ResizeObserver(drawHyetograph).observe(canvas);
+  new MutationObserver(drawHyetograph).observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
+  updateDomain();
+
+  return {
+    play, pause, reset, setTime,
+    /** Cursor, speed and loop (null cursor = all dates). */
+    getState: () => ({ time: current, speed, loop }),
+    setState(state) {
+      if (!state) { reset(); return; }
+      if (state.speed) {
+        speed = state.speed;
+        speedSel.value = String(speed);
+      }
+      if (state.loop != null) loopIn.checked = loop = !!state.loop;
+      if (state.time == null) reset(); else setTime(state.time);
+    }
+  };
+}
@@ -0,0 +1,455 @@
+/**
+ * tours.js – Saved viewpoints and scripted camera tours.
+ *
+ * Tours are authored in CONFIG.tours.path (data/tours.json), so the story can
+ * change without touching code:
+ *
+ *   {
+ *     "viewpoints": {
+ *       "overview": { "label": "Study area", "center": [999962, 202759],
+ *                     "heading": 315, "tilt": 55, "zoom": 1 }
+ *     },
+ *     "tours": [{
+ *       "id": "cso", "title": "Where the sewers overflow",
+ *       "steps": [{
+ *         "viewpoint": "overview",            // name, or an inline viewpoint
+ *         "title": "…", "caption": "…",
+ *         "layers": { "cso": true, "npdes": false },
+ *         "highlight": { "cso": ["200DB", "200E0"] },
+ *         "duration": 2500, "hold": 8000       // ms; default CONFIG.tours
+ *       }]
+ *     }]
+ *   }
+ *
+ * A viewpoint is the orbit centre in EPSG:2263 feet ([E, N] or [E, N, elevFt];
+ * without an elevation the terrain height is used), the compass heading the
+ * camera looks towards, the tilt from straight down (degrees) and the ortho
+ * zoom. Highlight IDs are featureId() values, the same IDs shared URLs use.
+ *
+ * The Tours panel lists the tours and viewpoints; "Save view" stores the
+ * current camera in the browser, and "Copy" puts any viewpoint on the
+ * clipboard as JSON ready to paste into the file. Layer visibility changed by
+ * a tour is restored when it ends.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+import { toSceneCoords, fromSceneCoords } from './projection.js';
+import { featureId } from './detailPanel.js';
+
+const DEG = Math.PI / 180;
+const MIN_TILT = 0.5;   // degrees; straight down would leave the heading undefined
+
+const round = (v, digits = 0) => Number(v.toFixed(digits));
+
+/**
+ * Camera pose for a viewpoint.
+ * @param {{ center: number[], heading?: number, tilt?: number, zoom?: number }} vp
+ * @param {object} opts
+ * @param {number} opts.distance – camera-to-target distance (metres)
+ * @param {object} opts.controls – OrbitControls, for the zoom and tilt limits
+ * @param {object} [opts.terrain]
+ * @returns {{ position: THREE.Vector3, target: THREE.Vector3, quaternion: THREE.Quaternion, zoom: number }}
+ */
+export function viewpointPose(vp, { distance, controls, terrain }) {
+  const [e, n, elevFt] = vp.center;
+  const target = toSceneCoords(e, n, terrain, 0);
+  if (elevFt != null) target.y = elevFt * CONFIG.feetToMeters - CONFIG.originOffset.y;
+
+  const heading = (vp.heading ?? 315) * DEG;
+  const tilt = THREE.MathUtils.clamp(vp.tilt ?? 55, MIN_TILT, controls.maxPolarAngle / DEG) * DEG;
+  // Scene north is -Z; the camera sits opposite the direction it looks
+  const offset = new THREE.Vector3(
+    -Math.sin(heading) * Math.sin(tilt),
+    Math.cos(tilt),
+    Math.cos(heading) * Math.sin(tilt)
+  ).multiplyScalar(distance);
+  const position = target.clone().add(offset);
+
+  const look = new THREE.Matrix4().lookAt(position, target, new THREE.Vector3(0, 1, 0));
+  return {
+    position, target,
+    quaternion: new THREE.Quaternion().setFromRotationMatrix(look),
+    zoom: THREE.MathUtils.clamp(vp.zoom ?? 1, controls.minZoom, controls.maxZoom)
+  };
+}
+
+/**
+ * Viewpoint describing the current camera (inverse of viewpointPose).
+ * @param {THREE.Camera} camera
+ * @param {THREE.Vector3} target – orbit target
+ * @param {number} [zoom=camera.zoom] – map zoom (viewer.viewZoom in perspective)
+ */
+export function currentViewpoint(camera, target, zoom = camera.zoom) {
+  const offset = camera.position.clone().sub(target);
+  const d = offset.length();
+  const tilt = Math.acos(THREE.MathUtils.clamp(offset.y / d, -1, 1)) / DEG;
+  const heading = (Math.atan2(-offset.x, offset.z) / DEG + 360) % 360;
+  const c = fromSceneCoords(target);
+  return {
+    center: [round(c.x), round(c.y), round(c.elevationFt, 1)],
+    heading: round(heading, 1),
+    tilt: round(tilt, 1),
+    zoom: round(zoom, 3)
+  };
+}
+
+/**
+ * Build the tours panel and the caption player.
+ * @param {HTMLElement} panelEl – side panel listing tours and viewpoints
+ * @param {HTMLElement} playerEl – caption card shown while a tour runs
+ * @param {object} registry – see layerRegistry.js
+ * @param {object} view – { camera, controls, animateCamera, terrain, onCameraChange, viewZoom }
+ * @returns {{ open: Function, close: Function, toggle: Function, onToggle: Function, start: Function, stop: Function, goTo: Function, viewpoints: Function }}
+ */
+export function createTours(panelEl, playerEl, registry, { camera, controls, animateCamera, terrain, onCameraChange, viewZoom }) {
+  const cfg = CONFIG.tours;
+  const toggleListeners = new Set();
+  onCameraChange?.((c) => { camera = c; });
+
+  let fileViewpoints = {};
+  let savedViewpoints = loadSaved();
+  let tours = [];
+
+  /** @type {{ tour: object, index: number, playing: boolean, layers: Map<string, boolean> }|null} */
+  let active = null;
+  let stepToken = 0;
+  let holdTimer = 0;
+
+  /* --- Viewpoints --- */
+  function loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(cfg.storageKey) || '{}');
+    } catch (err) {
+      console.warn('[tours] Could not read saved viewpoints:', err);
+      return {};
+    }
+  }
+
+  function storeSaved() {
+    try {
+      localStorage.setItem(cfg.storageKey, JSON.stringify(savedViewpoints));
+    } catch (err) {
+      console.warn('[tours] Could not store viewpoints:', err);
+    }
+  }
+
+  const allViewpoints = () => ({ ...fileViewpoints, ...savedViewpoints });
+
+  function resolveViewpoint(v) {
+    const vp = typeof v === 'string' ? allViewpoints()[v] : v;
+    if (!vp?.center) {
+      if (v != null) console.warn('[tours] Unknown viewpoint:', v);
+      return null;
+    }
+    return vp;
+  }
+
+  function flyToViewpoint(vp, duration = cfg.transition) {
+    const distance = camera.position.distanceTo(controls.target);
+    const pose = viewpointPose(vp, { distance, controls, terrain });
+    return animateCamera({ ...pose, duration });
+  }
+
+  /* --- Highlights --- */
+  function pointLayersOf(entry) {
+    return entry.kind === 'csv' ? [entry.layer] : (entry.layer.pointLayer ? [entry.layer.pointLayer] : []);
+  }
+
+  /** Ring the listed features ({ datasetKey: [featureId…] }); null clears. */
+  function setHighlight(spec) {
+    const hits = [];
+    for (const entry of registry.list()) {
+      const ids = new Set((spec?.[entry.key] ?? []).map(String));
+      for (const pl of pointLayersOf(entry)) {
+        const indices = [];
+        if (ids.size) pl.records.forEach((rec, i) => { if (ids.has(featureId(rec))) indices.push(i); });
+        pl.setHighlight('tour', indices.length ? indices : null);
+        for (const i of indices) hits.push([pl, i]);
+      }
+    }
+    return hits;
+  }
+
+  /* --- Playback --- */
+  async function goTo(index) {
+    if (!active) return;
+    const { tour } = active;
+    index = THREE.MathUtils.clamp(index, 0, tour.steps.length - 1);
+    active.index = index;
+    clearTimeout(holdTimer);
+    const token = ++stepToken;
+    const step = tour.steps[index];
+
+    for (const [key, on] of Object.entries(step.layers ?? {})) {
+      const entry = registry.get(key);
+      if (!entry) continue;
+      if (!active.layers.has(key)) active.layers.set(key, entry.visible);
+      registry.setVisible(key, !!on);
+    }
+    const hits = setHighlight(step.highlight);
+    renderPlayer();
+
+    const vp = resolveViewpoint(step.viewpoint);
+    if (vp) await flyToViewpoint(vp, step.duration ?? cfg.transition);
+    if (token !== stepToken || !active) return;   // superseded while flying
+
+    for (const [pl, i] of hits) pl.pulse?.(i);
+    if (active.playing) scheduleNext(step);
+  }
+
+  function scheduleNext(step) {
+    clearTimeout(holdTimer);
+    holdTimer = setTimeout(() => {
+      if (!active?.playing) return;
+      const last = active.index >= active.tour.steps.length - 1;
+      if (last && !active.tour.loop) pause();
+      else goTo(last ? 0 : active.index + 1);
+    }, step.hold ?? cfg.hold);
+  }
+
+  function play() {
+    if (!active) return;
+    active.playing = true;
+    if (active.index >= active.tour.steps.length - 1 && !active.tour.loop) goTo(0);
+    else scheduleNext(active.tour.steps[active.index]);
+    renderPlayer();
+  }
+
+  function pause() {
+    if (!active) return;
+    active.playing = false;
+    clearTimeout(holdTimer);
+    renderPlayer();
+  }
+
+  /** Start a tour by id (or object) at its first step. */
+  function start(tourOrId, { autoplay = true } = {}) {
+    const tour = typeof tourOrId === 'string' ? tours.find(t => t.id === tourOrId) : tourOrId;
+    if (!tour) {
+      console.warn('[tours] Unknown tour:', tourOrId);
+      return;
+    }
+    if (active) stop();
+    close();
+    active = { tour, index: 0, playing: autoplay, layers: new Map() };
+    playerEl.classList.remove('hidden');
+    goTo(0);
+  }
+
+  /** End the tour and put back the layers it switched. */
+  function stop() {
+    if (!active) return;
+    clearTimeout(holdTimer);
+    stepToken++;
+    for (const [key, visible] of active.layers) registry.setVisible(key, visible);
+    active = null;
+    setHighlight(null);
+    playerEl.classList.add('hidden');
+  }
+
+  /* --- Player --- */
+  playerEl.innerHTML = `
+    <div class="tour-player-header">
+      <span class="tour-player-name"></span>
+      <span class="tour-player-progress"></span>
+      <button class="side-panel-close tour-player-exit" aria-label="End tour">&times;</button>
+    </div>
+    <h2 class="tour-player-title"></h2>
+    <p class="tour-player-caption"></p>
+    <div class="tour-player-controls">
+      <button class="panel-btn tour-prev" aria-label="Previous step">◀</button>
+      <button class="panel-btn tour-play"></button>
+      <button class="panel-btn tour-next" aria-label="Next step">▶</button>
+    </div>`;
+
+  const nameEl = playerEl.querySelector('.tour-player-name');
+  const progressEl = playerEl.querySelector('.tour-player-progress');
+  const titleEl = playerEl.querySelector('.tour-player-title');
+  const captionEl = playerEl.querySelector('.tour-player-caption');
+  const prevBtn = playerEl.querySelector('.tour-prev');
+  const playBtn = playerEl.querySelector('.tour-play');
+  const nextBtn = playerEl.querySelector('.tour-next');
+
+  function renderPlayer() {
+    if (!active) return;
+    const { tour, index, playing } = active;
+    const step = tour.steps[index];
+    nameEl.textContent = tour.title;
+    progressEl.textContent = `${index + 1} / ${tour.steps.length}`;
+    titleEl.textContent = step.title ?? '';
+    titleEl.classList.toggle('hidden', !step.title);
+    captionEl.textContent = step.caption ?? '';
+    prevBtn.disabled = index === 0 && !tour.loop;
+    nextBtn.disabled = index === tour.steps.length - 1 && !tour.loop;
+    playBtn.textContent = playing ? 'Pause' : 'Play';
+  }
+
+  /** Manual step: stops autoplay; looping tours wrap around. */
+  function advance(delta) {
+    pause();
+    const n = active.tour.steps.length;
+    const i = active.index + delta;
+    goTo(active.tour.loop ? (i + n) % n : i);
+  }
+
+  prevBtn.addEventListener('click', () => advance(-1));
+  nextBtn.addEventListener('click', () => advance(1));
+  playBtn.addEventListener('click', () => (active?.playing ? pause() : play()));
+  playerEl.querySelector('.tour-player-exit').addEventListener('click', stop);
+
+  // Taking the camera over pauses the tour rather than fighting it
+  controls.addEventListener('start', () => { if (active?.playing) pause(); });
+
+  window.addEventListener('keydown', (e) => {
+    if (!active || e.target.closest('input, select, textarea')) return;
+    if (e.key === 'ArrowRight') advance(1);
+    else if (e.key === 'ArrowLeft') advance(-1);
+    else if (e.key === 'Escape') stop();
+  });
+
+  /* --- Panel --- */
+  panelEl.innerHTML = `
+    <div class="side-panel-header">
+      <span class="side-panel-title">Tours</span>
+      <button class="side-panel-close" aria-label="Close tours">&times;</button>
+    </div>
+    <span class="filter-caption">Tours</span>
+    <ul class="tour-list"></ul>
+    <span class="filter-caption">Viewpoints</span>
+    <ul class="tour-list tour-viewpoints"></ul>
+    <div class="side-panel-footer">
+      <input class="tour-vp-name" type="text" placeholder="Name this view" aria-label="Viewpoint name">
+      <button class="panel-btn tour-vp-save">Save view</button>
+    </div>`;
+
+  const tourListEl = panelEl.querySelector('.tour-list');
+  const vpListEl = panelEl.querySelector('.tour-viewpoints');
+  const vpNameIn = panelEl.querySelector('.tour-vp-name');
+
+  function listItem(title, meta, onGo) {
+    const li = document.createElement('li');
+    li.className = 'tour-item';
+    li.tabIndex = 0;
+    const t = document.createElement('span');
+    t.className = 'tour-item-title';
+    t.textContent = title;
+    const m = document.createElement('span');
+    m.className = 'tour-item-meta';
+    m.textContent = meta;
+    li.append(t, m);
+    li.addEventListener('click', (e) => { if (!e.target.closest('button')) onGo(); });
+    li.addEventListener('keydown', (e) => { if (e.key === 'Enter' && e.target === li) onGo(); });
+    return li;
+  }
+
+  function itemButton(li, label, title, fn) {
+    const btn = document.createElement('button');
+    btn.className = 'panel-btn tour-item-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', () => fn(btn));
+    li.appendChild(btn);
+  }
+
+  function renderPanel() {
+    tourListEl.replaceChildren();
+    if (!tours.length) {
+      const li = document.createElement('li');
+      li.className = 'filter-caption';
+      li.textContent = `No tours in ${cfg.path}`;
+      tourListEl.appendChild(li);
+    }
+    for (const tour of tours) {
+      const n = tour.steps.length;
+      tourListEl.appendChild(listItem(tour.title, tour.description || `${n} step${n === 1 ? '' : 's'}`, () => start(tour)));
+    }
+
+    vpListEl.replaceChildren();
+    for (const [name, vp] of Object.entries(allViewpoints())) {
+      const saved = name in savedViewpoints;
+      const li = listItem(vp.label || name, saved ? 'Saved in this browser' : name, () => flyToViewpoint(vp, 1200));
+      itemButton(li, 'Copy', 'Copy as JSON for tours.json', (btn) => copyViewpoint(name, vp, btn));
+      if (saved) {
+        itemButton(li, '×', 'Delete viewpoint', () => {
+          delete savedViewpoints[name];
+          storeSaved();
+          renderPanel();
+        });
+      }
+      vpListEl.appendChild(li);
+    }
+  }
+
+  /** Copy a viewpoint as a `"name": {…}` member for the "viewpoints" object. */
+  async function copyViewpoint(name, vp, btn) {
+    const { label, center, heading, tilt, zoom } = vp;
+    const text = `${JSON.stringify(name)}: ${JSON.stringify({ label, center, heading, tilt, zoom })}`;
+    try {
+      await navigator.clipboard.writeText(text);
+      btn.textContent = 'Copied';
+    } catch (err) {
+      console.warn('[tours] Clipboard unavailable:', err);
+      btn.textContent = 'Failed';
+    }
+    setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
+  }
+
+  function saveView() {
+    const label = vpNameIn.value.trim() || `View ${Object.keys(savedViewpoints).length + 1}`;
+    const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'view';
+    savedViewpoints[name] = { label, ...currentViewpoint(camera, controls.target, viewZoom()) };
+    storeSaved();
+    vpNameIn.value = '';
+    renderPanel();
+  }
+
+  panelEl.querySelector('.tour-vp-save').addEventListener('click', saveView);
+  vpNameIn.addEventListener('keydown', (e) => { if (e.key === 'Enter') saveView(); });
+  panelEl.querySelector('.side-panel-close').addEventListener('click', close);
+
+  /* --- Open / close --- */
+  function open() {
+    if (!panelEl.classList.contains('hidden')) return;
+    panelEl.classList.remove('hidden');
+    for (const fn of toggleListeners) fn(true);
+  }
+  function close() {
+    if (panelEl.classList.contains('hidden')) return;
+    panelEl.classList.add('hidden');
+    for (const fn of toggleListeners) fn(false);
+  }
+  function toggle() {
+    if (panelEl.classList.contains('hidden')) open(); else close();
+    return !panelEl.classList.contains('hidden');
+  }
+
+  /* --- Load --- */
+  async function load() {
+    try {
+      const res = await fetch(cfg.path);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      fileViewpoints = data.viewpoints ?? {};
+      tours = (data.tours ?? []).filter((t, i) => {
+        const ok = Array.isArray(t.steps) && t.steps.length;
+        if (!ok) console.warn(`[tours] Tour ${t.id ?? i} has no steps – skipped`);
+        return ok;
+      }).map((t, i) => ({ ...t, id: String(t.id ?? i), title: t.title || `Tour ${i + 1}` }));
+      console.log(`[tours] ${tours.length} tour(s), ${Object.keys(fileViewpoints).length} viewpoint(s) from ${cfg.path}`);
+    } catch (err) {
+      console.warn(`[tours] Could not load ${cfg.path}:`, err);
+    }
+    renderPanel();
+  }
+
+  renderPanel();
+  load();
+
+  return {
+    open, close, toggle, start, stop, goTo,
+    /** Subscribe to the panel opening / closing. */
+    onToggle(fn) { toggleListeners.add(fn); return () => toggleListeners.delete(fn); },
+    /** File and browser-saved viewpoints by name. */
+    viewpoints: allViewpoints
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * urlState.js – Shareable view state in the URL hash.
+ *
+ * The hash is a query string, e.g.
+ *   #cam=-812.4,2102.9,1490.2,-640.0,12.5,330.1,1.350&layers=cso,-npdes:0.5,rcra
+ *    &theme=dark&filters={…}&feature=rcra_2263_clipped/NYD000000001
+ *
+ *   cam      camera position x,y,z, orbit target x,y,z (scene metres) and map zoom
+ *   proj     "persp" for the perspective camera (orthographic otherwise)
+ *   layers   registry keys in stack order (bottom first); "-" = hidden,
+ *            ":<opacity>" when not fully opaque
+ *   theme    map theme id (config/themes.js); omitted for the light default
+ *            (CONFIG.themes.defaults.light). Old links' dark=1 reads as theme=dark
+ *   filters  filterPanel state (JSON)
+ *   heat     heatmap settings (JSON), when a dataset is mapped
+ *   prox     proximity analysis key/index/radius
+ *   feature  open detail record as dataset/id (see featureId())
+ *
+ * Discrete changes (layers, filters, theme, tools, opening a record) push
+ * a history entry; camera moves only replace the current one, so Back steps
+ * through states rather than every pan. Old `#key/id` links still open the
+ * record.
+ */
+import * as THREE from 'three';
+import CONFIG from '../config/config.js';
+import { featureId, openFeatureDetail, isDetailOpen, setDetailHref, setFeatureResolver } from './detailPanel.js';
+
+const SYNC_DELAY = 300;          // ms; collapses slider drags into one entry
+const RESTORE_DURATION = 700;    // ms camera animation on Back / Forward
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+/**
+ * Parse a hash into named parameters. A legacy `#key/id` hash becomes { feature }.
+ * @param {string} hash
+ * @returns {Object<string, string>}
+ */
+export function parseHash(hash) {
+  const s = hash.replace(/^#/, '');
+  if (!s) return {};
+  if (!s.includes('=')) return s.includes('/') ? { feature: s } : {};
+  return Object.fromEntries(new URLSearchParams(s));
+}
+
+/**
+ * Keep the URL in sync with the view and restore it on load / Back / Forward.
+ * @param {object} opts
+ * @param {object} opts.view – { camera, controls, animateCamera, onFrame, onCameraChange, viewZoom, getProjection, setProjection } from createViewer()
+ * @param {object} opts.registry – see layerRegistry.js
+ * @param {object} opts.theme – { get(), set(id, opts), onChange(fn) } from createThemes()
+ * @param {object} opts.tools – { filters, heatmap, proximity } with getState / setState / onChange
+ * @returns {{ restore: Function, sync: Function }}
+ */
+export function createUrlState({ view, registry, theme, tools }) {
+  let { camera } = view;
+  const { controls, animateCamera, onFrame, viewZoom, getProjection, setProjection } = view;
+  view.onCameraChange((c) => { camera = c; });
+  const { filters, heatmap, proximity } = tools;
+
+  let applying = false;
+  let feature = null;          // `key/id` of the open record, or null
+  let last = { state: null, cam: null };
+  let timer = 0;
+
+  /* --- Serialise --- */
+  function cameraParam() {
+    const p = camera.position, t = controls.target;
+    return [p.x, p.y, p.z, t.x, t.y, t.z].map(v => v.toFixed(1)).join(',') + ',' + viewZoom().toFixed(3);
+  }
+
+  /** Everything except the camera, as URLSearchParams. */
+  function stateParams() {
+    const params = new URLSearchParams();
+    params.set('layers', registry.list().map(e =>
+      (e.visible ? '' : '-') + e.key + (e.opacity < 1 ? `:${round(e.opacity, 2)}` : '')).join(','));
+    if (theme.get() !== CONFIG.themes.defaults.light) params.set('theme', theme.get());
+    if (getProjection() === 'perspective') params.set('proj', 'persp');
+
+    const f = filters?.getState() ?? {};
+    if (Object.keys(f).length) params.set('filters', JSON.stringify(f));
+
+    const h = heatmap?.getState();
+    if (h?.key) params.set('heat', JSON.stringify(h));
+
+    const p = proximity?.getState();
+    if (p) params.set('prox', `${p.key}/${p.index}/${p.radius}`);
+    return params;
+  }
+
+  function href(state, cam, feat) {
+    const params = new URLSearchParams(state);
+    params.set('cam', cam);
+    if (feat) params.set('feature', feat);
+    // Keep the punctuation readable; URLSearchParams escapes more than needed
+    return '#' + params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/').replace(/%3A/g, ':');
+  }
+
+  /** Write the current view to the URL: push for state changes, replace for camera moves. */
+  function sync() {
+    clearTimeout(timer);
+    if (applying) return;
+    const state = stateParams().toString();
+    const cam = cameraParam();
+    if (state === last.state && cam === last.cam) return;
+
+    const url = href(state, cam, feature);
+    if (state !== last.state && last.state !== null && !isDetailOpen()) {
+      history.pushState({ urlState: true }, '', url);
+    } else {
+      history.replaceState(history.state, '', url);
+    }
+    last = { state, cam };
+  }
+
+  const scheduleSync = () => {
+    clearTimeout(timer);
+    timer = setTimeout(sync, SYNC_DELAY);
+  };
+
+  // Detail-panel entries carry the full view plus the record
+  setDetailHref((hash) => {
+    feature = hash?.includes('/') ? hash : null;
+    return href(stateParams().toString(), cameraParam(), feature);
+  });
+
+  /* --- Apply --- */
+  function findFeature(value) {
+    const [key, ...rest] = value.split('/');
+    const id = decodeURIComponent(rest.join('/'));
+    const entry = registry.get(key);
+    if (!entry) return null;
+    const lists = [entry.layer.records, entry.layer.pointLayer?.records].filter(Boolean);
+    for (const records of lists) {
+      const hit = records.find(r => featureId(r) === id);
+      if (hit) return hit;
+    }
+    return null;
+  }
+  setFeatureResolver(findFeature);
+
+  function applyCamera(value, animate) {
+    const v = value.split(',').map(Number);
+    if (v.length !== 7 || v.some(n => !Number.isFinite(n))) return false;
+    const position = new THREE.Vector3(v[0], v[1], v[2]);
+    const target = new THREE.Vector3(v[3], v[4], v[5]);
+    const zoom = THREE.MathUtils.clamp(v[6], controls.minZoom, controls.maxZoom);
+
+    if (animate) {
+      const look = new THREE.Matrix4().lookAt(position, target, camera.up);
+      const quaternion = new THREE.Quaternion().setFromRotationMatrix(look);
+      animateCamera({ position, target, quaternion, zoom, duration: RESTORE_DURATION });
+    } else {
+      // In perspective the position's distance already carries the zoom
+      camera.position.copy(position);
+      controls.target.copy(target);
+      if (camera.isOrthographicCamera) {
+        camera.zoom = zoom;
+        camera.updateProjectionMatrix();
+      }
+      controls.update();
+    }
+    return true;
+  }
+
+  function applyLayers(value) {
+    value.split(',').filter(Boolean).forEach((token, i) => {
+      const [name, op] = token.replace(/^-/, '').split(':');
+      if (!registry.get(name)) return;
+      registry.moveTo(name, i);
+      registry.setVisible(name, !token.startsWith('-'));
+      const opacity = op === undefined ? 1 : THREE.MathUtils.clamp(parseFloat(op), 0, 1);
+      if (Number.isFinite(opacity) && registry.get(name).opacity !== opacity) registry.setOpacity(name, opacity);
+    });
+  }
+
+  function parseJSON(value, what) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      console.warn(`[urlState] Ignoring malformed ${what} in URL:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Apply parsed parameters to the view. Missing parameters reset to defaults,
+   * so stepping back to a state without filters clears them.
+   * @returns {boolean} whether a camera was restored
+   */
+  function apply(params, { animate }) {
+    applying = true;
+    let restoredCamera = false;
+    try {
+      if (params.layers) applyLayers(params.layers);
+      // A linked theme is shown, not stored as the visitor's choice
+      const themeId = params.theme ?? (params.dark === '1' ? 'dark' : CONFIG.themes.defaults.light);
+      if (theme.get() !== themeId) theme.set(themeId, { persist: false });
+      const projection = params.proj === 'persp' ? 'perspective' : 'orthographic';
+      if (getProjection() !== projection) setProjection(projection, { duration: 0 });
+      filters?.setState(params.filters ? parseJSON(params.filters, 'filters') ?? {} : {});
+
+      const heat = (params.heat ? parseJSON(params.heat, 'heatmap') : null) ?? { key: '' };
+      if (heat.key || heatmap?.getState().key) heatmap?.setState(heat);
+
+      const [pk, pi, pr] = (params.prox ?? '').split('/');
+      const prox = params.prox ? { key: pk, index: parseInt(pi, 10), radius: parseFloat(pr) } : null;
+      const current = proximity?.getState();
+      if (JSON.stringify(current) !== JSON.stringify(prox)) proximity?.setState(prox);
+
+      if (params.cam) restoredCamera = applyCamera(params.cam, animate);
+    } finally {
+      applying = false;
+    }
+    last = { state: stateParams().toString(), cam: params.cam ?? cameraParam() };
+    return restoredCamera;
+  }
+
+  /* --- Wiring --- */
+  registry.onChange((reason) => { if (reason !== 'counts') scheduleSync(); });
+  filters?.onChange(scheduleSync);
+  heatmap?.onChange?.(scheduleSync);
+  proximity?.onChange?.(scheduleSync);
+  theme.onChange(scheduleSync);
+
+  // Any camera move – orbiting, fly-to, zoom to cluster – settles into the URL
+  const lastCamera = new THREE.Matrix4();
+  let lastZoom = camera.zoom;
+  onFrame(() => {
+    if (camera.matrixWorld.equals(lastCamera) && camera.zoom === lastZoom) return;
+    lastCamera.copy(camera.matrixWorld);
+    lastZoom = camera.zoom;
+    scheduleSync();
+  });
+
+  window.addEventListener('popstate', () => {
+    const params = parseHash(window.location.hash);
+    feature = params.feature ?? null;
+    apply(params, { animate: true });
+  });
+
+  return {
+    /**
+     * Apply the URL present at load. Call once, after every tool exists.
+     * @returns {boolean} true when the URL set the camera (skip the intro animation)
+     */
+    restore() {
+      const params = parseHash(window.location.hash);
+      const restoredCamera = Object.keys(params).length ? apply(params, { animate: false }) : false;
+
+      // The record opens on its own history entry, so Back returns to the map
+      feature = null;
+      history.replaceState(null, '', href(last.state ?? stateParams().toString(), last.cam ?? cameraParam(), null));
+      last = { state: stateParams().toString(), cam: cameraParam() };
+
+      if (params.feature) {
+        const data = findFeature(params.feature);
+        if (data) openFeatureDetail(data);
+        else console.warn(`[urlState] Feature ${params.feature} not found`);
+      }
+      return restoredCamera;
+    },
+    sync
+  };
+}
@@ -1,123 +1,102 @@
 /**
- * utils.js – Shared helpers: raycasting tooltips, coordinate display, etc.
+ * utils.js – Shared helpers: picking tooltips, camera framing, etc.
  */
 import * as THREE from 'three';
 import CONFIG from '../config/config.js';
-import { openDetail, isDetailOpen, justClosed } from './detailPanel.js';
+import { openFeatureDetail, isDetailOpen, justClosed } from './detailPanel.js';
 
-const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2();
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escape a value for interpolation into HTML text or attributes. */
+const escapeHTML = (v) => String(v).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+/** Optional click interceptor for tool modes, see setClickHandler(). */
+let clickHandler = null;
+/** Listeners for clicks on empty ground, see onGroundClick(). */
+const groundClickListeners = new Set();
+
+/**
+ * Route map clicks to a tool (proximity, measure…) instead of the detail panel.
+ * The handler receives the picked hit (or null) and the pointer event and
+ * returns true when it consumed the click. Installing one replaces the last.
+ * @param {Function} fn
+ * @returns {Function} uninstall – restores the default only if `fn` still
+ *   holds the slot, so a tool closing late can't unhook the one that took over
+ */
+export function setClickHandler(fn) {
+  clickHandler = fn;
+  return () => {
+    if (clickHandler === fn) clickHandler = null;
+  };
+}
+
+/**
+ * Subscribe to map clicks that hit no feature and were not taken by a tool.
+ * @param {Function} fn – receives the pointer event
+ * @returns {Function} unsubscribe
+ */
+export function onGroundClick(fn) {
+  groundClickListeners.add(fn);
+  return () => groundClickListeners.delete(fn);
+}
 
 /**
- * Set up mouse-move raycasting to show tooltips when hovering data points.
+ * Set up GPU-picked hover tooltips and click-to-open for data layers
+ * (CSV point layers and GeoJSON layers share the same interface).
+ * Picking runs at most once per frame, from tick(), and only when the pointer
+ * or camera has moved since the last pick.
  * @param {THREE.Camera} camera
- * @param {THREE.Scene} scene
+ * @param {object[]} layers   data layers (see pointLayer.js / geojsonLoader.js)
+ * @param {object} picker     GPU picker (see picking.js)
  * @param {HTMLElement} tooltipEl
+ * @param {Function} [onCameraChange]  from createViewer(); follows projection swaps
  */
-export function setupTooltips(camera, scene, tooltipEl) {
+export function setupTooltips(camera, layers, picker, tooltipEl, onCameraChange) {
+  onCameraChange?.((c) => { camera = c; });
   const DIM_OPACITY = 0.45;          // opacity for the non-hovered group
   const FULL_OPACITY = 1.0;
-  const HOVER_SCALE = 1.5;            // scale multiplier on hover
-  const LERP_SPEED = 0.25;           // per-frame interpolation factor
-  let activeType = null;              // currently hovered group label
-  let hoveredSprite = null;           // currently hovered sprite
-
-  /** Compute the world-unit sprite size that keeps a constant screen fraction. */
-  function getBaseSize() {
-    if (camera.isOrthographicCamera) {
-      const frustumH = (camera.top - camera.bottom) / (camera.zoom || 1);
-      return CONFIG.marker.screenSize * frustumH;
-    }
-    return CONFIG.marker.screenSize;  // fallback for perspective
-  }
+  let activeType = null;              // currently hovered layer label
+  let hovered = null;                 // { layer, index } under the pointer
 
-  /** Find all THREE.Group objects that hold data points. */
-  function getDataGroups() {
-    return scene.children.filter(
-      c => c.isGroup && c.children.length && c.children[0]?.userData?.type
-    );
-  }
-
-  /** Set opacity on every sprite in a group. */
-  function setGroupOpacity(group, opacity) {
-    group.children.forEach(sprite => {
-      if (sprite.material) sprite.material.opacity = opacity;
-    });
-  }
-
-  /** Restore all groups to full opacity. */
+  /** Restore all layers to full opacity. */
   function resetAllGroups() {
-    getDataGroups().forEach(g => setGroupOpacity(g, FULL_OPACITY));
+    layers.forEach(l => l.setOpacity(FULL_OPACITY));
     activeType = null;
   }
 
-  /* --- Constant-screen-size update + hover animation (called from render loop) --- */
-  const animating = new Set();
-
-  /** Call this every frame from the main render loop for jitter-free scaling. */
-  function tick() {
-    const base = getBaseSize();
-    const target = base * HOVER_SCALE;
-
-    // Update ALL data-point sprites to the current constant-screen base size
-    for (const group of getDataGroups()) {
-      for (const sprite of group.children) {
-        if (!animating.has(sprite)) {
-          sprite.scale.set(base, base, 1);
-        }
-      }
-    }
-
-    // Lerp sprites that are being hover-animated
-    for (const sprite of animating) {
-      const goal = sprite === hoveredSprite ? target : base;
-      const cur = sprite.scale.x;
-      const next = THREE.MathUtils.lerp(cur, goal, LERP_SPEED);
-      if (Math.abs(next - goal) < 0.0001) {
-        sprite.scale.set(goal, goal, 1);
-        if (sprite !== hoveredSprite) animating.delete(sprite);
-      } else {
-        sprite.scale.set(next, next, 1);
-      }
-    }
-  }
-
   const viewerCanvas = document.querySelector('#viewer-container canvas');
+  const lastCamera = new THREE.Matrix4();
+  let pointerEvent = null;            // latest pointermove, consumed by tick()
+  let pointerDirty = false;
 
   window.addEventListener('pointermove', (event) => {
-    pointer.x =  (event.clientX / window.innerWidth)  * 2 - 1;
-    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-    raycaster.setFromCamera(pointer, camera);
-    const intersects = raycaster.intersectObjects(scene.children, true);
-
-    const hit = intersects.find(i => i.object.userData?.type);
+    pointerEvent = event;
+    pointerDirty = true;
+  });
 
+  /** Pick under the latest pointer position and update hover state + tooltip. */
+  function updateHover(event) {
+    const hit = picker.pick(camera, event.clientX, event.clientY);
     const canvas = viewerCanvas;
 
     if (hit) {
       if (canvas) canvas.style.cursor = 'pointer';
-      const d = hit.object.userData;
+      const d = hit.data;
 
-      // Dim / highlight groups when the hovered type changes
+      // Dim / highlight layers when the hovered type changes
       if (activeType !== d.type) {
-        getDataGroups().forEach(g => {
-          setGroupOpacity(g, g.name === d.type ? FULL_OPACITY : DIM_OPACITY);
-        });
+        layers.forEach(l => l.setOpacity(l.label === d.type ? FULL_OPACITY : DIM_OPACITY));
         activeType = d.type;
       }
 
-      // Scale up hovered sprite
-      if (hoveredSprite !== hit.object) {
-        if (hoveredSprite) animating.add(hoveredSprite);  // shrink old
-        hoveredSprite = hit.object;
-        animating.add(hoveredSprite);                     // grow new
-      }
+      // Scale up hovered marker (the previous one shrinks back)
+      if (hovered && (hovered.layer !== hit.layer)) hovered.layer.setHovered(-1);
+      hit.layer.setHovered(hit.index);
+      hovered = hit;
 
-
-      // Normalize for RCRA purple points: match on group name or type containing 'RCRA'
+      // Normalize for RCRA points: match on type or layer name containing 'RCRA'
       let imgSrc = '';
-      if (/rcra/i.test(d.type) || /rcra/i.test(hit.object.parent?.name)) {
+      if (/rcra/i.test(d.type) || /rcra/i.test(hit.layer.object.name)) {
         imgSrc = './assets/images/rcra.jpg';
       } else if (/cso/i.test(d.type)) {
         imgSrc = './assets/images/cso.jpg';
@@ -125,11 +104,13 @@ export function setupTooltips(camera, scene, tooltipEl) {
         imgSrc = './assets/images/npdes.jpg';
       }
 
+      // Record values come straight from the data files, so escape them
       tooltipEl.innerHTML = [
-        `<strong>${d.type}</strong>`,
-        imgSrc ? `<img class="tip-img" src="${imgSrc}" alt="${d.type}">` : '',
-        d.handle ? `<span class="tip-label">Handle</span> <span class="tip-value">${d.handle}</span>` : '',
-        d.text   ? `<span class="tip-label">ID</span> <span class="tip-value">${d.text}</span>` : '',
+        `<strong>${escapeHTML(d.type)}</strong>`,
+        d.row?.FACILITY_NAME ? `<span class="tip-value">${escapeHTML(d.row.FACILITY_NAME)}</span>` : '',
+        imgSrc ? `<img class="tip-img" src="${imgSrc}" alt="${escapeHTML(d.type)}">` : '',
+        d.handle ? `<span class="tip-label">Handle</span> <span class="tip-value">${escapeHTML(d.handle)}</span>` : '',
+        d.text   ? `<span class="tip-label">ID</span> <span class="tip-value">${escapeHTML(d.text)}</span>` : '',
         `<span class="tip-label">Easting</span> <span class="tip-value">${d.coordX?.toLocaleString(undefined, {maximumFractionDigits:0})}</span>`,
         `<span class="tip-label">Northing</span> <span class="tip-value">${d.coordY?.toLocaleString(undefined, {maximumFractionDigits:0})}</span>`
       ].filter(Boolean).join('<br>');
@@ -139,13 +120,27 @@ export function setupTooltips(camera, scene, tooltipEl) {
       tooltipEl.classList.remove('hidden');
     } else {
       if (canvas) canvas.style.cursor = '';
-      if (hoveredSprite) { animating.add(hoveredSprite); hoveredSprite = null; }
+      if (hovered) { hovered.layer.setHovered(-1); hovered = null; }
       if (activeType !== null) resetAllGroups();
       tooltipEl.classList.add('hidden');
     }
-  });
+  }
 
-  /* --- Click a data point → open dataset detail panel --- */
+  /** Call this every frame from the main render loop. */
+  function tick() {
+    // Re-pick when the pointer moved, or when the camera moved under a still pointer
+    if (!camera.matrixWorld.equals(lastCamera)) {
+      lastCamera.copy(camera.matrixWorld);
+      pointerDirty = true;
+    }
+    if (pointerDirty && pointerEvent) {
+      pointerDirty = false;
+      updateHover(pointerEvent);
+    }
+    for (const layer of layers) layer.update();
+  }
+
+  /* --- Click a data point → open its record in the detail panel --- */
   let pointerDownPos = { x: 0, y: 0 };
 
   window.addEventListener('pointerdown', (e) => {
@@ -161,18 +156,15 @@ export function setupTooltips(camera, scene, tooltipEl) {
 
     if (isDetailOpen() || justClosed()) return;
 
-    // Ignore clicks on UI overlays (detail panel, buttons, etc.)
-    if (e.target.closest('#detail-panel')) return;
+    // Ignore clicks on UI overlays (detail panel, header tools, side panels, etc.)
+    if (e.target.closest('#detail-panel, #header, #footer, .side-panel, #legend, #timeline, .cluster-badge')) return;
 
-    const clickPtr = new THREE.Vector2(
-      (e.clientX / window.innerWidth) * 2 - 1,
-      -(e.clientY / window.innerHeight) * 2 + 1
-    );
-    raycaster.setFromCamera(clickPtr, camera);
-    const hits = raycaster.intersectObjects(scene.children, true);
-    const hit = hits.find(i => i.object.userData?.type);
+    const hit = picker.pick(camera, e.clientX, e.clientY);
+    if (clickHandler?.(hit, e)) return;
     if (hit) {
-      openDetail(hit.object.userData.type);
+      openFeatureDetail(hit.data);
+    } else if (e.target === viewerCanvas) {
+      for (const fn of groundClickListeners) fn(e);
     }
   });
 
@@ -191,13 +183,14 @@ export function frameBoundingBox(object, camera, controls) {
 
   controls.target.copy(center);
 
+  // Keep the viewing direction but re-centre on the model
+  const dir = camera.position.clone().sub(center).normalize();
+  const zoomPad = CONFIG.camera.initialZoom ?? 0.7; // lower = more zoomed in
+  const maxDim = Math.max(size.x, size.y, size.z) * zoomPad;
+
   if (camera.isOrthographicCamera) {
-    // Keep the isometric direction but re-centre on the model
-    const dir = camera.position.clone().sub(controls.target).normalize();
     camera.position.copy(center).addScaledVector(dir, 10000);
     // Adjust frustum to fit the model with zoom padding from config
-    const zoomPad = CONFIG.camera.initialZoom ?? 0.7; // lower = more zoomed in
-    const maxDim = Math.max(size.x, size.y, size.z) * zoomPad;
     const aspect = (camera.right - camera.left) / (camera.top - camera.bottom);
     camera.top    =  maxDim;
     camera.bottom = -maxDim;
@@ -205,11 +198,9 @@ export function frameBoundingBox(object, camera, controls) {
     camera.right  =  maxDim * aspect;
     camera.updateProjectionMatrix();
   } else {
-    camera.position.set(
-      center.x + size.x * 0.6,
-      center.y + size.y * 2.0,
-      center.z + size.z * 0.6
-    );
+    // Back off until the same half-height fills the view
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    camera.position.copy(center).addScaledVector(dir, maxDim / Math.tan(halfFov));
   }
   controls.update();
 }
@@ -1,10 +1,24 @@
 /**
  * viewer.js – Sets up the Three.js scene, camera, renderer, controls, and lights.
+ *
+ * The map starts with an isometric orthographic camera; setProjection()
+ * swaps in a perspective camera for eye-level views. Modules that keep a
+ * camera reference follow the swap through onCameraChange(). Map zoom is
+ * expressed in ortho terms in both projections (see viewZoom), so zoom
+ * limits, manifests and shared links mean the same thing in either.
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
 import CONFIG from '../config/config.js';
+import { createPicker } from './picking.js';
+import { setPointViewport } from './pointLayer.js';
+import { setLineResolution } from './geojsonLoader.js';
+
+/** Ease-in-out cubic on t ∈ [0, 1]; shared by camera animations. */
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
 
 /** Create and return all core viewer objects. */
 export function createViewer() {
@@ -18,6 +32,11 @@ export function createViewer() {
   renderer.toneMappingExposure = 1.0;
   renderer.outputColorSpace = THREE.SRGBColorSpace;
   container.appendChild(renderer.domElement);
+  setPointViewport(container.clientHeight, renderer.getPixelRatio());
+  setLineResolution(container.clientWidth, container.clientHeight);
+
+  // ---- GPU picker for point layers ----
+  const picker = createPicker(renderer);
 
   // ---- CSS2D overlay renderer (labels that always face the camera) ----
   const labelRenderer = new CSS2DRenderer();
@@ -36,7 +55,7 @@ export function createViewer() {
   // ---- Camera (Isometric / Orthographic) ----
   const aspect = container.clientWidth / container.clientHeight;
   const frustumSize = CONFIG.camera.orthoSize || 4000; // half-height in world units
-  const camera = new THREE.OrthographicCamera(
+  const orthoCamera = new THREE.OrthographicCamera(
     -frustumSize * aspect,   // left
      frustumSize * aspect,   // right
      frustumSize,             // top
@@ -49,8 +68,14 @@ export function createViewer() {
   const isoDist = 8000;
   const isoY = isoDist * Math.sin(Math.atan(1 / Math.SQRT2)); // ≈ elevation
   const isoXZ = isoDist * Math.cos(Math.atan(1 / Math.SQRT2)); // ≈ ground offset
-  camera.position.set(isoXZ, isoY, isoXZ);
-  camera.lookAt(0, 0, 0);
+  orthoCamera.position.set(isoXZ, isoY, isoXZ);
+  orthoCamera.lookAt(0, 0, 0);
+
+  // ---- Perspective camera (eye-level views, see setProjection) ----
+  const perspCamera = new THREE.PerspectiveCamera(CONFIG.camera.fov, aspect, CONFIG.camera.near, CONFIG.camera.far);
+
+  /** The camera being rendered; swapped by setProjection() */
+  let camera = orthoCamera;
 
   // ---- Controls ----
   const controls = new OrbitControls(camera, renderer.domElement);
@@ -90,87 +115,318 @@ export function createViewer() {
     const h = container.clientHeight;
     const a = w / h;
     // Preserve current frustum height, just update aspect
-    const halfH = camera.top;   // current half-height (may have been set by frameBoundingBox)
-    camera.left   = -halfH * a;
-    camera.right  =  halfH * a;
-    camera.updateProjectionMatrix();
+    const halfH = orthoCamera.top;   // current half-height (may have been set by frameBoundingBox)
+    orthoCamera.left   = -halfH * a;
+    orthoCamera.right  =  halfH * a;
+    orthoCamera.updateProjectionMatrix();
+    perspCamera.aspect = a;
+    perspCamera.updateProjectionMatrix();
     renderer.setSize(w, h);
     labelRenderer.setSize(w, h);
+    setPointViewport(h, renderer.getPixelRatio());
+    setLineResolution(w, h);
   });
 
-  // ---- Double-click → smooth top-down view ----
-  let topDownAnim = null;
+  // ---- Camera animation (fly-to, top-down view, …) ----
+  /** @type {object|null} the running camera animation, advanced in animate() */
+  let camAnim = null;
+
+  /**
+   * Smoothly move the camera to a new pose. Omitted parts keep their current
+   * value; the orientation is slerped so there is no per-frame lookAt jitter.
+   * A new call cancels (and resolves) the previous one.
+   * @param {object} opts
+   * @param {THREE.Vector3} [opts.position]      – end camera position
+   * @param {THREE.Vector3} [opts.target]        – end orbit target
+   * @param {THREE.Quaternion} [opts.quaternion] – end orientation
+   * @param {number} [opts.zoom]                 – end map zoom (see viewZoom)
+   * @param {number} [opts.duration=800]         – ms
+   * @returns {Promise<void>} resolves when the animation ends
+   */
+  function animateCamera({ position, target, quaternion, zoom, duration = 800 } = {}) {
+    if (projAnim) finishProjAnim(projAnim);
+    if (camAnim && !camAnim.done) finishCamAnim(camAnim, false);
+
+    // The perspective camera zooms by dollying along the end line of sight
+    if (camera.isPerspectiveCamera && zoom != null) {
+      const end = target ?? controls.target;
+      position = (position ?? camera.position).clone().sub(end).setLength(distanceForZoom(zoom)).add(end);
+      zoom = undefined;
+    }
+
+    return new Promise((resolve) => {
+      camAnim = {
+        startPos: camera.position.clone(),
+        endPos: (position ?? camera.position).clone(),
+        startQuat: camera.quaternion.clone(),
+        endQuat: (quaternion ?? camera.quaternion).clone(),
+        startTarget: controls.target.clone(),
+        endTarget: (target ?? controls.target).clone(),
+        startZoom: camera.zoom,
+        endZoom: zoom ?? camera.zoom,
+        t0: performance.now(), duration, done: false, resolve
+      };
+      controls.enabled = false;
+    });
+  }
+
+  /** Re-enable the controls, draining residual damping so it can't jiggle. */
+  function resumeControls() {
+    const wasDamping = controls.enableDamping;
+    controls.enableDamping = false;
+    controls.enabled = true;
+    controls.update();          // flushes internal sphericalDelta to zero
+    controls.enableDamping = wasDamping;
+  }
+
+  /** End an animation, optionally snapping to its final pose. */
+  function finishCamAnim(a, snap) {
+    if (snap) {
+      controls.target.copy(a.endTarget);
+      resumeControls();
+
+      // Force the exact final pose (overrides whatever update() just did)
+      camera.position.copy(a.endPos);
+      camera.quaternion.copy(a.endQuat);
+      camera.zoom = a.endZoom;
+      camera.updateProjectionMatrix();
+      // Next frame: controls.update() starts from this position with zero deltas
+    }
+    controls.enabled = true;
+    a.done = true;
+    a.resolve();
+  }
+
+  /**
+   * Centre the view on a point, keeping the current viewing angle, and zoom
+   * so roughly `extent` metres of half-height are visible.
+   * @param {THREE.Vector3} point
+   * @param {object} [opts]
+   * @param {number} [opts.extent]          – omit to keep the current zoom
+   * @param {boolean} [opts.zoomOut=false]  – allow zooming out to reach `extent`
+   * @param {number} [opts.duration=900]
+   * @returns {Promise<void>}
+   */
+  function flyTo(point, { extent, zoomOut = false, duration = 900 } = {}) {
+    const offset = camera.position.clone().sub(controls.target);
+    let zoom = viewZoom();
+    if (extent) {
+      zoom = THREE.MathUtils.clamp(orthoCamera.top / extent,
+        zoomOut ? controls.minZoom : zoom, controls.maxZoom);
+    }
+    return animateCamera({ target: point, position: point.clone().add(offset), zoom, duration });
+  }
+
+  // ---- Orthographic ⇄ perspective ----
+  const FLAT_FOV = 4;   // degrees; a perspective this narrow passes for orthographic
+
+  /** @type {object|null} the running projection transition, advanced in animate() */
+  let projAnim = null;
+  let orthoDistance = isoDist;   // ortho camera-to-target distance, restored on the way back
+  const cameraListeners = new Set();
+
+  const tanHalfFov = () => Math.tan(THREE.MathUtils.degToRad(perspCamera.fov / 2));
+
+  /**
+   * Map zoom of the active camera in ortho terms: for the perspective camera,
+   * the ortho zoom that frames the same half-height at the orbit target.
+   */
+  function viewZoom() {
+    if (camera.isOrthographicCamera) return camera.zoom;
+    return orthoCamera.top / (camera.position.distanceTo(controls.target) * tanHalfFov());
+  }
+
+  /** Perspective camera-to-target distance that frames like ortho `zoom`. */
+  function distanceForZoom(zoom) {
+    return orthoCamera.top / (zoom * tanHalfFov());
+  }
+
+  function useCamera(next) {
+    if (next === camera) return;
+    camera = next;
+    controls.object = next;
+    for (const fn of cameraListeners) fn(next);
+  }
+
+  /** Place the perspective camera for one step of the dolly zoom. */
+  function placeDolly(a, fov) {
+    const d = a.halfH / Math.tan(THREE.MathUtils.degToRad(fov / 2));
+    perspCamera.fov = fov;
+    perspCamera.position.copy(a.target).addScaledVector(a.dir, d);
+    // Keep the depth range proportionate while the camera backs far away
+    perspCamera.near = Math.max(CONFIG.camera.near, d * 1e-3);
+    perspCamera.far = Math.max(CONFIG.camera.far, d * 4);
+    perspCamera.updateProjectionMatrix();
+  }
+
+  function finishProjAnim(a) {
+    placeDolly(a, a.toFov);
+    if (a.toPersp) {
+      // Full depth range again, for eye-level views close to the ground
+      perspCamera.near = CONFIG.camera.near;
+      perspCamera.far = CONFIG.camera.far;
+      perspCamera.updateProjectionMatrix();
+    } else {
+      // Hand over to the ortho camera, framing the same half-height
+      orthoCamera.position.copy(a.target).addScaledVector(a.dir, orthoDistance);
+      orthoCamera.quaternion.copy(perspCamera.quaternion);
+      orthoCamera.zoom = THREE.MathUtils.clamp(orthoCamera.top / a.halfH, controls.minZoom, controls.maxZoom);
+      orthoCamera.updateProjectionMatrix();
+      useCamera(orthoCamera);
+    }
+    // Ortho zooms by frustum scale, perspective by distance: same zoom range either way
+    controls.minDistance = a.toPersp ? CONFIG.camera.minDistance ?? 10 : 0;
+    controls.maxDistance = a.toPersp ? distanceForZoom(controls.minZoom) : Infinity;
+    projAnim = null;
+    resumeControls();
+    a.resolve();
+  }
+
+  /**
+   * Switch between the orthographic and perspective cameras with a dolly
+   * zoom: the field of view opens (or closes) while the camera slides along
+   * its line of sight, so the area framed at the orbit target holds still.
+   * @param {'orthographic'|'perspective'} mode
+   * @param {object} [opts]
+   * @param {number} [opts.duration=CONFIG.camera.transition] – ms; 0 switches at once
+   * @returns {Promise<void>}
+   */
+  function setProjection(mode, { duration = CONFIG.camera.transition ?? 1200 } = {}) {
+    const toPersp = mode === 'perspective';
+    if (projAnim) finishProjAnim(projAnim);
+    if (toPersp === !!camera.isPerspectiveCamera) return Promise.resolve();
+    if (camAnim && !camAnim.done) finishCamAnim(camAnim, true);
 
-  renderer.domElement.addEventListener('dblclick', () => {
     const target = controls.target.clone();
-    const dist   = camera.position.distanceTo(target);
+    const dir = camera.position.clone().sub(target).normalize();
+    const halfH = camera.isOrthographicCamera
+      ? camera.top / camera.zoom
+      : camera.position.distanceTo(target) * tanHalfFov();
+    if (toPersp) orthoDistance = camera.position.distanceTo(target);
 
-    // Tiny Z offset avoids gimbal-lock singularity when OrbitControls resumes
-    const endPos    = new THREE.Vector3(target.x, target.y + dist, target.z + 0.1);
-    const startPos  = camera.position.clone();
-    const startQuat = camera.quaternion.clone();
+    return new Promise((resolve) => {
+      const a = {
+        target, dir, halfH, toPersp,
+        fromFov: toPersp ? FLAT_FOV : perspCamera.fov,
+        toFov: toPersp ? CONFIG.camera.fov : FLAT_FOV,
+        t0: performance.now(), duration, resolve
+      };
+      // The perspective camera carries the whole transition
+      perspCamera.quaternion.copy(camera.quaternion);
+      placeDolly(a, a.fromFov);
+      useCamera(perspCamera);
+      controls.enabled = false;
+      projAnim = a;
+      if (!duration) finishProjAnim(a);
+    });
+  }
 
-    // Build a deterministic top-down quaternion from a fresh lookAt matrix.
-    // Using an explicit up vector (negative Z = "north" on screen) avoids
-    // inheriting any quirky orientation from the current camera state.
-    const lookAtMatrix = new THREE.Matrix4().lookAt(endPos, target, new THREE.Vector3(0, 0, -1));
-    const endQuat = new THREE.Quaternion().setFromRotationMatrix(lookAtMatrix);
+  /** 'orthographic' or 'perspective' (the destination while switching). */
+  function getProjection() {
+    const persp = projAnim ? projAnim.toPersp : !!camera.isPerspectiveCamera;
+    return persp ? 'perspective' : 'orthographic';
+  }
 
-    if (topDownAnim) topDownAnim.done = true;
+  /** Subscribe to camera swaps; modules holding a camera reference rebind here. */
+  function onCameraChange(fn) {
+    cameraListeners.add(fn);
+    return () => cameraListeners.delete(fn);
+  }
 
-    topDownAnim = {
-      startPos, endPos, startQuat, endQuat, target,
-      t0: performance.now(), duration: 800, done: false
-    };
-    controls.enabled = false;
-  });
+  /**
+   * Orbit to a heading / tilt around the current target, keeping the distance
+   * and zoom. Tilt 0 is straight down with `heading` at the top of the screen.
+   * @param {object} opts
+   * @param {number} [opts.heading=0]   – look direction, degrees clockwise from north
+   * @param {number} [opts.tilt=0]      – degrees from vertical (clamped to maxPolarAngle)
+   * @param {number} [opts.duration=800] – ms
+   * @returns {Promise<void>}
+   */
+  function snapView({ heading = 0, tilt = 0, duration = 800 } = {}) {
+    const target = controls.target.clone();
+    const dist   = camera.position.distanceTo(target);
+    const h = THREE.MathUtils.degToRad(heading);
+    const t = Math.min(THREE.MathUtils.degToRad(tilt), controls.maxPolarAngle);
 
-  function easeInOutCubic(t) {
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    // Ground direction of the heading; scene north is -Z
+    const look = new THREE.Vector3(Math.sin(h), 0, -Math.cos(h));
+    const endPos = target.clone()
+      .addScaledVector(look, -dist * Math.sin(t))
+      .add(new THREE.Vector3(0, dist * Math.cos(t), 0));
+    // Tiny horizontal offset avoids gimbal-lock singularity when OrbitControls resumes
+    if (t === 0) endPos.addScaledVector(look, -0.1);
+
+    // Build a deterministic quaternion from a fresh lookAt matrix. Looking
+    // straight down, the heading is the up vector; otherwise world up.
+    // This avoids inheriting any quirky orientation from the current camera state.
+    const up = t === 0 ? look : new THREE.Vector3(0, 1, 0);
+    const lookAtMatrix = new THREE.Matrix4().lookAt(endPos, target, up);
+    const endQuat = new THREE.Quaternion().setFromRotationMatrix(lookAtMatrix);
+
+    return animateCamera({ position: endPos, quaternion: endQuat, target, duration });
   }
 
+  // ---- Double-click → smooth top-down view, north up ----
+  renderer.domElement.addEventListener('dblclick', () => snapView({ heading: 0, tilt: 0 }));
+
   // ---- Render loop ----
-  /** @type {Function|null} per-frame sprite-scale updater, set by setupTooltips */
+  /** @type {Function|null} per-frame hover/picking updater, set by setupTooltips */
   let _tickSprites = null;
   function setTickSprites(fn) { _tickSprites = fn; }
 
+  /** Other per-frame updaters (clustering, …), run after controls update */
+  const frameCallbacks = new Set();
+  function onFrame(fn) {
+    frameCallbacks.add(fn);
+    return () => frameCallbacks.delete(fn);
+  }
+
+  /** Passes that read the rendered overlay (label declutter, …), run after labelRenderer.render */
+  const afterRenderCallbacks = new Set();
+  function onAfterRender(fn) {
+    afterRenderCallbacks.add(fn);
+    return () => afterRenderCallbacks.delete(fn);
+  }
+
   function animate() {
     requestAnimationFrame(animate);
 
-    if (topDownAnim && !topDownAnim.done) {
-      const a = topDownAnim;
+    if (projAnim) {
+      const a = projAnim;
+      const t = Math.min((performance.now() - a.t0) / a.duration, 1);
+      placeDolly(a, THREE.MathUtils.lerp(a.fromFov, a.toFov, easeInOutCubic(t)));
+      if (t >= 1) finishProjAnim(a);
+    } else if (camAnim && !camAnim.done) {
+      const a = camAnim;
       const t = Math.min((performance.now() - a.t0) / a.duration, 1);
       const e = easeInOutCubic(t);
 
       // Slerp quaternion instead of per-frame lookAt → no gimbal-lock jitter
       camera.position.lerpVectors(a.startPos, a.endPos, e);
       camera.quaternion.slerpQuaternions(a.startQuat, a.endQuat, e);
-
-      if (t >= 1) {
-        // Drain any residual OrbitControls damping so it can't jiggle
-        controls.enabled = true;
-        controls.target.copy(a.target);
-        const wasDamping = controls.enableDamping;
-        controls.enableDamping = false;
-        controls.update();          // flushes internal sphericalDelta to zero
-        controls.enableDamping = wasDamping;
-
-        // Force the exact final pose (overrides whatever update() just did)
-        camera.position.copy(a.endPos);
-        camera.quaternion.copy(a.endQuat);
-
-        a.done = true;
-        // Next frame: controls.update() starts from this position with zero deltas
+      controls.target.lerpVectors(a.startTarget, a.endTarget, e);
+      if (a.startZoom !== a.endZoom) {
+        camera.zoom = THREE.MathUtils.lerp(a.startZoom, a.endZoom, e);
+        camera.updateProjectionMatrix();
       }
+
+      if (t >= 1) finishCamAnim(a, true);
     } else {
       controls.update();
     }
 
+    for (const fn of frameCallbacks) fn();
     if (_tickSprites) _tickSprites();
     renderer.render(scene, camera);
     labelRenderer.render(scene, camera);
+    for (const fn of afterRenderCallbacks) fn();
   }
   animate();
 
-  return { scene, camera, renderer, controls, setTickSprites };
+  return {
+    scene, renderer, controls, picker, setTickSprites, onFrame, onAfterRender, animateCamera, flyTo, snapView,
+    setProjection, getProjection, onCameraChange, viewZoom,
+    /** The active camera (see onCameraChange) */
+    get camera() { return camera; }
+  };
 }
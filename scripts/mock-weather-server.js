@@ -0,0 +1,58 @@
+/**
+ * mock-weather-server.js – Local stand-in for the precipitation API.
+ *
+ * Serves data/precipitation_sample.csv as JSON with the timestamps shifted so
+ * the newest reading is the current hour, which lets the 'api' source be
+ * exercised end to end (polling, staleness, key handling) without a provider.
+ *
+ *   npm run mock:weather            → http://localhost:8787/precip?station=…&key=…
+ *   PORT=9000 MOCK_WEATHER_KEY=abc npm run mock:weather
+ *
+ * Requests without the expected key get 401; `?fail=1` returns 503 and
+ * `?lag=<hours>` ages the data, to try the error and stale indicators.
+ */
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+
+const PORT = Number(process.env.PORT) || 8787;
+const KEY = process.env.MOCK_WEATHER_KEY || 'dev';
+const SAMPLE = new URL('../data/precipitation_sample.csv', import.meta.url);
+const HOUR = 3600 * 1000;
+
+async function observations(lagHours) {
+  const lines = (await readFile(SAMPLE, 'utf8')).trim().split(/\r?\n/).slice(1);
+  const rows = lines.map(l => {
+    const [time, precip] = l.split(',');
+    return { time: Date.parse(time), precip_in: parseFloat(precip) };
+  });
+  const now = Math.floor(Date.now() / HOUR) * HOUR - lagHours * HOUR;
+  const shift = now - rows[rows.length - 1].time;
+  return rows.map(r => ({ time: new Date(r.time + shift).toISOString(), precip_in: r.precip_in }));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const send = (status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname !== '/precip') return send(404, { error: 'Not found' });
+  if (url.searchParams.get('key') !== KEY) return send(401, { error: 'Invalid API key' });
+  if (url.searchParams.get('fail')) return send(503, { error: 'Upstream unavailable' });
+
+  try {
+    const lag = parseFloat(url.searchParams.get('lag')) || 0;
+    send(200, { station: url.searchParams.get('station'), observations: await observations(lag) });
+  } catch (err) {
+    send(500, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-weather] http://localhost:${PORT}/precip?station=KLGA&key=${KEY}`);
+});